@@ -0,0 +1,98 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Mvc;
+using WorkProgress.Models;
+using WorkProgress.Services;
+
+namespace WorkProgress.Controllers;
+
+[Route("api/[controller]")]
+[ApiController]
+public class ApiAuthController : ControllerBase
+{
+    private const int MaxFailedAttempts = 5;
+    private static readonly TimeSpan Lockout = TimeSpan.FromMinutes(5);
+    // Verified against when the code is unknown; no PIN can be typed to match it
+    private static readonly string UnknownCodeHash = PinHasher.Hash(Guid.NewGuid().ToString());
+
+    private readonly DbService _db;
+
+    public ApiAuthController(DbService db)
+    {
+        _db = db;
+    }
+
+    [HttpPost("login")]
+    public async Task<IActionResult> Login([FromBody] LoginRequest req)
+    {
+        if (string.IsNullOrWhiteSpace(req.EmployeeCode) || string.IsNullOrWhiteSpace(req.Pin))
+            return BadRequest(new { message = "กรุณากรอกรหัสพนักงานและ PIN" });
+
+        // No real code is longer than the column, so such input can't match and isn't tracked
+        var code = req.EmployeeCode.Trim();
+        if (code.Length > 50)
+            return Unauthorized(new { message = "รหัสพนักงานหรือ PIN ไม่ถูกต้อง" });
+
+        if (await _db.IsLoginLocked(code))
+            return StatusCode(429, new { message = "ใส่ PIN ผิดหลายครั้ง กรุณารอสักครู่แล้วลองใหม่" });
+
+        // Unknown and deactivated codes take the same hash check and count towards the same
+        // lockout as a wrong PIN, so neither the answer nor its timing tells them apart
+        var op = await _db.GetOperatorByCode(code);
+        var pinOk = PinHasher.Verify(req.Pin.Trim(), op?.PinHash ?? UnknownCodeHash);
+        if (op is not { IsActive: true } || !pinOk)
+        {
+            await _db.RecordLoginResult(code, false, MaxFailedAttempts, Lockout);
+            return Unauthorized(new { message = "รหัสพนักงานหรือ PIN ไม่ถูกต้อง" });
+        }
+        await _db.RecordLoginResult(code, true, MaxFailedAttempts, Lockout);
+
+        var identity = new ClaimsIdentity(new[]
+        {
+            new Claim(ClaimTypes.NameIdentifier, op.EmployeeCode),
+            new Claim(ClaimTypes.Name, op.DisplayName),
+            new Claim(ClaimTypes.Role, op.Role)
+        }, CookieAuthenticationDefaults.AuthenticationScheme);
+
+        await HttpContext.SignInAsync(CookieAuthenticationDefaults.AuthenticationScheme,
+            new ClaimsPrincipal(identity), new AuthenticationProperties { IsPersistent = true });
+
+        return Ok(new OperatorInfo { EmployeeCode = op.EmployeeCode, DisplayName = op.DisplayName, Role = op.Role });
+    }
+
+    [HttpPost("logout")]
+    public async Task<IActionResult> Logout()
+    {
+        await HttpContext.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+        return Ok(new { message = "ออกจากระบบแล้ว" });
+    }
+
+    [HttpGet("me")]
+    public IActionResult Me()
+    {
+        var op = User.ToOperatorInfo();
+        if (op == null)
+            return Unauthorized(new { message = "ยังไม่ได้เข้าสู่ระบบ" });
+        return Ok(op);
+    }
+}
+
+public static class OperatorClaims
+{
+    public static OperatorInfo? ToOperatorInfo(this ClaimsPrincipal user)
+    {
+        var code = user.FindFirstValue(ClaimTypes.NameIdentifier);
+        if (user.Identity?.IsAuthenticated != true || string.IsNullOrEmpty(code))
+            return null;
+        return new OperatorInfo
+        {
+            EmployeeCode = code,
+            DisplayName = user.FindFirstValue(ClaimTypes.Name) ?? code,
+            Role = user.FindFirstValue(ClaimTypes.Role) ?? OperatorRoles.Operator
+        };
+    }
+
+    public static string EmployeeCode(this ClaimsPrincipal user) =>
+        user.FindFirstValue(ClaimTypes.NameIdentifier) ?? "";
+}
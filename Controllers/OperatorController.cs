@@ -0,0 +1,98 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using WorkProgress.Models;
+using WorkProgress.Services;
+
+namespace WorkProgress.Controllers;
+
+// Operator accounts for the admin screen. Accounts are deactivated rather than deleted,
+// since saved records and the audit log keep pointing at their employee code.
+[Route("api/[controller]")]
+[ApiController]
+public class ApiOperatorController : ControllerBase
+{
+    private readonly DbService _db;
+
+    public ApiOperatorController(DbService db)
+    {
+        _db = db;
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpGet]
+    public async Task<IActionResult> GetOperators()
+    {
+        return Ok(await _db.GetOperators());
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost]
+    public async Task<IActionResult> CreateOperator([FromBody] OperatorCreateRequest req)
+    {
+        var code = req.EmployeeCode?.Trim() ?? "";
+        if (code.Length == 0)
+            return BadRequest(new { message = "ต้องระบุรหัสพนักงาน" });
+        if (code.Length > 50)
+            return BadRequest(new { message = "รหัสพนักงานยาวเกิน 50 ตัวอักษร" });
+        if (string.IsNullOrWhiteSpace(req.DisplayName))
+            return BadRequest(new { message = "ต้องระบุชื่อ" });
+        if (req.DisplayName.Trim().Length > 100)
+            return BadRequest(new { message = "ชื่อยาวเกิน 100 ตัวอักษร" });
+        if (!IsValidPin(req.Pin))
+            return BadRequest(new { message = "PIN ต้องเป็นตัวเลข 4–8 หลัก" });
+        if (!OperatorRoles.All.Contains(req.Role))
+            return BadRequest(new { message = "สิทธิ์ไม่ถูกต้อง" });
+        if (await _db.GetOperatorByCode(code) != null)
+            return BadRequest(new { message = "มีรหัสพนักงานนี้แล้ว" });
+
+        return Ok(await _db.CreateOperator(req));
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPut("{id}/pin")]
+    public async Task<IActionResult> ResetPin(int id, [FromBody] OperatorPinRequest req)
+    {
+        if (!IsValidPin(req.Pin))
+            return BadRequest(new { message = "PIN ต้องเป็นตัวเลข 4–8 หลัก" });
+        if (!await _db.ResetOperatorPin(id, req.Pin))
+            return NotFound(new { message = "ไม่พบผู้ใช้งาน" });
+        return Ok(await _db.GetOperatorSummary(id));
+    }
+
+    // Takes effect on the operator's next request: the cookie is re-checked against the table
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPut("{id}/role")]
+    public async Task<IActionResult> SetRole(int id, [FromBody] OperatorRoleRequest req)
+    {
+        if (!OperatorRoles.All.Contains(req.Role))
+            return BadRequest(new { message = "สิทธิ์ไม่ถูกต้อง" });
+        var op = await _db.GetOperatorSummary(id);
+        if (op == null)
+            return NotFound(new { message = "ไม่พบผู้ใช้งาน" });
+        // The caller is an admin, so refusing a change to their own role keeps at least one
+        if (op.EmployeeCode == User.EmployeeCode())
+            return BadRequest(new { message = "เปลี่ยนสิทธิ์ของตัวเองไม่ได้" });
+
+        await _db.SetOperatorRole(id, req.Role);
+        return Ok(await _db.GetOperatorSummary(id));
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPut("{id}/active")]
+    public async Task<IActionResult> SetActive(int id, [FromBody] OperatorActiveRequest req)
+    {
+        var op = await _db.GetOperatorSummary(id);
+        if (op == null)
+            return NotFound(new { message = "ไม่พบผู้ใช้งาน" });
+        // The caller is an active admin, so refusing self-deactivation keeps at least one
+        if (!req.IsActive && op.EmployeeCode == User.EmployeeCode())
+            return BadRequest(new { message = "ปิดการใช้งานบัญชีของตัวเองไม่ได้" });
+
+        await _db.SetOperatorActive(id, req.IsActive);
+        return Ok(await _db.GetOperatorSummary(id));
+    }
+
+    private static bool IsValidPin(string? pin) =>
+        Regex.IsMatch(pin?.Trim() ?? "", @"^\d{4,8}$");
+}
@@ -0,0 +1,107 @@
+using System.Text;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using WorkProgress.Models;
+using WorkProgress.Services;
+
+namespace WorkProgress.Controllers;
+
+[Route("api/[controller]")]
+[ApiController]
+public class ApiWebhookController : ControllerBase
+{
+    private readonly DbService _db;
+    private readonly WebhookService _webhookService;
+    private readonly IWebHostEnvironment _env;
+    private readonly ILogger<ApiWebhookController> _logger;
+
+    public ApiWebhookController(DbService db, WebhookService webhookService, IWebHostEnvironment env,
+        ILogger<ApiWebhookController> logger)
+    {
+        _db = db;
+        _webhookService = webhookService;
+        _env = env;
+        _logger = logger;
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpGet]
+    public async Task<IActionResult> GetWebhooks()
+    {
+        return Ok(await _db.GetWebhooks());
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost]
+    public async Task<IActionResult> SaveWebhook([FromBody] WebhookSaveRequest req)
+    {
+        if (string.IsNullOrWhiteSpace(req.Name))
+            return BadRequest(new { message = "ต้องระบุชื่อ" });
+        if (!Uri.TryCreate(req.Url.Trim(), UriKind.Absolute, out var uri) ||
+            (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            return BadRequest(new { message = "URL ต้องขึ้นต้นด้วย http:// หรือ https://" });
+        if (req.Milestones.Count == 0)
+            return BadRequest(new { message = "ต้องเลือกอย่างน้อย 1 เป้าหมาย" });
+        if (req.Milestones.Any(m => m < 1 || m > 100))
+            return BadRequest(new { message = "เป้าหมายต้องอยู่ระหว่าง 1–100%" });
+
+        var saved = await _db.SaveWebhook(req);
+        if (saved == null)
+            return NotFound(new { message = "ไม่พบ Webhook" });
+        return Ok(saved);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpDelete("{id}")]
+    public async Task<IActionResult> DeleteWebhook(int id)
+    {
+        if (!await _db.DeleteWebhook(id))
+            return NotFound(new { message = "ไม่พบ Webhook" });
+        return Ok(new { message = "ลบ Webhook สำเร็จ" });
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("{id}/test")]
+    public async Task<IActionResult> SendTest(int id)
+    {
+        var delivery = await _webhookService.SendTest(id);
+        if (delivery == null)
+            return NotFound(new { message = "ไม่พบ Webhook" });
+        return Ok(delivery);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpGet("deliveries")]
+    public async Task<IActionResult> GetDeliveries([FromQuery] int? webhookId = null, [FromQuery] int limit = 50)
+    {
+        if (limit < 1 || limit > 500)
+            return BadRequest(new { message = "จำนวนรายการไม่ถูกต้อง" });
+        return Ok(await _db.GetWebhookDeliveries(webhookId, limit));
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("deliveries/{id}/retry")]
+    public async Task<IActionResult> RetryDelivery(long id)
+    {
+        if (!await _db.RetryWebhookDelivery(id))
+            return NotFound(new { message = "ไม่พบรายการที่ส่งไม่สำเร็จ" });
+        return Ok(new { message = "จะส่งใหม่อีกครั้ง" });
+    }
+
+    // Development only: point a webhook at /api/ApiWebhook/dev-receiver to see payloads in the log
+    [HttpPost("dev-receiver")]
+    public async Task<IActionResult> DevReceiver()
+    {
+        if (!_env.IsDevelopment())
+            return NotFound();
+
+        using var reader = new StreamReader(Request.Body, Encoding.UTF8);
+        var body = await reader.ReadToEndAsync();
+        _logger.LogInformation("Webhook received: event={Event} delivery={Delivery} signature={Signature}\n{Body}",
+            Request.Headers["X-WorkProgress-Event"].ToString(),
+            Request.Headers["X-WorkProgress-Delivery"].ToString(),
+            Request.Headers["X-WorkProgress-Signature"].ToString(),
+            body);
+        return Ok(new { received = true });
+    }
+}
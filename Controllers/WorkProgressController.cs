@@ -1,5 +1,7 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 using WorkProgress.Models;
 using WorkProgress.Services;
 
@@ -7,7 +9,72 @@ namespace WorkProgress.Controllers;
 
 public class WorkProgressController : Controller
 {
+    private readonly DbService _db;
+    private readonly ProgressReportService _reportService;
+
+    public WorkProgressController(DbService db, ProgressReportService reportService)
+    {
+        _db = db;
+        _reportService = reportService;
+    }
+
     public IActionResult Index() => View();
+
+    public IActionResult Dashboard() => View();
+
+    public IActionResult Import() => View();
+
+    public IActionResult Webhooks() => View();
+
+    public IActionResult Operators() => View();
+
+    [HttpGet]
+    public async Task<IActionResult> PrintSheet(string barcode, string paper = "A4")
+    {
+        if (string.IsNullOrWhiteSpace(barcode))
+            return BadRequest("ต้องระบุ Barcode");
+
+        var item = await _db.GetBarcodeItem(barcode);
+        if (item == null)
+            return NotFound("ไม่พบข้อมูล Barcode นี้");
+
+        return View(new PrintSheetViewModel
+        {
+            Item = item,
+            Paper = string.Equals(paper, "A3", StringComparison.OrdinalIgnoreCase) ? "A3" : "A4"
+        });
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> Report(string barcode, DateTime? from, DateTime? to, bool images = true)
+    {
+        var (report, error) = await BuildReport(barcode, from, to, images);
+        return error ?? View(report);
+    }
+
+    [HttpGet]
+    public async Task<IActionResult> ReportPdf(string barcode, DateTime? from, DateTime? to, bool images = true)
+    {
+        var (report, error) = await BuildReport(barcode, from, to, images);
+        if (error != null) return error;
+
+        var pdf = _reportService.RenderPdf(report!);
+        return File(pdf, "application/pdf", $"report_{report!.Item.BarcodeNo.Trim()}.pdf");
+    }
+
+    private async Task<(ProgressReport? Report, IActionResult? Error)> BuildReport(
+        string barcode, DateTime? from, DateTime? to, bool images)
+    {
+        if (string.IsNullOrWhiteSpace(barcode))
+            return (null, BadRequest("ต้องระบุ Barcode"));
+        if (from.HasValue && to.HasValue && from > to)
+            return (null, BadRequest("วันที่เริ่มต้องไม่เกินวันที่สิ้นสุด"));
+
+        var report = await _reportService.Build(barcode, from, to, images);
+        if (report == null)
+            return (null, NotFound("ไม่พบข้อมูล Barcode นี้"));
+        return (report, null);
+    }
 }
 
 [Route("api/[controller]")]
@@ -17,14 +84,29 @@ public class ApiWorkProgressController : ControllerBase
     private readonly DbService _db;
     private readonly ColorAnalysisService _colorService;
     private readonly TemplateMaskService _templateService;
+    private readonly ProgressForecastService _forecastService;
+    private readonly ProgressAlertService _alertService;
+    private readonly ProgressExportService _exportService;
+    private readonly BarcodeImportService _importService;
+    private readonly WebhookService _webhookService;
+    private readonly PaintDiffService _paintDiffService;
     private readonly IWebHostEnvironment _env;
 
     public ApiWorkProgressController(DbService db, ColorAnalysisService colorService,
-        TemplateMaskService templateService, IWebHostEnvironment env)
+        TemplateMaskService templateService, ProgressForecastService forecastService,
+        ProgressAlertService alertService, ProgressExportService exportService,
+        BarcodeImportService importService, WebhookService webhookService, PaintDiffService paintDiffService,
+        IWebHostEnvironment env)
     {
         _db = db;
         _colorService = colorService;
         _templateService = templateService;
+        _forecastService = forecastService;
+        _alertService = alertService;
+        _exportService = exportService;
+        _importService = importService;
+        _webhookService = webhookService;
+        _paintDiffService = paintDiffService;
         _env = env;
     }
 
@@ -41,8 +123,8 @@ public class ApiWorkProgressController : ControllerBase
         var cumOt = history.Any() ? history.Max(h => h.ComputedOtPercent) : 0m;
         var cumTotal = Math.Min(cumNormal + cumOt, 100m);
 
-        var hasProfile = await _db.HasColorProfile(barcode);
-        var hasTemplate = await _db.HasTemplate(barcode);
+        var (_, profileOrigin) = await _db.ResolveColorProfile(barcode);
+        var (_, templateOrigin) = await _db.ResolveTemplate(barcode);
         var dailySummaries = await _db.GetDailySummaries(barcode);
 
         // Get latest day's delta from DB summaries
@@ -64,12 +146,15 @@ public class ApiWorkProgressController : ControllerBase
             CumulativeOt = cumOt,
             CumulativeTotal = cumTotal,
             CumulativeIsComplete = cumTotal >= 99.5m,
-            HasColorProfile = hasProfile,
-            HasTemplate = hasTemplate,
+            HasColorProfile = profileOrigin.Kind == "own",
+            HasTemplate = templateOrigin.Kind == "own",
+            ColorProfileOrigin = profileOrigin,
+            TemplateOrigin = templateOrigin,
             DailyDeltaNormal = deltaNormal,
             DailyDeltaOt = deltaOt,
             DailyDeltaTotal = deltaTotal,
-            DailySummaries = dailySummaries
+            DailySummaries = dailySummaries,
+            Forecast = _forecastService.Forecast(dailySummaries)
         });
     }
 
@@ -83,51 +168,92 @@ public class ApiWorkProgressController : ControllerBase
         if (base64.Contains(","))
             base64 = base64.Split(',')[1];
 
+        if (req.Corners != null && !IsValidCornerList(req.Corners))
+            return BadRequest(new { message = "มุมแผนต้องมี 4 จุด และอยู่ภายในรูปภาพ" });
+
         var imageBytes = Convert.FromBase64String(base64);
 
         ColorProfile? profile = null;
         OrderTemplate? template = null;
 
+        // Orders without their own settings fall back to another order of the same design
         if (!string.IsNullOrEmpty(req.OrderNo))
         {
-            profile = await _db.GetColorProfile(req.OrderNo);
-            template = await _db.GetTemplate(req.OrderNo);
+            (profile, _) = await _db.ResolveColorProfile(req.OrderNo);
+            (template, _) = await _db.ResolveTemplate(req.OrderNo);
         }
 
+        var options = new CvAnalyzeOptions
+        {
+            IncludeOverlay = req.IncludeOverlay,
+            UseQrRectification = req.UseQrRectification,
+            ManualCorners = req.Corners
+        };
         ColorAnalysisResult result;
 
         if (template != null)
         {
             var templateImgPath = Path.Combine(_env.WebRootPath, template.TemplateImagePath.TrimStart('/'));
             var maskPath = Path.Combine(_env.WebRootPath, template.PaintableMaskPath.TrimStart('/'));
-            result = _colorService.AnalyzeWithTemplate(imageBytes, templateImgPath, maskPath, profile);
+            options.CountCells = template.CountingMode == TemplateCountingModes.Cell;
+            result = _colorService.AnalyzeWithTemplate(imageBytes, templateImgPath, maskPath, profile, options);
         }
         else
         {
-            result = _colorService.Analyze(imageBytes, profile);
+            result = _colorService.Analyze(imageBytes, profile, options);
         }
 
         return Ok(result);
     }
 
+    [Authorize]
     [HttpPost("save")]
     public async Task<IActionResult> SaveProgress([FromBody] ProgressSaveRequest req)
     {
+        if (req.PlanCorners != null && !IsValidCornerList(req.PlanCorners))
+            return BadRequest(new { message = "มุมแผนต้องมี 4 จุด และอยู่ภายในรูปภาพ" });
+
+        // Attribution comes from the session, never from the request body
+        req.CreatedBy = User.EmployeeCode();
+
+        // Replayed from the offline queue: the first attempt already landed
+        if (!string.IsNullOrWhiteSpace(req.ClientRequestId))
+        {
+            var (known, existing) = await _db.GetProgressByClientRequestId(req.ClientRequestId.Trim());
+            // Deleted or purged since it landed: don't report the save as live, and don't recreate it
+            if (existing?.DeletedAt != null)
+                return Conflict(new { message = "รายการนี้ถูกบันทึกแล้วแต่ถูกลบภายหลัง ดูได้ที่ถังขยะ" });
+            if (known && existing == null)
+                return Conflict(new { message = "รายการนี้ถูกบันทึกแล้วแต่ถูกลบถาวรภายหลัง" });
+            if (existing != null)
+                return Ok(existing);
+        }
+
+        // A replay carries whoever is signed in now; only the operator who queued it may send it
+        if (!string.IsNullOrWhiteSpace(req.QueuedBy) && req.QueuedBy.Trim() != req.CreatedBy)
+            return Conflict(new { message = $"รายการนี้บันทึกโดยรหัส {req.QueuedBy.Trim()} กรุณาเข้าสู่ระบบด้วยรหัสนั้นแล้วส่งอีกครั้ง" });
+
+        // Saves replayed from the offline queue can land in the same second for one order
+        var stamp = $"{DateTime.Now:yyyyMMdd_HHmmss}_{req.BarcodeNo.Trim()}_{Guid.NewGuid():N}";
         string? imagePath = null;
+        string? correctionMaskPath = null;
 
         if (!string.IsNullOrEmpty(req.ImageBase64))
+            imagePath = await SaveUpload(req.ImageBase64, $"{stamp}.jpg");
+
+        if (!string.IsNullOrEmpty(req.CorrectionMaskBase64))
+            correctionMaskPath = await SaveUpload(req.CorrectionMaskBase64, $"{stamp}_mask.png");
+
+        string? paintMaskPath = null;
+        var paintMaskTemplate = false;
+        if (!string.IsNullOrEmpty(req.PaintMaskBase64))
         {
-            var base64 = req.ImageBase64;
-            if (base64.Contains(","))
-                base64 = base64.Split(',')[1];
-
-            var imageBytes = Convert.FromBase64String(base64);
-            var uploadsDir = Path.Combine(_env.WebRootPath, "uploads");
-            Directory.CreateDirectory(uploadsDir);
-            var fileName = $"{DateTime.Now:yyyyMMdd_HHmmss}_{req.BarcodeNo.Trim()}.jpg";
-            var filePath = Path.Combine(uploadsDir, fileName);
-            await System.IO.File.WriteAllBytesAsync(filePath, imageBytes);
-            imagePath = $"/uploads/{fileName}";
+            var mask = _paintDiffService.NormalizeMask(DecodeDataUrl(req.PaintMaskBase64), out var maskSize);
+            if (mask != null)
+            {
+                paintMaskPath = await SaveUploadBytes(mask, $"{stamp}_paint.png");
+                paintMaskTemplate = await IsTemplateFrame(req.BarcodeNo, maskSize.Width, maskSize.Height);
+            }
         }
 
         req.TotalPercent = Math.Min(req.NormalPercent + req.OtPercent, 100m);
@@ -135,33 +261,123 @@ public class ApiWorkProgressController : ControllerBase
         var baseInfo = new { req.BarcodeNo, req.Orno, SavedAt = DateTime.Now };
         var baseInfoJson = JsonSerializer.Serialize(baseInfo);
 
-        var saved = await _db.SaveProgress(req, imagePath, baseInfoJson);
+        var planCornersJson = req.PlanCorners != null ? JsonSerializer.Serialize(req.PlanCorners) : null;
+
+        var previousTotal = await _webhookService.CurrentTotal(req.BarcodeNo);
+        var saved = await _db.SaveProgress(req, imagePath, correctionMaskPath, planCornersJson,
+            paintMaskPath, paintMaskTemplate, baseInfoJson);
 
         // Upsert daily summary
         var targetDate = req.RecordDate?.Date ?? DateTime.Now.Date;
         await _db.UpsertDailySummary(req.BarcodeNo.Trim(), targetDate,
             req.NormalPercent, req.OtPercent, req.TotalPercent);
 
+        await _webhookService.NotifyProgress(req.BarcodeNo.Trim(), previousTotal, saved);
         return Ok(saved);
     }
 
+    private Task<string> SaveUpload(string base64, string fileName) =>
+        SaveUploadBytes(DecodeDataUrl(base64), fileName);
+
+    private static byte[] DecodeDataUrl(string base64)
+    {
+        if (base64.Contains(","))
+            base64 = base64.Split(',')[1];
+        return Convert.FromBase64String(base64);
+    }
+
+    private async Task<string> SaveUploadBytes(byte[] bytes, string fileName)
+    {
+        var uploadsDir = Path.Combine(_env.WebRootPath, "uploads");
+        Directory.CreateDirectory(uploadsDir);
+        await System.IO.File.WriteAllBytesAsync(Path.Combine(uploadsDir, fileName), bytes);
+        return $"/uploads/{fileName}";
+    }
+
+    private static bool IsValidCornerList(List<NormalizedPoint> corners) =>
+        corners.Count == 4 && corners.All(p => p.X is >= 0 and <= 1 && p.Y is >= 0 and <= 1);
+
+    // Colours are rendered back into style attributes, so only #RRGGBB is stored
+    private static bool IsValidColorList(List<ColorProfileColorInput> colors) =>
+        colors.All(c => c.ColorGroup is "normal" or "ot" && Regex.IsMatch(c.HexColor ?? "", "^#[0-9a-fA-F]{6}$"));
+
+    [Authorize(Roles = OperatorRoles.SupervisorOrAdmin)]
     [HttpPut("update/{id}")]
     public async Task<IActionResult> UpdateProgress(int id, [FromBody] UpdateProgressRequest req)
     {
-        var total = Math.Min(req.NormalPercent + req.OtPercent, 100m);
-        var updated = await _db.UpdateProgress(id, req.NormalPercent, req.OtPercent, total, req.Note);
+        if (req.NormalPercent < 0 || req.OtPercent < 0)
+            return BadRequest(new { message = "ค่าเปอร์เซ็นต์ต้องไม่ติดลบ" });
+        if (req.NormalPercent + req.OtPercent > 100m)
+            return BadRequest(new { message = "ปกติ + OT รวมกันต้องไม่เกิน 100%" });
+
+        var existing = await _db.GetProgressById(id);
+        if (existing == null || existing.DeletedAt != null)
+            return NotFound(new { message = "ไม่พบข้อมูล" });
+        var previousTotal = await _webhookService.CurrentTotal(existing.OrderNo);
+
+        var total = req.NormalPercent + req.OtPercent;
+        var updated = await _db.UpdateProgress(id, req.NormalPercent, req.OtPercent, total, req.Note,
+            User.EmployeeCode());
         if (updated == null)
             return NotFound(new { message = "ไม่พบข้อมูล" });
+
+        // Keep the day's summary (and later days' deltas) in step with the edit
+        await _db.UpsertDailySummary(updated.OrderNo.Trim(), updated.WorkDate.ToDateTime(TimeOnly.MinValue),
+            updated.ComputedNormalPercent, updated.ComputedOtPercent, updated.ComputedTotalPercent);
+
+        await _webhookService.NotifyProgress(updated.OrderNo.Trim(), previousTotal, updated);
         return Ok(updated);
     }
 
+    [Authorize(Roles = OperatorRoles.SupervisorOrAdmin)]
     [HttpDelete("delete/{id}")]
     public async Task<IActionResult> DeleteProgress(int id)
     {
-        var deleted = await _db.DeleteProgress(id);
-        if (!deleted)
+        var deleted = await _db.DeleteProgress(id, User.EmployeeCode());
+        if (deleted == null)
             return NotFound(new { message = "ไม่พบข้อมูล" });
-        return Ok(new { message = "ลบสำเร็จ" });
+
+        await _db.DeleteDailySummary(deleted.OrderNo.Trim(), deleted.WorkDate.ToDateTime(TimeOnly.MinValue));
+        return Ok(new { message = "ลบสำเร็จ", id });
+    }
+
+    [Authorize(Roles = OperatorRoles.SupervisorOrAdmin)]
+    [HttpPost("restore/{id}")]
+    public async Task<IActionResult> RestoreProgress(int id)
+    {
+        var (restored, conflict) = await _db.RestoreProgress(id, User.EmployeeCode());
+        if (conflict)
+            return Conflict(new { message = "วันนี้มีการบันทึกใหม่แล้ว ต้องลบรายการใหม่ก่อนจึงจะกู้คืนได้" });
+        if (restored == null)
+            return NotFound(new { message = "ไม่พบข้อมูลในถังขยะ" });
+
+        await _db.UpsertDailySummary(restored.OrderNo.Trim(), restored.WorkDate.ToDateTime(TimeOnly.MinValue),
+            restored.ComputedNormalPercent, restored.ComputedOtPercent, restored.ComputedTotalPercent);
+        return Ok(restored);
+    }
+
+    [Authorize(Roles = OperatorRoles.SupervisorOrAdmin)]
+    [HttpGet("recycle-bin/{barcode}")]
+    public async Task<IActionResult> GetRecycleBin(string barcode)
+    {
+        return Ok(await _db.GetDeletedProgress(barcode));
+    }
+
+    [Authorize(Roles = OperatorRoles.SupervisorOrAdmin)]
+    [HttpDelete("purge/{id}")]
+    public async Task<IActionResult> PurgeProgress(int id)
+    {
+        var purged = await _db.PurgeProgress(id, User.EmployeeCode());
+        if (purged == null)
+            return NotFound(new { message = "ไม่พบข้อมูลในถังขยะ" });
+
+        foreach (var path in new[] { purged.EvidenceImagePath, purged.CorrectionMaskPath, purged.PaintMaskPath })
+        {
+            if (string.IsNullOrEmpty(path)) continue;
+            var fullPath = Path.Combine(_env.WebRootPath, path.TrimStart('/'));
+            if (System.IO.File.Exists(fullPath)) System.IO.File.Delete(fullPath);
+        }
+        return Ok(new { message = "ลบถาวรสำเร็จ" });
     }
 
     [HttpGet("history/{barcode}")]
@@ -171,6 +387,290 @@ public class ApiWorkProgressController : ControllerBase
         return Ok(new { records, totalCount, limit, offset });
     }
 
+    [HttpGet("audit/{barcode}")]
+    public async Task<IActionResult> GetAudit(string barcode, [FromQuery] int limit = 100)
+    {
+        if (limit < 1 || limit > 500)
+            return BadRequest(new { message = "จำนวนรายการไม่ถูกต้อง" });
+        return Ok(await _db.GetProgressAudit(barcode, limit));
+    }
+
+    // Before/after of two evidence photos; aligned to the order template when there is one
+    [HttpGet("compare")]
+    public async Task<IActionResult> CompareEvidence([FromQuery] int beforeId, [FromQuery] int afterId)
+    {
+        if (beforeId == afterId)
+            return BadRequest(new { message = "กรุณาเลือก 2 รายการที่ต่างกัน" });
+
+        var first = await _db.GetProgressById(beforeId);
+        var second = await _db.GetProgressById(afterId);
+        if (first == null || second == null || first.DeletedAt != null || second.DeletedAt != null)
+            return NotFound(new { message = "ไม่พบรายการ" });
+        if (first.OrderNo.Trim() != second.OrderNo.Trim())
+            return BadRequest(new { message = "ต้องเป็นรายการของ Order เดียวกัน" });
+        if (string.IsNullOrEmpty(first.EvidenceImagePath) || string.IsNullOrEmpty(second.EvidenceImagePath))
+            return BadRequest(new { message = "รายการที่เลือกไม่มีรูปหลักฐาน" });
+
+        // Always older on the left, whichever order they were picked in
+        if ((second.WorkDate, second.CreatedAt).CompareTo((first.WorkDate, first.CreatedAt)) < 0)
+            (first, second) = (second, first);
+
+        var comparison = new EvidenceComparison
+        {
+            Before = ComparisonSide(first),
+            After = ComparisonSide(second)
+        };
+
+        var (template, _) = await _db.ResolveTemplate(first.OrderNo);
+        if (template == null)
+        {
+            comparison.AlignNote = "Order นี้ยังไม่มี Template จึงแสดงรูปต้นฉบับ";
+            return Ok(comparison);
+        }
+
+        var templateImgPath = Path.Combine(_env.WebRootPath, template.TemplateImagePath.TrimStart('/'));
+        var maskPath = Path.Combine(_env.WebRootPath, template.PaintableMaskPath.TrimStart('/'));
+        var sides = new[] { (Record: first, Side: comparison.Before), (Record: second, Side: comparison.After) };
+        var aligned = new List<(EvidenceComparisonSide Side, string Image, string Method)>();
+        foreach (var (record, side) in sides)
+        {
+            var imagePath = Path.Combine(_env.WebRootPath, record.EvidenceImagePath!.TrimStart('/'));
+            if (!System.IO.File.Exists(imagePath)) break;
+
+            var image = _colorService.AlignEvidenceToTemplate(await System.IO.File.ReadAllBytesAsync(imagePath),
+                templateImgPath, maskPath, StoredPlanCorners(record), out var method);
+            if (image == null) break;
+            aligned.Add((side, image, method));
+        }
+
+        // Half-aligned pairs wouldn't line up, so it's both or neither
+        if (aligned.Count < sides.Length)
+        {
+            comparison.AlignNote = "จัดแนวรูปกับ Template ไม่สำเร็จ จึงแสดงรูปต้นฉบับ";
+            return Ok(comparison);
+        }
+
+        foreach (var (side, image, method) in aligned)
+        {
+            side.Image = image;
+            side.AlignMethod = method;
+        }
+        comparison.Aligned = true;
+        return Ok(comparison);
+    }
+
+    private static EvidenceComparisonSide ComparisonSide(ProgressRecord r) => new()
+    {
+        RecordId = r.Id,
+        WorkDate = r.WorkDate,
+        CreatedAt = r.CreatedAt,
+        NormalPercent = r.ComputedNormalPercent,
+        OtPercent = r.ComputedOtPercent,
+        TotalPercent = Math.Min(r.ComputedTotalPercent, 100m),
+        Image = r.EvidenceImagePath ?? ""
+    };
+
+    // Corners picked or detected when the photo was analysed, as saved with the record
+    private static List<NormalizedPoint>? StoredPlanCorners(ProgressRecord r)
+    {
+        if (string.IsNullOrEmpty(r.PlanCornersJson)) return null;
+        try
+        {
+            var corners = JsonSerializer.Deserialize<List<NormalizedPoint>>(r.PlanCornersJson,
+                new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+            return corners != null && IsValidCornerList(corners) ? corners : null;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    // ── Day-over-day paint diff ──
+
+    [HttpGet("diff/{id}")]
+    public async Task<IActionResult> GetPaintDiff(int id)
+    {
+        var record = await _db.GetProgressById(id);
+        if (record == null || record.DeletedAt != null)
+            return NotFound(new { message = "ไม่พบรายการ" });
+        var currentMask = ReadUpload(record.PaintMaskPath);
+        if (currentMask == null)
+            return NotFound(new { message = "รายการนี้ไม่มีข้อมูลพื้นที่ระบายสี" });
+
+        var result = await DiffAgainstPrevious(record.OrderNo, record.WorkDate, currentMask, record.PaintMaskTemplate);
+        if (result == null)
+            return NotFound(new { message = "ไม่มีข้อมูลวันก่อนหน้าให้เปรียบเทียบ" });
+        result.RecordId = record.Id;
+        return Ok(result);
+    }
+
+    // Same diff for an analysis that hasn't been saved yet
+    [HttpPost("diff/preview")]
+    public async Task<IActionResult> PreviewPaintDiff([FromBody] PaintDiffPreviewRequest req)
+    {
+        if (string.IsNullOrWhiteSpace(req.OrderNo) || string.IsNullOrEmpty(req.PaintMaskBase64))
+            return BadRequest(new { message = "ข้อมูลไม่ครบ" });
+
+        var mask = _paintDiffService.NormalizeMask(DecodeDataUrl(req.PaintMaskBase64), out var size);
+        if (mask == null)
+            return BadRequest(new { message = "อ่านข้อมูลพื้นที่ระบายสีไม่ได้" });
+
+        var workDate = DateOnly.FromDateTime(req.RecordDate?.Date ?? DateTime.Now.Date);
+        var templateFrame = await IsTemplateFrame(req.OrderNo, size.Width, size.Height);
+        var result = await DiffAgainstPrevious(req.OrderNo, workDate, mask, templateFrame);
+        if (result == null)
+            return NotFound(new { message = "ไม่มีข้อมูลวันก่อนหน้าให้เปรียบเทียบ" });
+        return Ok(result);
+    }
+
+    private async Task<PaintDiffResult?> DiffAgainstPrevious(string orderNo, DateOnly workDate,
+        byte[] currentMask, bool currentTemplateFrame)
+    {
+        var previous = await _db.GetPreviousPaintMaskRecord(orderNo, workDate);
+        var previousMask = ReadUpload(previous?.PaintMaskPath);
+        if (previous == null || previousMask == null) return null;
+
+        var result = _paintDiffService.Compare(currentMask, previousMask);
+        result.PreviousRecordId = previous.Id;
+        result.PreviousWorkDate = previous.WorkDate;
+        // Contour frames are cropped per photo, so only two template-frame masks line up exactly
+        result.Aligned = result.SameFrame && currentTemplateFrame && previous.PaintMaskTemplate;
+        return result;
+    }
+
+    // The analysed frame is the template's own size whenever a template was used
+    private async Task<bool> IsTemplateFrame(string orderNo, int width, int height)
+    {
+        var (template, _) = await _db.ResolveTemplate(orderNo);
+        return template != null && template.TemplateWidth == width && template.TemplateHeight == height;
+    }
+
+    private byte[]? ReadUpload(string? path)
+    {
+        if (string.IsNullOrEmpty(path)) return null;
+        var fullPath = Path.Combine(_env.WebRootPath, path.TrimStart('/'));
+        return System.IO.File.Exists(fullPath) ? System.IO.File.ReadAllBytes(fullPath) : null;
+    }
+
+    // ── Export (CSV / XLSX) ──
+
+    private const int MaxExportRangeDays = 366;
+
+    [HttpGet("export/records/{barcode}")]
+    public async Task<IActionResult> ExportRecords(string barcode, [FromQuery] string format = ProgressExportService.Csv,
+        [FromQuery] DateTime? from = null, [FromQuery] DateTime? to = null)
+    {
+        var invalid = ValidateExport(format, from, to);
+        if (invalid != null) return invalid;
+        var file = await _exportService.ExportRecords(barcode, from, to, format);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    [HttpGet("export/daily/{barcode}")]
+    public async Task<IActionResult> ExportDaily(string barcode, [FromQuery] string format = ProgressExportService.Csv,
+        [FromQuery] DateTime? from = null, [FromQuery] DateTime? to = null)
+    {
+        var invalid = ValidateExport(format, from, to);
+        if (invalid != null) return invalid;
+        var file = await _exportService.ExportDailySummaries(barcode, from, to, format);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    // All orders; without dates it covers the last 30 days
+    [HttpGet("export/range")]
+    public async Task<IActionResult> ExportRange([FromQuery] string format = ProgressExportService.Csv,
+        [FromQuery] DateTime? from = null, [FromQuery] DateTime? to = null)
+    {
+        var end = (to ?? DateTime.Today).Date;
+        var start = (from ?? end.AddDays(-30)).Date;
+        var invalid = ValidateExport(format, start, end);
+        if (invalid != null) return invalid;
+        if ((end - start).TotalDays > MaxExportRangeDays)
+            return BadRequest(new { message = $"ช่วงวันที่ต้องไม่เกิน {MaxExportRangeDays} วัน" });
+
+        var file = await _exportService.ExportRange(start, end, format);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    private IActionResult? ValidateExport(string format, DateTime? from, DateTime? to)
+    {
+        if (!ProgressExportService.IsSupportedFormat(format))
+            return BadRequest(new { message = "รูปแบบไฟล์ต้องเป็น csv หรือ xlsx" });
+        if (from.HasValue && to.HasValue && from > to)
+            return BadRequest(new { message = "วันที่เริ่มต้องไม่เกินวันที่สิ้นสุด" });
+        return null;
+    }
+
+    // ── ERP import of barcode_items ──
+
+    private const int MaxImportFileBytes = 20 * 1024 * 1024;
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("import/barcodes")]
+    public async Task<IActionResult> ImportBarcodes([FromBody] BarcodeImportRequest req)
+    {
+        if (!BarcodeImportService.IsSupportedFile(req.FileName))
+            return BadRequest(new { message = "รองรับเฉพาะไฟล์ .csv หรือ .xlsx" });
+        if (string.IsNullOrEmpty(req.FileBase64))
+            return BadRequest(new { message = "ไม่มีไฟล์" });
+
+        var base64 = req.FileBase64;
+        if (base64.Contains(","))
+            base64 = base64.Split(',')[1];
+
+        var content = Convert.FromBase64String(base64);
+        if (content.Length > MaxImportFileBytes)
+            return BadRequest(new { message = "ไฟล์ต้องมีขนาดไม่เกิน 20 MB" });
+
+        try
+        {
+            var result = await _importService.Import(content, req.FileName, req.DryRun);
+            if (!req.DryRun && !result.Committed)
+                return BadRequest(new { message = "ไฟล์มีข้อผิดพลาด ยังไม่ได้นำเข้า", result });
+            return Ok(result);
+        }
+        catch (InvalidDataException ex)
+        {
+            return BadRequest(new { message = ex.Message });
+        }
+    }
+
+    private static readonly string[] DashboardStatuses = { "idle", "progress", "almost", "done" };
+
+    [HttpGet("dashboard")]
+    public async Task<IActionResult> GetDashboard([FromQuery] DashboardQuery q)
+    {
+        if (q.Page < 1 || q.PageSize < 1 || q.PageSize > 100)
+            return BadRequest(new { message = "หน้าหรือจำนวนต่อหน้าไม่ถูกต้อง" });
+        if (!string.IsNullOrEmpty(q.Status) && !DashboardStatuses.Contains(q.Status))
+            return BadRequest(new { message = "สถานะไม่ถูกต้อง" });
+        if (q.From.HasValue && q.To.HasValue && q.From > q.To)
+            return BadRequest(new { message = "วันที่เริ่มต้องไม่เกินวันที่สิ้นสุด" });
+
+        return Ok(await _db.GetDashboard(q));
+    }
+
+    // Polled by the morning meeting screen as well as the dashboard panel
+    [HttpGet("alerts")]
+    public async Task<IActionResult> GetAlerts([FromQuery] string? kind = null)
+    {
+        if (kind != null && kind != "stale" && kind != "stalled")
+            return BadRequest(new { message = "ประเภทการแจ้งเตือนไม่ถูกต้อง" });
+
+        var report = await _alertService.Evaluate();
+        if (kind != null)
+            report.Alerts = report.Alerts.Where(a => a.Kind == kind).ToList();
+        return Ok(report);
+    }
+
+    [HttpGet("forecast/{barcode}")]
+    public async Task<IActionResult> GetForecast(string barcode)
+    {
+        var summaries = await _db.GetDailySummaries(barcode);
+        return Ok(_forecastService.Forecast(summaries));
+    }
+
     [HttpGet("color-profile/{orderNo}")]
     public async Task<IActionResult> GetColorProfile(string orderNo)
     {
@@ -178,6 +678,7 @@ public class ApiWorkProgressController : ControllerBase
         return Ok(profile);
     }
 
+    [Authorize(Roles = OperatorRoles.Admin)]
     [HttpPost("color-profile")]
     public async Task<IActionResult> SaveColorProfile([FromBody] ColorProfileSaveRequest req)
     {
@@ -185,20 +686,110 @@ public class ApiWorkProgressController : ControllerBase
             return BadRequest(new { message = "ต้องระบุ Order No" });
         if (req.Colors == null || req.Colors.Count == 0)
             return BadRequest(new { message = "ต้องเลือกสีอย่างน้อย 1 สี" });
+        if (!IsValidColorList(req.Colors))
+            return BadRequest(new { message = "รหัสสีไม่ถูกต้อง ต้องอยู่ในรูปแบบ #RRGGBB" });
 
         var profile = await _db.SaveColorProfile(req);
         return Ok(profile);
     }
 
+    [Authorize(Roles = OperatorRoles.Admin)]
     [HttpDelete("color-profile/{orderNo}")]
     public async Task<IActionResult> DeleteColorProfile(string orderNo)
     {
         var deleted = await _db.DeleteColorProfile(orderNo);
         if (!deleted)
             return NotFound(new { message = "ไม่พบการตั้งค่า" });
-        return Ok(new { message = "ลบการตั้งค่าสำเร็จ" });
+        // The order may now fall back to a same-design order's profile
+        var (_, origin) = await _db.ResolveColorProfile(orderNo);
+        return Ok(new { message = "ลบการตั้งค่าสำเร็จ", origin });
     }
 
+    // Makes an inherited profile the order's own: a library link stays a link, colours are copied
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("color-profile/{orderNo}/copy-inherited")]
+    public async Task<IActionResult> CopyInheritedColorProfile(string orderNo)
+    {
+        var (source, origin) = await _db.ResolveColorProfile(orderNo);
+        if (origin.Kind == "own")
+            return BadRequest(new { message = "Order นี้มีการตั้งค่าสีของตัวเองแล้ว" });
+        if (source == null)
+            return NotFound(new { message = "ไม่พบการตั้งค่าสีของ Order ลายเดียวกัน" });
+
+        ColorProfile? profile = null;
+        if (source.LibraryProfileId != null)
+            profile = await _db.LinkColorProfile(orderNo, source.LibraryProfileId.Value);
+        if (profile == null || source.Source != ColorProfileSources.Library)
+            profile = await _db.SaveColorProfile(new ColorProfileSaveRequest
+            {
+                OrderNo = orderNo,
+                Tolerance = source.Tolerance,
+                Colors = source.Colors
+                    .Select(c => new ColorProfileColorInput { ColorGroup = c.ColorGroup, HexColor = c.HexColor })
+                    .ToList()
+            });
+        return Ok(profile);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPut("color-profile/{orderNo}/library")]
+    public async Task<IActionResult> LinkColorProfile(string orderNo, [FromBody] ColorProfileLinkRequest req)
+    {
+        var profile = await _db.LinkColorProfile(orderNo, req.LibraryProfileId);
+        if (profile == null)
+            return NotFound(new { message = "ไม่พบโปรไฟล์สีในคลัง" });
+        return Ok(profile);
+    }
+
+    [HttpGet("color-library")]
+    public async Task<IActionResult> GetColorLibrary()
+    {
+        return Ok(await _db.GetColorLibrary());
+    }
+
+    [HttpGet("color-library/{id}")]
+    public async Task<IActionResult> GetColorLibraryProfile(int id)
+    {
+        var profile = await _db.GetColorLibraryProfile(id);
+        if (profile == null)
+            return NotFound(new { message = "ไม่พบโปรไฟล์สีในคลัง" });
+        return Ok(profile);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("color-library")]
+    public async Task<IActionResult> SaveColorLibraryProfile([FromBody] ColorLibrarySaveRequest req)
+    {
+        if (string.IsNullOrWhiteSpace(req.Name))
+            return BadRequest(new { message = "ต้องระบุชื่อโปรไฟล์" });
+        if (req.Name.Trim().Length > 100)
+            return BadRequest(new { message = "ชื่อโปรไฟล์ยาวเกิน 100 ตัวอักษร" });
+        if (req.Colors == null || req.Colors.Count == 0)
+            return BadRequest(new { message = "ต้องเลือกสีอย่างน้อย 1 สี" });
+        if (!IsValidColorList(req.Colors))
+            return BadRequest(new { message = "รหัสสีไม่ถูกต้อง ต้องอยู่ในรูปแบบ #RRGGBB" });
+        if (await _db.ColorLibraryNameTaken(req.Name, req.Id))
+            return BadRequest(new { message = "มีโปรไฟล์ชื่อนี้ในคลังแล้ว" });
+
+        var profile = await _db.SaveColorLibraryProfile(req);
+        if (profile == null)
+            return NotFound(new { message = "ไม่พบโปรไฟล์สีในคลัง" });
+        return Ok(profile);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpDelete("color-library/{id}")]
+    public async Task<IActionResult> DeleteColorLibraryProfile(int id)
+    {
+        var (deleted, linkedOrders) = await _db.DeleteColorLibraryProfile(id);
+        if (linkedOrders > 0)
+            return BadRequest(new { message = $"มี {linkedOrders} Order ใช้โปรไฟล์นี้อยู่ ลบไม่ได้" });
+        if (!deleted)
+            return NotFound(new { message = "ไม่พบโปรไฟล์สีในคลัง" });
+        return Ok(new { message = "ลบโปรไฟล์สำเร็จ" });
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
     [HttpPost("template")]
     public async Task<IActionResult> CreateTemplate([FromBody] TemplateSaveRequest req)
     {
@@ -231,6 +822,64 @@ public class ApiWorkProgressController : ControllerBase
         return Ok(template);
     }
 
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPost("template/{orderNo}/copy-inherited")]
+    public async Task<IActionResult> CopyInheritedTemplate(string orderNo)
+    {
+        if (await _db.HasTemplate(orderNo))
+            return BadRequest(new { message = "Order นี้มี Template ของตัวเองแล้ว" });
+        var source = await _db.GetDesignTemplate(orderNo);
+        if (source == null)
+            return NotFound(new { message = "ไม่พบ Template ของ Order ลายเดียวกัน" });
+
+        try
+        {
+            return Ok(await _templateService.CopyTemplate(orderNo, source));
+        }
+        catch (IOException ex)
+        {
+            return BadRequest(new { message = $"คัดลอก Template ไม่สำเร็จ: {ex.Message}" });
+        }
+    }
+
+    // Returns the cell count too, so the admin can see whether the grid segments sensibly
+    [Authorize(Roles = OperatorRoles.Admin)]
+    [HttpPut("template/{orderNo}/counting-mode")]
+    public async Task<IActionResult> SetTemplateCountingMode(string orderNo, [FromBody] TemplateCountingModeRequest req)
+    {
+        if (!TemplateCountingModes.All.Contains(req.Mode))
+            return BadRequest(new { message = "วิธีนับไม่ถูกต้อง" });
+
+        var template = await _db.GetTemplate(orderNo);
+        if (template == null)
+            return NotFound(new { message = "ไม่พบ Template" });
+
+        var cellCount = TemplateCellCount(template);
+        if (req.Mode == TemplateCountingModes.Cell && cellCount == 0)
+            return BadRequest(new { message = "แยกช่องใน Template ไม่ได้ ใช้การนับแบบพิกเซลแทน" });
+
+        await _db.SetTemplateCountingMode(orderNo, req.Mode);
+        return Ok(new { countingMode = req.Mode, cellCount });
+    }
+
+    [HttpGet("template/{orderNo}/cells")]
+    public async Task<IActionResult> GetTemplateCellCount(string orderNo)
+    {
+        var template = await _db.GetTemplate(orderNo);
+        if (template == null)
+            return NotFound(new { message = "ไม่พบ Template" });
+        return Ok(new { countingMode = template.CountingMode, cellCount = TemplateCellCount(template) });
+    }
+
+    // 0 when the template's grid doesn't segment into cells
+    private int TemplateCellCount(OrderTemplate template)
+    {
+        var templateImgPath = Path.Combine(_env.WebRootPath, template.TemplateImagePath.TrimStart('/'));
+        var maskPath = Path.Combine(_env.WebRootPath, template.PaintableMaskPath.TrimStart('/'));
+        return _colorService.CountTemplateCells(templateImgPath, maskPath);
+    }
+
+    [Authorize(Roles = OperatorRoles.Admin)]
     [HttpDelete("template/{orderNo}")]
     public async Task<IActionResult> DeleteTemplate(string orderNo)
     {
@@ -246,7 +895,9 @@ public class ApiWorkProgressController : ControllerBase
         var deleted = await _db.DeleteTemplate(orderNo);
         if (!deleted)
             return NotFound(new { message = "ไม่พบ Template" });
-        return Ok(new { message = "ลบ Template สำเร็จ" });
+        // The order may now fall back to a same-design order's template
+        var (_, origin) = await _db.ResolveTemplate(orderNo);
+        return Ok(new { message = "ลบ Template สำเร็จ", origin });
     }
 }
 
@@ -254,6 +905,10 @@ public class ImageUploadRequest
 {
     public string ImageBase64 { get; set; } = "";
     public string? OrderNo { get; set; }
+    public bool IncludeOverlay { get; set; }
+    public bool UseQrRectification { get; set; }
+    // Operator-placed plan corners [TL, TR, BR, BL], normalised 0–1
+    public List<NormalizedPoint>? Corners { get; set; }
 }
 
 public class UpdateProgressRequest
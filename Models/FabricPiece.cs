@@ -17,3 +17,55 @@ public class BarcodeItem
     public string? OrderType { get; set; }
     public DateTime SyncedAt { get; set; }
 }
+
+public class BarcodeImportRequest
+{
+    public string FileName { get; set; } = "";
+    public string FileBase64 { get; set; } = "";
+    // The page always previews first and re-sends the same file to commit
+    public bool DryRun { get; set; } = true;
+}
+
+public class BarcodeImportResult
+{
+    public bool DryRun { get; set; }
+    public bool Committed { get; set; }
+    public int TotalRows { get; set; }
+    public int NewCount { get; set; }
+    public int ChangedCount { get; set; }
+    public int UnchangedCount { get; set; }
+    public List<string> Columns { get; set; } = new();
+    public List<string> IgnoredColumns { get; set; } = new();
+    // New and changed rows only, capped for the preview; the counts cover the whole file
+    public List<BarcodeImportRowDiff> Rows { get; set; } = new();
+    public List<BarcodeImportError> Errors { get; set; } = new();
+}
+
+public class BarcodeImportRowDiff
+{
+    public int RowNumber { get; set; }
+    public string BarcodeNo { get; set; } = "";
+    public string Status { get; set; } = "new"; // new | changed
+    public List<BarcodeFieldChange> Changes { get; set; } = new();
+}
+
+public class BarcodeFieldChange
+{
+    public string Field { get; set; } = "";
+    public string? Before { get; set; }
+    public string? After { get; set; }
+}
+
+public class BarcodeImportError
+{
+    public int RowNumber { get; set; }
+    public string Message { get; set; } = "";
+}
+
+// One row for DbService.ImportBarcodeItems; Values is keyed by barcode_items column
+public class BarcodeItemWrite
+{
+    public string BarcodeNo { get; set; } = "";
+    public bool IsNew { get; set; }
+    public Dictionary<string, object?> Values { get; set; } = new();
+}
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace WorkProgress.Models;
 
 public class ProgressRecord
@@ -13,13 +15,126 @@ public class ProgressRecord
     public string AlgoVersion { get; set; } = "";
     public string BaseInfoJson { get; set; } = "{}";
     public string? EvidenceImagePath { get; set; }
+    public string? CorrectionMaskPath { get; set; }
+    public string? PlanCornersJson { get; set; }
+    public string? PaintMaskPath { get; set; }
+    public bool PaintMaskTemplate { get; set; }
     public decimal DeltaNormalPercent { get; set; }
     public decimal DeltaOtPercent { get; set; }
     public decimal DeltaTotalPercent { get; set; }
     public string? Note { get; set; }
+    // Employee codes; the names are looked up from operators when the record is read
+    public string? CreatedBy { get; set; }
+    public string? CreatedByName { get; set; }
+    public string? UpdatedBy { get; set; }
+    public string? UpdatedByName { get; set; }
+    public DateTime? UpdatedAt { get; set; }
+    // Set while the record sits in the recycle bin
+    public DateTime? DeletedAt { get; set; }
+    public string? DeletedBy { get; set; }
+    public string? DeletedByName { get; set; }
+}
+
+public class ProgressAuditValues
+{
+    public decimal NormalPercent { get; set; }
+    public decimal OtPercent { get; set; }
+    public decimal TotalPercent { get; set; }
+    public decimal? QualityScore { get; set; }
+    public string? Note { get; set; }
+    public string? EvidenceImagePath { get; set; }
     public string? CreatedBy { get; set; }
 }
 
+public class ProgressAuditEntry
+{
+    public long Id { get; set; }
+    public int RecordId { get; set; }
+    public string OrderNo { get; set; } = "";
+    public DateOnly WorkDate { get; set; }
+    // insert | overwrite (same-day re-save) | update | delete
+    public string Action { get; set; } = "";
+    public string? Actor { get; set; }
+    public string? ActorName { get; set; }
+    public DateTime ChangedAt { get; set; }
+    public ProgressAuditValues? Before { get; set; }
+    public ProgressAuditValues? After { get; set; }
+
+    [JsonIgnore] public string? BeforeJson { get; set; }
+    [JsonIgnore] public string? AfterJson { get; set; }
+}
+
+public static class OperatorRoles
+{
+    public const string Operator = "operator";
+    public const string Supervisor = "supervisor";
+    public const string Admin = "admin";
+
+    // For [Authorize(Roles = ...)]: admins can do everything a supervisor can
+    public const string SupervisorOrAdmin = Supervisor + "," + Admin;
+
+    public static readonly string[] All = { Operator, Supervisor, Admin };
+}
+
+public class Operator
+{
+    public int Id { get; set; }
+    public string EmployeeCode { get; set; } = "";
+    public string DisplayName { get; set; } = "";
+    public string Role { get; set; } = OperatorRoles.Operator;
+    public string PinHash { get; set; } = "";
+    public bool IsActive { get; set; } = true;
+    public DateTime CreatedAt { get; set; }
+}
+
+public class OperatorInfo
+{
+    public string EmployeeCode { get; set; } = "";
+    public string DisplayName { get; set; } = "";
+    public string Role { get; set; } = OperatorRoles.Operator;
+}
+
+// Operator as listed on the admin screen; never carries the PIN hash
+public class OperatorSummary
+{
+    public int Id { get; set; }
+    public string EmployeeCode { get; set; } = "";
+    public string DisplayName { get; set; } = "";
+    public string Role { get; set; } = OperatorRoles.Operator;
+    public bool IsActive { get; set; }
+    public DateTime? LockedUntil { get; set; }
+    public DateTime CreatedAt { get; set; }
+}
+
+public class OperatorCreateRequest
+{
+    public string EmployeeCode { get; set; } = "";
+    public string DisplayName { get; set; } = "";
+    public string Pin { get; set; } = "";
+    public string Role { get; set; } = OperatorRoles.Operator;
+}
+
+public class OperatorRoleRequest
+{
+    public string Role { get; set; } = "";
+}
+
+public class OperatorPinRequest
+{
+    public string Pin { get; set; } = "";
+}
+
+public class OperatorActiveRequest
+{
+    public bool IsActive { get; set; }
+}
+
+public class LoginRequest
+{
+    public string EmployeeCode { get; set; } = "";
+    public string Pin { get; set; } = "";
+}
+
 public class ProgressSaveRequest
 {
     public string BarcodeNo { get; set; } = "";
@@ -29,9 +144,16 @@ public class ProgressSaveRequest
     public decimal TotalPercent { get; set; }
     public decimal QualityScore { get; set; }
     public string? ImageBase64 { get; set; }
+    public string? CorrectionMaskBase64 { get; set; }
+    // Final class map of the analysed frame, see PaintDiffService
+    public string? PaintMaskBase64 { get; set; }
+    public List<NormalizedPoint>? PlanCorners { get; set; }
     public string? Note { get; set; }
     public string? CreatedBy { get; set; }
     public DateTime? RecordDate { get; set; }
+    public string? ClientRequestId { get; set; }
+    // Set by the offline queue: who was signed in when the save was parked
+    public string? QueuedBy { get; set; }
 }
 
 public class ColorAnalysisResult
@@ -41,6 +163,117 @@ public class ColorAnalysisResult
     public decimal TotalPercent { get; set; }
     public decimal QualityScore { get; set; }
     public bool IsComplete { get; set; }
+    public AnalysisOverlay? Overlay { get; set; }
+    public RectificationInfo? Rectification { get; set; }
+    // Detected (or chosen) plan quad [TL, TR, BR, BL] in the uploaded photo, 0–1
+    public List<NormalizedPoint>? PlanCorners { get; set; }
+    // Set when the template counts hex cells; the percentages are then cell shares
+    public CellCounts? Cells { get; set; }
+}
+
+public class CellCounts
+{
+    public int Total { get; set; }
+    public int Normal { get; set; }
+    public int Ot { get; set; }
+    public int Empty => Total - Normal - Ot;
+}
+
+public class NormalizedPoint
+{
+    public double X { get; set; }
+    public double Y { get; set; }
+}
+
+public class RectificationInfo
+{
+    // "manual" | "qr" | "template" | "contour"
+    public string Method { get; set; } = "contour";
+    public List<string> CornersFound { get; set; } = new();
+    public string? EstimatedCorner { get; set; }
+    public string? FallbackReason { get; set; }
+}
+
+public class AnalysisOverlay
+{
+    public int Width { get; set; }
+    public int Height { get; set; }
+    public string BaseImage { get; set; } = "";
+    public string PlanMask { get; set; } = "";
+    public string NormalMask { get; set; } = "";
+    public string OtMask { get; set; } = "";
+}
+
+// Two evidence photos of one order for the history modal's before/after view
+public class EvidenceComparison
+{
+    public EvidenceComparisonSide Before { get; set; } = new();
+    public EvidenceComparisonSide After { get; set; } = new();
+    // True when both images were warped into the order template's frame
+    public bool Aligned { get; set; }
+    public string? AlignNote { get; set; }
+}
+
+public class EvidenceComparisonSide
+{
+    public int RecordId { get; set; }
+    public DateOnly WorkDate { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public decimal NormalPercent { get; set; }
+    public decimal OtPercent { get; set; }
+    public decimal TotalPercent { get; set; }
+    // Upload path, or a JPEG data URL of the aligned frame
+    public string Image { get; set; } = "";
+    // "manual" | "template" when aligned
+    public string? AlignMethod { get; set; }
+}
+
+// Where paint appeared or disappeared since the previous work date, as an RGBA layer
+public class PaintDiffResult
+{
+    public int? RecordId { get; set; }
+    public int PreviousRecordId { get; set; }
+    public DateOnly PreviousWorkDate { get; set; }
+    // Both masks are the same size; Aligned additionally needs both in the template frame
+    public bool SameFrame { get; set; }
+    public bool Aligned { get; set; }
+    public int Width { get; set; }
+    public int Height { get; set; }
+    public string Image { get; set; } = "";
+    // Shares of today's plan area
+    public decimal NewNormalPercent { get; set; }
+    public decimal NewOtPercent { get; set; }
+    public decimal RegressionPercent { get; set; }
+}
+
+// Diff of an unsaved analysis in the upload view
+public class PaintDiffPreviewRequest
+{
+    public string OrderNo { get; set; } = "";
+    public DateTime? RecordDate { get; set; }
+    public string PaintMaskBase64 { get; set; } = "";
+}
+
+public class PrintSheetViewModel
+{
+    public BarcodeItem Item { get; set; } = new();
+    public string Paper { get; set; } = "A4";
+}
+
+// Shared by the HTML print view and the PDF of one order's progress report
+public class ProgressReport
+{
+    public BarcodeItem Item { get; set; } = new();
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public bool IncludeImages { get; set; }
+    // As of the end of the range, like the rings on the order page
+    public decimal CumulativeNormal { get; set; }
+    public decimal CumulativeOt { get; set; }
+    public decimal CumulativeTotal { get; set; }
+    public List<DailyProgressSummary> Summaries { get; set; } = new();
+    public List<ProgressRecord> Records { get; set; } = new();
+    public DateTime GeneratedAt { get; set; }
 }
 
 public class OrderInfoViewModel
@@ -54,12 +287,199 @@ public class OrderInfoViewModel
     public bool CumulativeIsComplete { get; set; }
     public bool HasColorProfile { get; set; }
     public bool HasTemplate { get; set; }
+    // Where analysis takes them from; Has* above only cover the order's own settings
+    public SettingOrigin ColorProfileOrigin { get; set; } = SettingOrigin.None();
+    public SettingOrigin TemplateOrigin { get; set; } = SettingOrigin.None();
 
     public decimal DailyDeltaNormal { get; set; }
     public decimal DailyDeltaOt { get; set; }
     public decimal DailyDeltaTotal { get; set; }
 
     public List<DailyProgressSummary> DailySummaries { get; set; } = new();
+    public ProgressForecast Forecast { get; set; } = new();
+}
+
+public class ProgressForecast
+{
+    // "complete" | "projected" | "stalled" | "insufficient"
+    public string Status { get; set; } = "insufficient";
+    public decimal CurrentTotal { get; set; }
+    public decimal Remaining { get; set; }
+    public decimal? DailyRate { get; set; }
+    public DateTime? RateFrom { get; set; }
+    public DateTime? LastWorkDate { get; set; }
+    public int? DaysRemaining { get; set; }
+    public DateTime? ProjectedDate { get; set; }
+    public DateTime? CompletedDate { get; set; }
+}
+
+// One exported line: barcode_items metadata plus either a progress record or a daily summary.
+// CreatedAt / Note / CreatedBy are only filled for progress records.
+public class ProgressExportRow
+{
+    public string BarcodeNo { get; set; } = "";
+    public string? Orno { get; set; }
+    public string? DesignName { get; set; }
+    public decimal? Width { get; set; }
+    public decimal? Length { get; set; }
+    public decimal? Sqm { get; set; }
+    public string? OrderType { get; set; }
+    public DateTime WorkDate { get; set; }
+    public DateTime? CreatedAt { get; set; }
+    public decimal NormalPercent { get; set; }
+    public decimal OtPercent { get; set; }
+    public decimal TotalPercent { get; set; }
+    public decimal DeltaNormal { get; set; }
+    public decimal DeltaOt { get; set; }
+    public decimal DeltaTotal { get; set; }
+    public string? Note { get; set; }
+    public string? CreatedBy { get; set; }
+    public string? CreatedByName { get; set; }
+}
+
+public class ExportFile
+{
+    public byte[] Content { get; set; } = Array.Empty<byte>();
+    public string ContentType { get; set; } = "";
+    public string FileName { get; set; } = "";
+}
+
+public class DashboardQuery
+{
+    public int Page { get; set; } = 1;
+    public int PageSize { get; set; } = 25;
+    // "updated" | "barcode" | "orno" | "total" | "normal" | "ot" | "sqm"
+    public string Sort { get; set; } = "updated";
+    public string Dir { get; set; } = "desc";
+    public string? OrderType { get; set; }
+    // "idle" | "progress" | "almost" | "done", the same buckets as the order page badge
+    public string? Status { get; set; }
+    // Filters on the latest work date of each order
+    public DateTime? From { get; set; }
+    public DateTime? To { get; set; }
+    public string? Search { get; set; }
+}
+
+public class DashboardRow
+{
+    public string BarcodeNo { get; set; } = "";
+    public string Orno { get; set; } = "";
+    public string? DesignName { get; set; }
+    public string? OrderType { get; set; }
+    public decimal? Sqm { get; set; }
+    public decimal CumulativeNormal { get; set; }
+    public decimal CumulativeOt { get; set; }
+    public decimal CumulativeTotal { get; set; }
+    public string Status { get; set; } = "idle";
+    public int RecordCount { get; set; }
+    public DateTime LastUpdated { get; set; }
+    public DateTime LastWorkDate { get; set; }
+}
+
+public class DashboardPage
+{
+    public List<DashboardRow> Items { get; set; } = new();
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public List<string> OrderTypes { get; set; } = new();
+}
+
+public class ProgressAlertSettings
+{
+    // Flag an order once this many working days passed without a new record
+    public int StaleWorkingDays { get; set; } = 5;
+    // Flag an order whose latest N daily deltas are all within ±StalledDeltaPercent
+    public int StalledRecordCount { get; set; } = 3;
+    public decimal StalledDeltaPercent { get; set; } = 0.5m;
+    // Left empty here: the config binder appends to a pre-filled list. Defaults to Mon–Sat.
+    public List<DayOfWeek> WorkingDays { get; set; } = new();
+}
+
+public class ProgressAlert
+{
+    // "stale" | "stalled"
+    public string Kind { get; set; } = "";
+    public string BarcodeNo { get; set; } = "";
+    public string Orno { get; set; } = "";
+    public string? DesignName { get; set; }
+    public string? OrderType { get; set; }
+    public decimal CumulativeTotal { get; set; }
+    public DateTime LastWorkDate { get; set; }
+    public int WorkingDaysSinceUpdate { get; set; }
+    public int FlatRecordCount { get; set; }
+    public string Message { get; set; } = "";
+}
+
+public class ProgressAlertReport
+{
+    public DateTime GeneratedAt { get; set; }
+    public ProgressAlertSettings Settings { get; set; } = new();
+    public List<ProgressAlert> Alerts { get; set; } = new();
+}
+
+// One order's latest daily summaries, newest first, as read for the alert rules
+public class AlertCandidate
+{
+    public string BarcodeNo { get; set; } = "";
+    public string Orno { get; set; } = "";
+    public string? DesignName { get; set; }
+    public string? OrderType { get; set; }
+    public decimal CumulativeTotal { get; set; }
+    public List<DailyProgressSummary> Recent { get; set; } = new();
+}
+
+public class Webhook
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = "";
+    public string Url { get; set; } = "";
+    // Signs the body as X-WorkProgress-Signature when set; never sent back to the browser
+    [JsonIgnore]
+    public string? Secret { get; set; }
+    public bool HasSecret => !string.IsNullOrEmpty(Secret);
+    // Total percentages to notify at; 100 means complete (ProgressForecastService.CompleteThreshold)
+    public int[] Milestones { get; set; } = Array.Empty<int>();
+    public bool Enabled { get; set; } = true;
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+}
+
+public class WebhookSaveRequest
+{
+    public int? Id { get; set; }
+    public string Name { get; set; } = "";
+    public string Url { get; set; } = "";
+    // null keeps the stored secret on edit; "" clears it
+    public string? Secret { get; set; }
+    public List<int> Milestones { get; set; } = new();
+    public bool Enabled { get; set; } = true;
+}
+
+public class WebhookDelivery
+{
+    public long Id { get; set; }
+    public int WebhookId { get; set; }
+    public string? WebhookName { get; set; }
+    // "milestone" | "complete" | "test"
+    public string Event { get; set; } = "";
+    public string? OrderNo { get; set; }
+    public int? Milestone { get; set; }
+    // "pending" (first try or waiting to retry) | "delivered" | "failed"
+    public string Status { get; set; } = "pending";
+    public int Attempts { get; set; }
+    public int? LastStatusCode { get; set; }
+    public string? LastError { get; set; }
+    public DateTime? NextAttemptAt { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public DateTime? DeliveredAt { get; set; }
+    [JsonIgnore]
+    public string PayloadJson { get; set; } = "{}";
+    // Filled for the dispatcher only
+    [JsonIgnore]
+    public string Url { get; set; } = "";
+    [JsonIgnore]
+    public string? Secret { get; set; }
 }
 
 public class DailyProgressSummary
@@ -84,6 +504,43 @@ public class ColorProfile
     public DateTime CreatedAt { get; set; }
     public DateTime UpdatedAt { get; set; }
     public List<ColorProfileColor> Colors { get; set; } = new();
+    // Linked library profile; its tolerance and colours apply unless the order has its own colours
+    public int? LibraryProfileId { get; set; }
+    public string? LibraryProfileName { get; set; }
+    public string Source { get; set; } = ColorProfileSources.Local;
+}
+
+public static class ColorProfileSources
+{
+    public const string Local = "local";
+    public const string Library = "library";
+    public const string Override = "override";
+}
+
+public class ColorLibraryProfile
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = "";
+    public int Tolerance { get; set; } = 30;
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+    public List<ColorProfileColor> Colors { get; set; } = new();
+    // Orders following the library colours / linked but with their own colours
+    public int UsageCount { get; set; }
+    public int OverrideCount { get; set; }
+}
+
+public class ColorLibrarySaveRequest
+{
+    public int? Id { get; set; }
+    public string Name { get; set; } = "";
+    public int Tolerance { get; set; } = 30;
+    public List<ColorProfileColorInput> Colors { get; set; } = new();
+}
+
+public class ColorProfileLinkRequest
+{
+    public int LibraryProfileId { get; set; }
 }
 
 public class ColorProfileColor
@@ -111,6 +568,17 @@ public class ColorProfileColorInput
     public string HexColor { get; set; } = "#000000";
 }
 
+// "own" | "inherited" (from OrderNo, an order with the same design) | "none"
+public class SettingOrigin
+{
+    public string Kind { get; set; } = "none";
+    public string? OrderNo { get; set; }
+
+    public static SettingOrigin Own() => new() { Kind = "own" };
+    public static SettingOrigin InheritedFrom(string orderNo) => new() { Kind = "inherited", OrderNo = orderNo };
+    public static SettingOrigin None() => new() { Kind = "none" };
+}
+
 public class OrderTemplate
 {
     public int Id { get; set; }
@@ -120,9 +588,24 @@ public class OrderTemplate
     public int PaintablePixels { get; set; }
     public int TemplateWidth { get; set; }
     public int TemplateHeight { get; set; }
+    // "pixel" | "cell", see CvAnalyzeOptions.CountCells
+    public string CountingMode { get; set; } = TemplateCountingModes.Pixel;
     public DateTime CreatedAt { get; set; }
 }
 
+public static class TemplateCountingModes
+{
+    public const string Pixel = "pixel";
+    public const string Cell = "cell";
+
+    public static readonly string[] All = { Pixel, Cell };
+}
+
+public class TemplateCountingModeRequest
+{
+    public string Mode { get; set; } = "";
+}
+
 public class TemplateSaveRequest
 {
     public string OrderNo { get; set; } = "";
@@ -1,3 +1,7 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.Cookies;
+using WorkProgress.Controllers;
 using WorkProgress.Services;
 
 DotNetEnv.Env.Load();
@@ -9,9 +13,52 @@ if (!string.IsNullOrEmpty(dbConn))
     builder.Configuration["ConnectionStrings:DefaultConnection"] = dbConn;
 
 builder.Services.AddControllersWithViews();
+builder.Services.AddAuthentication(CookieAuthenticationDefaults.AuthenticationScheme)
+    .AddCookie(options =>
+    {
+        options.Cookie.Name = "wp.operator";
+        options.Cookie.HttpOnly = true;
+        options.Cookie.SameSite = SameSiteMode.Lax;
+        // One shift, extended while the tablet is in use
+        options.ExpireTimeSpan = TimeSpan.FromHours(12);
+        options.SlidingExpiration = true;
+        // The API is called with fetch; answer 401/403 instead of redirecting to a login page
+        options.Events.OnRedirectToLogin = ctx =>
+        {
+            ctx.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            return ctx.Response.WriteAsJsonAsync(new { message = "กรุณาเข้าสู่ระบบ" });
+        };
+        options.Events.OnRedirectToAccessDenied = ctx =>
+        {
+            ctx.Response.StatusCode = StatusCodes.Status403Forbidden;
+            return ctx.Response.WriteAsJsonAsync(new { message = "ไม่มีสิทธิ์ทำรายการนี้" });
+        };
+        // Role and active flag are read back on every request, so a deactivation or role change
+        // applies at once instead of when the 12-hour cookie runs out; the client then logs in again
+        options.Events.OnValidatePrincipal = async ctx =>
+        {
+            var code = ctx.Principal?.EmployeeCode();
+            var db = ctx.HttpContext.RequestServices.GetRequiredService<DbService>();
+            var op = string.IsNullOrEmpty(code) ? null : await db.GetOperatorByCode(code);
+            if (op is { IsActive: true } && op.Role == ctx.Principal!.FindFirstValue(ClaimTypes.Role))
+                return;
+
+            ctx.RejectPrincipal();
+            await ctx.HttpContext.SignOutAsync(CookieAuthenticationDefaults.AuthenticationScheme);
+        };
+    });
 builder.Services.AddSingleton<DbService>();
 builder.Services.AddSingleton<ColorAnalysisService>();
 builder.Services.AddSingleton<TemplateMaskService>();
+builder.Services.AddSingleton<ProgressForecastService>();
+builder.Services.AddSingleton<ProgressAlertService>();
+builder.Services.AddSingleton<ProgressExportService>();
+builder.Services.AddSingleton<ProgressReportService>();
+builder.Services.AddSingleton<BarcodeImportService>();
+builder.Services.AddSingleton<PaintDiffService>();
+builder.Services.AddHttpClient(WebhookService.HttpClientName, c => c.Timeout = TimeSpan.FromSeconds(10));
+builder.Services.AddSingleton<WebhookService>();
+builder.Services.AddHostedService<WebhookDispatcher>();
 
 var app = builder.Build();
 
@@ -22,6 +69,7 @@ if (!app.Environment.IsDevelopment())
 
 app.UseStaticFiles();
 app.UseRouting();
+app.UseAuthentication();
 app.UseAuthorization();
 
 app.MapControllerRoute(
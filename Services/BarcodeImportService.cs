@@ -0,0 +1,453 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Xml;
+using System.Xml.Linq;
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Loads the ERP's barcode_items export (CSV or XLSX) into barcode_items, upserting by
+/// barcode. Every upload is diffed against the table first; the page shows that dry run
+/// and re-sends the file to commit. Columns missing from the file are left untouched.
+/// </summary>
+public class BarcodeImportService
+{
+    public const int MaxRows = 50000;
+    private const int MaxPreviewRows = 500;
+    private const int MaxErrors = 200;
+
+    private record Field(string Name, string Column, bool Required, bool Numeric,
+        Func<BarcodeItem, object?> Current, string[] Aliases);
+
+    private static readonly Field[] Fields =
+    {
+        new("BarcodeNo", "barcode_no", true, false, b => b.BarcodeNo, new[] { "barcode" }),
+        new("Orno", "orno", true, false, b => b.Orno, new[] { "orderno" }),
+        new("DesignName", "design_name", false, false, b => b.DesignName, new[] { "design" }),
+        new("ListNo", "list_no", false, false, b => b.ListNo, Array.Empty<string>()),
+        new("ItemNo", "item_no", true, false, b => b.ItemNo, Array.Empty<string>()),
+        new("CnvId", "cnv_id", false, false, b => b.CnvId, Array.Empty<string>()),
+        new("CnvDesc", "cnv_desc", false, false, b => b.CnvDesc, Array.Empty<string>()),
+        new("Asplan", "asplan", false, false, b => b.Asplan, Array.Empty<string>()),
+        new("Width", "width", false, true, b => b.Width, Array.Empty<string>()),
+        new("Length", "length", false, true, b => b.Length, Array.Empty<string>()),
+        new("Sqm", "sqm", false, true, b => b.Sqm, Array.Empty<string>()),
+        new("Qty", "qty", false, true, b => b.Qty, Array.Empty<string>()),
+        new("OrderType", "order_type", false, false, b => b.OrderType, Array.Empty<string>())
+    };
+
+    private static readonly Field KeyField = Fields[0];
+
+    private record SheetRow(int RowNumber, string?[] Cells);
+
+    private readonly DbService _db;
+
+    static BarcodeImportService()
+    {
+        // Older ERP exports are TIS-620 / Windows-874 rather than UTF-8
+        Encoding.RegisterProvider(CodePagesEncodingProvider.Instance);
+    }
+
+    public BarcodeImportService(DbService db)
+    {
+        _db = db;
+    }
+
+    public static bool IsSupportedFile(string fileName) =>
+        Path.GetExtension(fileName).ToLowerInvariant() is ".csv" or ".xlsx";
+
+    /// <summary>
+    /// Diffs the file against barcode_items and, unless <paramref name="dryRun"/> is set or
+    /// any row is invalid, writes new and changed rows and stamps synced_at on every row.
+    /// Throws <see cref="InvalidDataException"/> when the file itself cannot be read.
+    /// </summary>
+    public async Task<BarcodeImportResult> Import(byte[] content, string fileName, bool dryRun)
+    {
+        var rows = Path.GetExtension(fileName).Equals(".xlsx", StringComparison.OrdinalIgnoreCase)
+            ? ReadXlsx(content)
+            : ReadCsv(content);
+        if (rows.Count == 0)
+            throw new InvalidDataException("ไฟล์ว่าง ไม่พบแถวหัวตาราง");
+        if (rows.Count - 1 > MaxRows)
+            throw new InvalidDataException($"ไฟล์มีเกิน {MaxRows:N0} แถว กรุณาแบ่งไฟล์");
+
+        var result = new BarcodeImportResult { DryRun = dryRun, TotalRows = rows.Count - 1 };
+        var header = rows[0];
+        var columnMap = MapColumns(header, result);
+        if (result.Errors.Count > 0) return result;
+
+        var parsed = ParseRows(rows.Skip(1), columnMap, result);
+        var existing = await _db.GetBarcodeItems(parsed.Select(p => p.BarcodeNo).ToList());
+
+        var writes = new List<BarcodeItemWrite>();
+        var unchanged = new List<string>();
+        foreach (var row in parsed)
+        {
+            existing.TryGetValue(row.BarcodeNo, out var current);
+            var diff = Diff(row, current);
+            if (diff.Count == 0)
+            {
+                result.UnchangedCount++;
+                unchanged.Add(row.BarcodeNo);
+                continue;
+            }
+
+            if (current == null) result.NewCount++;
+            else result.ChangedCount++;
+
+            if (result.Rows.Count < MaxPreviewRows)
+            {
+                result.Rows.Add(new BarcodeImportRowDiff
+                {
+                    RowNumber = row.RowNumber,
+                    BarcodeNo = row.BarcodeNo,
+                    Status = current == null ? "new" : "changed",
+                    Changes = diff.Select(f => new BarcodeFieldChange
+                    {
+                        Field = f.Name,
+                        Before = current == null ? null : Display(f.Current(current)),
+                        After = Display(row.Values[f])
+                    }).ToList()
+                });
+            }
+
+            writes.Add(new BarcodeItemWrite
+            {
+                BarcodeNo = row.BarcodeNo,
+                IsNew = current == null,
+                // A new row gets every column the file has; an existing one only what changed
+                Values = (current == null ? row.Values.Keys.Where(f => f != KeyField) : diff)
+                    .ToDictionary(f => f.Column, f => row.Values[f])
+            });
+        }
+
+        if (dryRun || result.Errors.Count > 0) return result;
+
+        await _db.ImportBarcodeItems(writes, unchanged);
+        result.Committed = true;
+        return result;
+    }
+
+    // ── Columns and rows ──
+
+    private record ParsedRow(int RowNumber, string BarcodeNo, Dictionary<Field, object?> Values);
+
+    // "Barcode No", "barcode_no" and "BARCODENO" all match BarcodeNo
+    private static string NormalizeHeader(string? header) =>
+        new string((header ?? "").Where(char.IsLetterOrDigit).ToArray()).ToLowerInvariant();
+
+    private static Dictionary<int, Field> MapColumns(SheetRow header, BarcodeImportResult result)
+    {
+        var map = new Dictionary<int, Field>();
+        for (int i = 0; i < header.Cells.Length; i++)
+        {
+            var name = header.Cells[i]?.Trim();
+            if (string.IsNullOrEmpty(name)) continue;
+
+            var key = NormalizeHeader(name);
+            var field = Fields.FirstOrDefault(f => NormalizeHeader(f.Name) == key || f.Aliases.Contains(key));
+            if (field == null)
+            {
+                result.IgnoredColumns.Add(name);
+                continue;
+            }
+            if (map.ContainsValue(field))
+            {
+                AddError(result, header.RowNumber, $"คอลัมน์ {field.Name} ซ้ำกัน");
+                continue;
+            }
+            map[i] = field;
+            result.Columns.Add(field.Name);
+        }
+
+        foreach (var missing in Fields.Where(f => f.Required && !map.ContainsValue(f)))
+            AddError(result, header.RowNumber, $"ไม่พบคอลัมน์ {missing.Name}");
+        return map;
+    }
+
+    private static List<ParsedRow> ParseRows(IEnumerable<SheetRow> rows, Dictionary<int, Field> columnMap,
+        BarcodeImportResult result)
+    {
+        var parsed = new List<ParsedRow>();
+        var seen = new Dictionary<string, int>();
+
+        foreach (var row in rows)
+        {
+            var values = new Dictionary<Field, object?>();
+            var rowErrors = new List<string>();
+
+            foreach (var (index, field) in columnMap)
+            {
+                var raw = index < row.Cells.Length ? row.Cells[index]?.Trim() : null;
+                if (string.IsNullOrEmpty(raw))
+                {
+                    if (field.Required) rowErrors.Add($"ไม่มี {field.Name}");
+                    values[field] = null;
+                }
+                else if (!field.Numeric)
+                {
+                    values[field] = raw;
+                }
+                else if (decimal.TryParse(raw, NumberStyles.Float | NumberStyles.AllowThousands,
+                             CultureInfo.InvariantCulture, out var number))
+                {
+                    if (number < 0) rowErrors.Add($"{field.Name} ต้องไม่ติดลบ");
+                    values[field] = number;
+                }
+                else
+                {
+                    rowErrors.Add($"{field.Name} ไม่ใช่ตัวเลข ({raw})");
+                }
+            }
+
+            var barcode = values[KeyField] as string;
+            if (barcode != null)
+            {
+                if (seen.TryGetValue(barcode, out var firstRow))
+                    rowErrors.Add($"Barcode {barcode} ซ้ำกับแถว {firstRow}");
+                else
+                    seen[barcode] = row.RowNumber;
+            }
+
+            if (rowErrors.Count > 0)
+            {
+                AddError(result, row.RowNumber, string.Join(", ", rowErrors));
+                continue;
+            }
+            parsed.Add(new ParsedRow(row.RowNumber, barcode!, values));
+        }
+        return parsed;
+    }
+
+    // Fields whose file value differs from the table; every field in the file for a new barcode
+    private static List<Field> Diff(ParsedRow row, BarcodeItem? current)
+    {
+        if (current == null) return row.Values.Keys.Where(f => row.Values[f] != null).ToList();
+
+        return row.Values.Keys.Where(f => f != KeyField && !SameValue(f.Current(current), row.Values[f])).ToList();
+    }
+
+    // barcode_items columns may be space-padded CHAR, and blank means the same as NULL
+    private static bool SameValue(object? current, object? incoming) =>
+        current is decimal || incoming is decimal
+            ? current as decimal? == incoming as decimal?
+            : string.Equals((current as string)?.Trim() ?? "", (incoming as string) ?? "", StringComparison.Ordinal);
+
+    private static string? Display(object? value) => value switch
+    {
+        null => null,
+        decimal d => d.ToString(CultureInfo.InvariantCulture),
+        string s => s.Trim(),
+        _ => value.ToString()
+    };
+
+    private static void AddError(BarcodeImportResult result, int rowNumber, string message)
+    {
+        if (result.Errors.Count < MaxErrors)
+            result.Errors.Add(new BarcodeImportError { RowNumber = rowNumber, Message = message });
+        else if (result.Errors.Count == MaxErrors)
+            result.Errors.Add(new BarcodeImportError { RowNumber = 0, Message = "มีข้อผิดพลาดเพิ่มเติม แสดงเฉพาะรายการแรก" });
+    }
+
+    // ── CSV ──
+
+    private static List<SheetRow> ReadCsv(byte[] content)
+    {
+        var text = DecodeText(content);
+        var delimiter = DetectDelimiter(text);
+        var rows = new List<SheetRow>();
+        var cells = new List<string?>();
+        var cell = new StringBuilder();
+        var inQuotes = false;
+        var rowNumber = 1;
+
+        void EndCell()
+        {
+            cells.Add(cell.ToString());
+            cell.Clear();
+        }
+
+        void EndRow()
+        {
+            EndCell();
+            if (cells.Any(c => !string.IsNullOrWhiteSpace(c)))
+                rows.Add(new SheetRow(rowNumber, cells.ToArray()));
+            cells.Clear();
+            rowNumber++;
+        }
+
+        for (int i = 0; i < text.Length; i++)
+        {
+            var ch = text[i];
+            if (inQuotes)
+            {
+                if (ch == '"' && i + 1 < text.Length && text[i + 1] == '"') { cell.Append('"'); i++; }
+                else if (ch == '"') inQuotes = false;
+                else cell.Append(ch);
+            }
+            else if (ch == '"' && cell.Length == 0) inQuotes = true;
+            else if (ch == delimiter) EndCell();
+            else if (ch == '\n') EndRow();
+            else if (ch != '\r') cell.Append(ch);
+        }
+        if (cell.Length > 0 || cells.Count > 0) EndRow();
+        return rows;
+    }
+
+    private static string DecodeText(byte[] content)
+    {
+        try
+        {
+            var text = new UTF8Encoding(false, throwOnInvalidBytes: true).GetString(content);
+            return text.TrimStart('\uFEFF');
+        }
+        catch (DecoderFallbackException)
+        {
+            return Encoding.GetEncoding(874).GetString(content);
+        }
+    }
+
+    // Excel saves "CSV" with ; or tabs depending on the machine's regional settings
+    private static char DetectDelimiter(string text)
+    {
+        var end = text.IndexOf('\n');
+        var firstLine = end < 0 ? text : text[..end];
+        return new[] { ',', ';', '\t' }.OrderByDescending(d => firstLine.Count(c => c == d)).First();
+    }
+
+    // ── XLSX (first worksheet) ──
+
+    private const string SheetNs = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+    private const string RelNs = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+    private const string PackageRelNs = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+    private static List<SheetRow> ReadXlsx(byte[] content)
+    {
+        try
+        {
+            using var zip = new ZipArchive(new MemoryStream(content), ZipArchiveMode.Read);
+            var sharedStrings = ReadSharedStrings(zip);
+            var sheet = zip.GetEntry(FirstSheetPath(zip));
+            if (sheet == null) return new List<SheetRow>();
+
+            using var stream = sheet.Open();
+            return ReadSheet(stream, sharedStrings);
+        }
+        catch (Exception ex) when (ex is InvalidDataException or XmlException)
+        {
+            throw new InvalidDataException("อ่านไฟล์ Excel ไม่ได้ กรุณาบันทึกเป็น .xlsx อีกครั้ง", ex);
+        }
+    }
+
+    private static string FirstSheetPath(ZipArchive zip)
+    {
+        const string fallback = "xl/worksheets/sheet1.xml";
+        var workbook = LoadXml(zip, "xl/workbook.xml");
+        var rels = LoadXml(zip, "xl/_rels/workbook.xml.rels");
+        var relId = workbook?.Descendants(XName.Get("sheet", SheetNs)).FirstOrDefault()
+            ?.Attribute(XName.Get("id", RelNs))?.Value;
+        var target = rels?.Descendants(XName.Get("Relationship", PackageRelNs))
+            .FirstOrDefault(r => r.Attribute("Id")?.Value == relId)
+            ?.Attribute("Target")?.Value;
+        if (string.IsNullOrEmpty(target)) return fallback;
+        return target.StartsWith('/') ? target.TrimStart('/') : "xl/" + target;
+    }
+
+    private static XDocument? LoadXml(ZipArchive zip, string path)
+    {
+        var entry = zip.GetEntry(path);
+        if (entry == null) return null;
+        using var stream = entry.Open();
+        return XDocument.Load(stream);
+    }
+
+    private static List<string> ReadSharedStrings(ZipArchive zip)
+    {
+        var strings = new List<string>();
+        var entry = zip.GetEntry("xl/sharedStrings.xml");
+        if (entry == null) return strings;
+
+        using var stream = entry.Open();
+        using var reader = XmlReader.Create(stream);
+        reader.MoveToContent();
+        while (!reader.EOF)
+        {
+            if (reader.NodeType == XmlNodeType.Element && reader.LocalName == "si")
+                strings.Add(CellText((XElement)XNode.ReadFrom(reader)));
+            else
+                reader.Read();
+        }
+        return strings;
+    }
+
+    private static List<SheetRow> ReadSheet(Stream stream, List<string> sharedStrings)
+    {
+        var rows = new List<SheetRow>();
+        using var reader = XmlReader.Create(stream);
+        reader.MoveToContent();
+        while (!reader.EOF)
+        {
+            if (reader.NodeType != XmlNodeType.Element || reader.LocalName != "row")
+            {
+                reader.Read();
+                continue;
+            }
+
+            var row = (XElement)XNode.ReadFrom(reader);
+            var rowNumber = int.TryParse(row.Attribute("r")?.Value, out var r) ? r : rows.Count + 1;
+            var cells = new List<string?>();
+            foreach (var c in row.Elements(XName.Get("c", SheetNs)))
+            {
+                var index = ColumnIndex(c.Attribute("r")?.Value) ?? cells.Count;
+                while (cells.Count < index) cells.Add(null);
+                var value = CellValue(c, sharedStrings);
+                if (index < cells.Count) cells[index] = value;
+                else cells.Add(value);
+            }
+            if (cells.Any(v => !string.IsNullOrWhiteSpace(v)))
+                rows.Add(new SheetRow(rowNumber, cells.ToArray()));
+        }
+        return rows;
+    }
+
+    private static string? CellValue(XElement c, List<string> sharedStrings)
+    {
+        var type = c.Attribute("t")?.Value;
+        var v = c.Element(XName.Get("v", SheetNs))?.Value;
+        switch (type)
+        {
+            case "s":
+                return int.TryParse(v, out var i) && i >= 0 && i < sharedStrings.Count ? sharedStrings[i] : null;
+            case "inlineStr":
+                var inline = c.Element(XName.Get("is", SheetNs));
+                return inline == null ? null : CellText(inline);
+            case "str":
+            case "e":
+                return v;
+            case "b":
+                return v == "1" ? "TRUE" : "FALSE";
+            default:
+                // Numbers come back as e.g. "1.23456789012E+11"; barcodes typed as numbers need plain digits
+                return decimal.TryParse(v, NumberStyles.Float, CultureInfo.InvariantCulture, out var d)
+                    ? d.ToString(CultureInfo.InvariantCulture)
+                    : v;
+        }
+    }
+
+    // Rich text splits a string into runs; phonetic guides (rPh) are not part of the value
+    private static string CellText(XElement element) =>
+        string.Concat(element.Descendants(XName.Get("t", SheetNs))
+            .Where(t => t.Parent?.Name.LocalName != "rPh")
+            .Select(t => t.Value));
+
+    private static int? ColumnIndex(string? cellRef)
+    {
+        if (string.IsNullOrEmpty(cellRef)) return null;
+        var index = 0;
+        foreach (var ch in cellRef.TakeWhile(char.IsLetter))
+            index = index * 26 + (char.ToUpperInvariant(ch) - 'A' + 1);
+        return index == 0 ? null : index - 1;
+    }
+}
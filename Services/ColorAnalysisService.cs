@@ -15,15 +15,28 @@ public class ColorAnalysisService
         return _cv.Analyze(imageBytes);
     }
 
-    public ColorAnalysisResult Analyze(byte[] imageBytes, ColorProfile? profile)
+    public ColorAnalysisResult Analyze(byte[] imageBytes, ColorProfile? profile,
+        CvAnalyzeOptions? options = null)
     {
-        return _cv.Analyze(imageBytes, profile);
+        return _cv.Analyze(imageBytes, profile, options);
     }
 
     public ColorAnalysisResult AnalyzeWithTemplate(byte[] imageBytes,
-        string templateImagePath, string paintableMaskPath, ColorProfile? profile = null)
+        string templateImagePath, string paintableMaskPath, ColorProfile? profile = null,
+        CvAnalyzeOptions? options = null)
     {
-        return _cv.AnalyzeWithTemplate(imageBytes, templateImagePath, paintableMaskPath, profile);
+        return _cv.AnalyzeWithTemplate(imageBytes, templateImagePath, paintableMaskPath, profile, options);
+    }
+
+    public int CountTemplateCells(string templateImagePath, string paintableMaskPath)
+    {
+        return _cv.CountTemplateCells(templateImagePath, paintableMaskPath);
+    }
+
+    public string? AlignEvidenceToTemplate(byte[] imageBytes, string templateImagePath,
+        string paintableMaskPath, List<NormalizedPoint>? planCorners, out string method)
+    {
+        return _cv.AlignEvidenceToTemplate(imageBytes, templateImagePath, paintableMaskPath, planCorners, out method);
     }
 
     // ── Kept for DbService.SaveColorProfile ──
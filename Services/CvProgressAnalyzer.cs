@@ -37,6 +37,11 @@ public class CvAnalysisConfig
     public double MaxAspectRatio { get; set; } = 4.5;
     public double MedCompFraction { get; set; } = 0.005;
 
+    // Cell counting: components under this share of the median cell are grid-line debris,
+    // and fewer cells than the minimum means the grid wasn't found
+    public double MinCellFraction { get; set; } = 0.25;
+    public int MinCellCount { get; set; } = 4;
+
     public int AnalysisWidth { get; set; } = 1000;
     public double CompleteThreshold { get; set; } = 99.5;
 
@@ -44,25 +49,39 @@ public class CvAnalysisConfig
     public string DebugPath { get; set; } = "wwwroot/debug";
 }
 
+/// <summary>Per-request switches for a single analysis run.</summary>
+public class CvAnalyzeOptions
+{
+    /// <summary>Return the analysed frame and plan/normal/OT layers as PNGs.</summary>
+    public bool IncludeOverlay { get; set; }
+
+    /// <summary>Try QR-corner perspective rectification before the contour/template path.</summary>
+    public bool UseQrRectification { get; set; }
+
+    /// <summary>User-picked plan corners [TL, TR, BR, BL], normalised 0–1. Overrides QR and contour.</summary>
+    public List<NormalizedPoint>? ManualCorners { get; set; }
+
+    /// <summary>Template analyses only: count whole hex cells by majority vote instead of pixels.</summary>
+    public bool CountCells { get; set; }
+}
+
 public class CvProgressAnalyzer
 {
     public const string CV_VERSION = "v6-effectiveMask-fill";
     private readonly CvAnalysisConfig _c;
+    private readonly QrPerspectiveCorrector _qr = new();
 
     public CvProgressAnalyzer() : this(new CvAnalysisConfig()) { }
     public CvProgressAnalyzer(CvAnalysisConfig config) { _c = config; }
 
-    public ColorAnalysisResult Analyze(byte[] imageBytes)
+    public ColorAnalysisResult Analyze(byte[] imageBytes, CvAnalyzeOptions? options = null)
     {
         using var raw = Cv2.ImDecode(imageBytes, ImreadModes.Color);
         if (raw.Empty()) return new ColorAnalysisResult();
 
-        double scale = (double)_c.AnalysisWidth / raw.Cols;
-        using var img = new Mat();
-        Cv2.Resize(raw, img, new Size(_c.AnalysisWidth, (int)(raw.Rows * scale)),
-                   0, 0, InterpolationFlags.Area);
+        using var img = PrepareFrame(raw, options, out var rectification, out var sourceQuad);
 
-        using var planMask = ExtractPlanMask(img);
+        using var planMask = rectification.Method == "manual" ? FullFramePlanMask(img) : ExtractPlanMask(img);
         int planPx = Cv2.CountNonZero(planMask);
         if (planPx == 0) return new ColorAnalysisResult();
 
@@ -101,6 +120,13 @@ public class CvProgressAnalyzer
             SaveDebugImages(img, denominator, blackRaw, blackFiltered, blackFinal,
                            redRaw, redFiltered, redFinal, "default");
 
+        result.Rectification = rectification;
+        result.PlanCorners = sourceQuad != null
+            ? NormalizeCorners(sourceQuad, raw.Cols, raw.Rows)
+            : PlanCornersFromMask(planMask);
+        if (options?.IncludeOverlay == true)
+            result.Overlay = BuildOverlay(img, denominator, blackFinal, redFinal);
+
         blackRaw.Dispose(); blackFiltered.Dispose();
         redRaw.Dispose(); redFiltered.Dispose();
         blackFinal.Dispose(); redFinal.Dispose();
@@ -111,7 +137,8 @@ public class CvProgressAnalyzer
     //  AnalyzeWithTemplate  –  v6-effectiveMask-fill
     // ════════════════════════════════════════════════════════════════
     public ColorAnalysisResult AnalyzeWithTemplate(byte[] imageBytes,
-        string templateImagePath, string paintableMaskPath, ColorProfile? profile = null)
+        string templateImagePath, string paintableMaskPath, ColorProfile? profile = null,
+        CvAnalyzeOptions? options = null)
     {
         Console.WriteLine("=== CV VERSION: effectiveMask+fill enabled ===");
 
@@ -121,16 +148,14 @@ public class CvProgressAnalyzer
         if (templateImg.Empty() || paintableMask.Empty())
         {
             Console.WriteLine("[CV-Template] Failed to load template files, falling back");
-            return Analyze(imageBytes, profile);
+            return Analyze(imageBytes, profile, options);
         }
 
         using var raw = Cv2.ImDecode(imageBytes, ImreadModes.Color);
         if (raw.Empty()) return new ColorAnalysisResult();
 
-        using var resized = new Mat();
-        Cv2.Resize(raw, resized, templateImg.Size(), 0, 0, InterpolationFlags.Area);
-
-        using var aligned = AlignToTemplate(resized, templateImg);
+        using var aligned = AlignFrameToTemplate(raw, templateImg, paintableMask, options,
+            out var rectification, out var sourceQuad);
 
         // ── 1) effectivePaintableMask = paintableMask − gridMask ──
         using var gridMask = BuildGridMaskFromTemplate(templateImg, paintableMask);
@@ -194,8 +219,14 @@ public class CvProgressAnalyzer
         NearestSeedAssign(painted, normalFiltered, otFiltered,
             out var normalFilled, out var otFilled);
 
-        // ── 5) Compute percent using effectiveMask as denominator ──
+        // ── 5) Compute percent using effectiveMask as denominator, or per hex cell ──
         var result = ComputePercent(normalFilled, otFilled, effectiveMask);
+        using var normalCells = new Mat(effectiveMask.Rows, effectiveMask.Cols, MatType.CV_8UC1, new Scalar(0));
+        using var otCells = new Mat(effectiveMask.Rows, effectiveMask.Cols, MatType.CV_8UC1, new Scalar(0));
+        var cellResult = options?.CountCells == true
+            ? CountCells(normalFilled, otFilled, effectiveMask, normalCells, otCells)
+            : null;
+        if (cellResult != null) result = cellResult;
 
         // ── 6) Logging ──
         Console.WriteLine($"[CV-Template] normalRaw={Cv2.CountNonZero(normalRaw)} " +
@@ -242,6 +273,15 @@ public class CvProgressAnalyzer
             catch { }
         }
 
+        result.Rectification = rectification;
+        if (sourceQuad != null)
+            result.PlanCorners = NormalizeCorners(sourceQuad, raw.Cols, raw.Rows);
+        // In cell mode the layers show whole cells, i.e. exactly what was counted
+        if (options?.IncludeOverlay == true)
+            result.Overlay = cellResult != null
+                ? BuildOverlay(aligned, effectiveMask, normalCells, otCells)
+                : BuildOverlay(aligned, effectiveMask, normalFilled, otFilled);
+
         // ── Dispose ──
         normalRaw.Dispose(); normalFiltered.Dispose();
         otRaw.Dispose(); otFiltered.Dispose();
@@ -250,6 +290,138 @@ public class CvProgressAnalyzer
         return result;
     }
 
+    // ════════════════════════════════════════════════════════════════
+    //  CountCells  –  paintable − grid falls apart into one connected
+    //  component per hex cell. A cell counts as painted when paint
+    //  covers more than half of it, and takes whichever of normal / OT
+    //  covers more. Bleed over grid lines and half-filled cells then
+    //  no longer skew the result. Returns null (caller keeps the pixel
+    //  percent) when the grid didn't segment into cells.
+    // ════════════════════════════════════════════════════════════════
+    private ColorAnalysisResult? CountCells(Mat normalMask, Mat otMask, Mat effectiveMask,
+        Mat normalCells, Mat otCells)
+    {
+        using var labels = new Mat();
+        var cellCount = LabelCells(effectiveMask, labels, out var valid);
+        if (cellCount < _c.MinCellCount)
+        {
+            Console.WriteLine($"[CV-Cells] Only {cellCount} cells segmented, using pixel percent");
+            return null;
+        }
+
+        var normalPx = new int[valid.Length];
+        var otPx = new int[valid.Length];
+        var areaPx = new int[valid.Length];
+        for (int y = 0; y < labels.Rows; y++)
+            for (int x = 0; x < labels.Cols; x++)
+            {
+                int lbl = labels.At<int>(y, x);
+                if (lbl <= 0 || !valid[lbl]) continue;
+                areaPx[lbl]++;
+                if (normalMask.At<byte>(y, x) != 0) normalPx[lbl]++;
+                else if (otMask.At<byte>(y, x) != 0) otPx[lbl]++;
+            }
+
+        // 0 = empty, 1 = normal, 2 = OT
+        var cellClass = new byte[valid.Length];
+        int normal = 0, ot = 0;
+        for (int i = 1; i < valid.Length; i++)
+        {
+            if (!valid[i] || (normalPx[i] + otPx[i]) * 2 <= areaPx[i]) continue;
+            if (normalPx[i] >= otPx[i]) { cellClass[i] = 1; normal++; }
+            else { cellClass[i] = 2; ot++; }
+        }
+
+        for (int y = 0; y < labels.Rows; y++)
+            for (int x = 0; x < labels.Cols; x++)
+            {
+                int lbl = labels.At<int>(y, x);
+                if (lbl <= 0 || cellClass[lbl] == 0) continue;
+                (cellClass[lbl] == 1 ? normalCells : otCells).Set(y, x, (byte)255);
+            }
+
+        decimal nPct = Math.Round((decimal)normal / cellCount * 100, 2);
+        decimal oPct = Math.Round((decimal)ot / cellCount * 100, 2);
+        decimal tPct = Math.Min(nPct + oPct, 100m);
+
+        Console.WriteLine($"[CV-Cells] cells={cellCount} normal={normal} ot={ot} " +
+            $"-> normal={nPct}% ot={oPct}% total={tPct}%");
+
+        return new ColorAnalysisResult
+        {
+            NormalPercent = nPct,
+            OtPercent = oPct,
+            TotalPercent = tPct,
+            IsComplete = (double)tPct >= _c.CompleteThreshold,
+            Cells = new CellCounts { Total = cellCount, Normal = normal, Ot = ot }
+        };
+    }
+
+    // Labels the cells of an effective mask; valid[label] is false for grid debris
+    private int LabelCells(Mat effectiveMask, Mat labels, out bool[] valid)
+    {
+        using var stats = new Mat();
+        using var centroids = new Mat();
+        // 4-connectivity so cells touching only diagonally through a grid gap stay apart
+        int nLabels = Cv2.ConnectedComponentsWithStats(effectiveMask, labels, stats, centroids,
+            PixelConnectivity.Connectivity4);
+
+        valid = new bool[Math.Max(nLabels, 1)];
+        if (nLabels <= 1) return 0;
+
+        var areas = Enumerable.Range(1, nLabels - 1).Select(i => stats.At<int>(i, 4)).OrderBy(a => a).ToList();
+        int minArea = Math.Max(_c.MinComponentArea, (int)(areas[areas.Count / 2] * _c.MinCellFraction));
+
+        int count = 0;
+        for (int i = 1; i < nLabels; i++)
+        {
+            if (stats.At<int>(i, 4) < minArea) continue;
+            valid[i] = true;
+            count++;
+        }
+        return count;
+    }
+
+    /// <summary>How many hex cells the template's grid segments into, 0 when it doesn't segment.</summary>
+    public int CountTemplateCells(string templateImagePath, string paintableMaskPath)
+    {
+        using var templateImg = Cv2.ImRead(templateImagePath, ImreadModes.Color);
+        using var paintableMask = Cv2.ImRead(paintableMaskPath, ImreadModes.Grayscale);
+        if (templateImg.Empty() || paintableMask.Empty()) return 0;
+
+        using var gridMask = BuildGridMaskFromTemplate(templateImg, paintableMask);
+        using var notGrid = new Mat();
+        Cv2.BitwiseNot(gridMask, notGrid);
+        using var effectiveMask = new Mat();
+        Cv2.BitwiseAnd(paintableMask, notGrid, effectiveMask);
+
+        using var labels = new Mat();
+        int cellCount = LabelCells(effectiveMask, labels, out _);
+        return cellCount < _c.MinCellCount ? 0 : cellCount;
+    }
+
+    // ════════════════════════════════════════════════════════════════
+    //  AlignEvidenceToTemplate  –  warp a saved evidence photo into the
+    //  template frame the same way AnalyzeWithTemplate does, so two
+    //  photos of one order line up pixel for pixel. The plan corners
+    //  stored with the record take the manual path; otherwise resize +
+    //  AlignToTemplate. Returns a JPEG data URL, or null if unreadable.
+    // ════════════════════════════════════════════════════════════════
+    public string? AlignEvidenceToTemplate(byte[] imageBytes, string templateImagePath,
+        string paintableMaskPath, List<NormalizedPoint>? planCorners, out string method)
+    {
+        method = "none";
+        using var templateImg = Cv2.ImRead(templateImagePath, ImreadModes.Color);
+        using var paintableMask = Cv2.ImRead(paintableMaskPath, ImreadModes.Grayscale);
+        using var raw = Cv2.ImDecode(imageBytes, ImreadModes.Color);
+        if (templateImg.Empty() || paintableMask.Empty() || raw.Empty()) return null;
+
+        var options = new CvAnalyzeOptions { ManualCorners = planCorners };
+        using var aligned = AlignFrameToTemplate(raw, templateImg, paintableMask, options, out var info, out _);
+        method = info.Method;
+        return ToDataUrl(aligned, ".jpg", "image/jpeg");
+    }
+
     // ════════════════════════════════════════════════════════════════
     //  BuildGridMaskFromTemplate  –  Canny(50,150) + Dilate(3×3)
     // ════════════════════════════════════════════════════════════════
@@ -284,8 +456,9 @@ public class CvProgressAnalyzer
         return gridMask;
     }
 
-    private Mat AlignToTemplate(Mat currentImg, Mat templateImg)
+    private Mat AlignToTemplate(Mat currentImg, Mat templateImg, out Mat? applied)
     {
+        applied = null;
         using var grayTemplate = new Mat();
         using var grayCurrent = new Mat();
         Cv2.CvtColor(templateImg, grayTemplate, ColorConversionCodes.BGR2GRAY);
@@ -388,26 +561,25 @@ public class CvProgressAnalyzer
 
         var warped = new Mat();
         Cv2.WarpPerspective(currentImg, warped, homography, templateImg.Size());
+        applied = homography.Clone();
 
         Console.WriteLine($"[CV-Align] Alignment applied: det={det:F3} tx={h02:F1} ty={h12:F1} " +
             $"matches={goodMatches.Count}");
         return warped;
     }
 
-    public ColorAnalysisResult Analyze(byte[] imageBytes, ColorProfile? profile)
+    public ColorAnalysisResult Analyze(byte[] imageBytes, ColorProfile? profile,
+        CvAnalyzeOptions? options = null)
     {
         if (profile == null || profile.Colors.Count == 0)
-            return Analyze(imageBytes);
+            return Analyze(imageBytes, options);
 
         using var raw = Cv2.ImDecode(imageBytes, ImreadModes.Color);
         if (raw.Empty()) return new ColorAnalysisResult();
 
-        double scale = (double)_c.AnalysisWidth / raw.Cols;
-        using var img = new Mat();
-        Cv2.Resize(raw, img, new Size(_c.AnalysisWidth, (int)(raw.Rows * scale)),
-                   0, 0, InterpolationFlags.Area);
+        using var img = PrepareFrame(raw, options, out var rectification, out var sourceQuad);
 
-        using var planMask = ExtractPlanMask(img);
+        using var planMask = rectification.Method == "manual" ? FullFramePlanMask(img) : ExtractPlanMask(img);
         int planPx = Cv2.CountNonZero(planMask);
         if (planPx == 0) return new ColorAnalysisResult();
 
@@ -458,6 +630,13 @@ public class CvProgressAnalyzer
             SaveDebugImages(img, denominator, normalRaw, normalFiltered, normalFinal,
                            otRaw, otFiltered, otFinal, "profile");
 
+        result.Rectification = rectification;
+        result.PlanCorners = sourceQuad != null
+            ? NormalizeCorners(sourceQuad, raw.Cols, raw.Rows)
+            : PlanCornersFromMask(planMask);
+        if (options?.IncludeOverlay == true)
+            result.Overlay = BuildOverlay(img, denominator, normalFinal, otFinal);
+
         normalFiltered.Dispose(); otFiltered.Dispose();
         normalFinal.Dispose(); otFinal.Dispose();
         return result;
@@ -1032,6 +1211,251 @@ public class CvProgressAnalyzer
         return FilterComponents(result, planPx);
     }
 
+    // ════════════════════════════════════════════════════════════════
+    //  PrepareFrame  –  in order of preference: the user's own corners,
+    //  the QR quad when requested and found, otherwise the photo resized
+    //  to AnalysisWidth as before (ExtractPlanMask then finds the plan).
+    //  sourceQuad is the quad in raw pixels when the frame was warped.
+    // ════════════════════════════════════════════════════════════════
+    private Mat PrepareFrame(Mat raw, CvAnalyzeOptions? options,
+        out RectificationInfo info, out Point2f[]? sourceQuad)
+    {
+        info = new RectificationInfo { Method = "contour" };
+        sourceQuad = null;
+        string? manualFailure = null;
+
+        if (options?.ManualCorners is { Count: 4 } manual)
+        {
+            var quad = DenormalizeCorners(manual, raw.Cols, raw.Rows);
+            try
+            {
+                QrPerspectiveCorrector.ValidateQuad(quad, raw.Cols, raw.Rows);
+                info = new RectificationInfo { Method = "manual" };
+                sourceQuad = quad;
+                return QrPerspectiveCorrector.WarpQuad(raw, quad, _c.AnalysisWidth, 0);
+            }
+            catch (InvalidOperationException ex)
+            {
+                manualFailure = ex.Message;
+                info.FallbackReason = ex.Message;
+                Console.WriteLine($"[CV-Manual] Corners rejected: {ex.Message}");
+            }
+        }
+
+        if (options?.UseQrRectification == true)
+        {
+            var report = new QrWarpReport();
+            try
+            {
+                var quad = _qr.LocatePlanQuad(raw, QrDebugDir("photo"), report);
+                info = QrInfo("qr", report);
+                sourceQuad = quad;
+                return QrPerspectiveCorrector.WarpQuad(raw, quad, _c.AnalysisWidth, 0);
+            }
+            catch (Exception ex) when (ex is InvalidOperationException or ArgumentException)
+            {
+                info = QrInfo("contour", report, manualFailure ?? ex.Message);
+                Console.WriteLine($"[CV-QR] Rectification failed, using contour path: {ex.Message}");
+            }
+        }
+
+        double scale = (double)_c.AnalysisWidth / raw.Cols;
+        var img = new Mat();
+        Cv2.Resize(raw, img, new Size(_c.AnalysisWidth, (int)(raw.Rows * scale)),
+                   0, 0, InterpolationFlags.Area);
+        return img;
+    }
+
+    // ════════════════════════════════════════════════════════════════
+    //  AlignFrameToTemplate  –  map the photo's plan quad (user corners,
+    //  or QR quad when QR is on) onto the template's: the QR quad of the
+    //  template image, or for user corners the outer corners of the
+    //  paintable mask. Otherwise resize + AlignToTemplate as before.
+    // ════════════════════════════════════════════════════════════════
+    private Mat AlignFrameToTemplate(Mat raw, Mat templateImg, Mat paintableMask,
+        CvAnalyzeOptions? options, out RectificationInfo info, out Point2f[]? sourceQuad)
+    {
+        info = new RectificationInfo { Method = "template" };
+        sourceQuad = null;
+
+        if (options?.ManualCorners is { Count: 4 } manual)
+        {
+            var quad = DenormalizeCorners(manual, raw.Cols, raw.Rows);
+            var dstQuad = ExtremeCornersOfMask(paintableMask);
+            try
+            {
+                QrPerspectiveCorrector.ValidateQuad(quad, raw.Cols, raw.Rows);
+                if (dstQuad == null)
+                    throw new InvalidOperationException("Template paintable mask is empty.");
+
+                info = new RectificationInfo { Method = "manual" };
+                sourceQuad = quad;
+                Console.WriteLine("[CV-Manual] Photo corners warped onto template paintable area");
+                return WarpQuadOnto(raw, quad, dstQuad, templateImg.Size());
+            }
+            catch (InvalidOperationException ex)
+            {
+                info.FallbackReason = ex.Message;
+                Console.WriteLine($"[CV-Manual] Corners rejected: {ex.Message}");
+            }
+        }
+
+        if (options?.UseQrRectification == true)
+        {
+            var report = new QrWarpReport();
+            try
+            {
+                var srcQuad = _qr.LocatePlanQuad(raw, QrDebugDir("photo"), report);
+                Point2f[] dstQuad;
+                try
+                {
+                    dstQuad = _qr.LocatePlanQuad(templateImg, QrDebugDir("template"));
+                }
+                catch (InvalidOperationException ex)
+                {
+                    throw new InvalidOperationException($"Template has no usable QR corners: {ex.Message}");
+                }
+
+                info = QrInfo("qr", report);
+                sourceQuad = srcQuad;
+                Console.WriteLine($"[CV-QR] Photo warped onto template frame {templateImg.Cols}x{templateImg.Rows}");
+                return WarpQuadOnto(raw, srcQuad, dstQuad, templateImg.Size());
+            }
+            catch (Exception ex) when (ex is InvalidOperationException or ArgumentException)
+            {
+                info = QrInfo("template", report, info.FallbackReason ?? ex.Message);
+                Console.WriteLine($"[CV-QR] Rectification failed, using template alignment: {ex.Message}");
+            }
+        }
+
+        using var resized = new Mat();
+        Cv2.Resize(raw, resized, templateImg.Size(), 0, 0, InterpolationFlags.Area);
+        var aligned = AlignToTemplate(resized, templateImg, out var homography);
+        sourceQuad = ProjectTemplateBounds(paintableMask, homography, raw, templateImg);
+        homography?.Dispose();
+        return aligned;
+    }
+
+    // No quad was detected, so report where the template's paintable area
+    // lands in the photo: undo the alignment homography, then the resize
+    private static Point2f[]? ProjectTemplateBounds(Mat paintableMask, Mat? homography,
+        Mat raw, Mat templateImg)
+    {
+        var bounds = ExtremeCornersOfMask(paintableMask);
+        if (bounds == null) return null;
+
+        if (homography != null)
+        {
+            using Mat inverse = homography.Inv();
+            bounds = Cv2.PerspectiveTransform(bounds, inverse);
+        }
+
+        float sx = raw.Cols / (float)templateImg.Cols, sy = raw.Rows / (float)templateImg.Rows;
+        return bounds.Select(p => new Point2f(p.X * sx, p.Y * sy)).ToArray();
+    }
+
+    private static Mat WarpQuadOnto(Mat raw, Point2f[] srcQuad, Point2f[] dstQuad, Size size)
+    {
+        using var transform = Cv2.GetPerspectiveTransform(srcQuad, dstQuad);
+        var warped = new Mat();
+        Cv2.WarpPerspective(raw, warped, transform, size,
+            InterpolationFlags.Linear, BorderTypes.Constant, new Scalar(255, 255, 255));
+        return warped;
+    }
+
+    // ── Plan corners for the UI's corner editor, normalised to the uploaded photo ──
+
+    // After a manual warp the whole frame is the plan; trim the interpolated edge only
+    private static Mat FullFramePlanMask(Mat img)
+    {
+        int trim = Math.Max(2, (int)(Math.Min(img.Rows, img.Cols) * 0.01));
+        var mask = new Mat(img.Rows, img.Cols, MatType.CV_8UC1, new Scalar(0));
+        Cv2.Rectangle(mask, new Rect(trim, trim, img.Cols - 2 * trim, img.Rows - 2 * trim), new Scalar(255), -1);
+        return mask;
+    }
+
+    private static Point2f[]? ExtremeCornersOfMask(Mat mask)
+    {
+        Cv2.FindContours(mask, out Point[][] contours, out _,
+            RetrievalModes.External, ContourApproximationModes.ApproxSimple);
+        if (contours.Length == 0) return null;
+
+        var largest = contours.OrderByDescending(c => Cv2.ContourArea(c)).First();
+        if (largest.Length < 4) return null;
+
+        var pts = largest.Select(p => new Point2f(p.X, p.Y)).ToArray();
+        return new[] { CornerTag.TL, CornerTag.TR, CornerTag.BR, CornerTag.BL }
+            .Select(t => QrPerspectiveCorrector.SelectExtremeCorner(t, pts))
+            .ToArray();
+    }
+
+    // Contour path: the frame is a uniform resize of the photo, so normalising
+    // by the frame size gives photo-relative coordinates directly
+    private static List<NormalizedPoint>? PlanCornersFromMask(Mat planMask)
+    {
+        var corners = ExtremeCornersOfMask(planMask);
+        return corners == null ? null : NormalizeCorners(corners, planMask.Cols, planMask.Rows);
+    }
+
+    private static List<NormalizedPoint> NormalizeCorners(Point2f[] quad, int width, int height) =>
+        quad.Select(p => new NormalizedPoint
+        {
+            X = Math.Round(p.X / (double)width, 4),
+            Y = Math.Round(p.Y / (double)height, 4)
+        }).ToList();
+
+    private static Point2f[] DenormalizeCorners(List<NormalizedPoint> corners, int width, int height) =>
+        corners.Select(p => new Point2f((float)(p.X * width), (float)(p.Y * height))).ToArray();
+
+    private static RectificationInfo QrInfo(string method, QrWarpReport report, string? fallbackReason = null) => new()
+    {
+        Method = method,
+        CornersFound = report.Detected.Select(t => t.ToString()).ToList(),
+        EstimatedCorner = fallbackReason == null ? report.Estimated?.ToString() : null,
+        FallbackReason = fallbackReason
+    };
+
+    private string? QrDebugDir(string name) =>
+        _c.SaveDebug ? Path.Combine(_c.DebugPath, "qr", name) : null;
+
+    // ════════════════════════════════════════════════════════════════
+    //  BuildOverlay  –  same colours as the debug _overlay.png, but as
+    //  separate transparent layers so the UI can toggle each one.
+    //  "plan" is the denominator mask actually used for the percent.
+    // ════════════════════════════════════════════════════════════════
+    private static AnalysisOverlay BuildOverlay(Mat img, Mat planMask, Mat normalMask, Mat otMask)
+    {
+        return new AnalysisOverlay
+        {
+            Width = img.Cols,
+            Height = img.Rows,
+            BaseImage = ToDataUrl(img, ".jpg", "image/jpeg"),
+            PlanMask = ToDataUrl(ColorizeMask(planMask, new Scalar(0, 200, 0, 255)), ".png", "image/png", true),
+            NormalMask = ToDataUrl(ColorizeMask(normalMask, new Scalar(220, 130, 0, 255)), ".png", "image/png", true),
+            OtMask = ToDataUrl(ColorizeMask(otMask, new Scalar(0, 0, 230, 255)), ".png", "image/png", true)
+        };
+    }
+
+    private static Mat ColorizeMask(Mat mask, Scalar bgra)
+    {
+        var layer = new Mat(mask.Rows, mask.Cols, MatType.CV_8UC4, new Scalar(0, 0, 0, 0));
+        layer.SetTo(bgra, mask);
+        return layer;
+    }
+
+    private static string ToDataUrl(Mat img, string ext, string mime, bool dispose = false)
+    {
+        try
+        {
+            Cv2.ImEncode(ext, img, out byte[] buf);
+            return $"data:{mime};base64,{Convert.ToBase64String(buf)}";
+        }
+        finally
+        {
+            if (dispose) img.Dispose();
+        }
+    }
+
     private void SaveDebugImages(Mat img, Mat planMask,
         Mat normalRaw, Mat normalFiltered, Mat normalFinal,
         Mat otRaw, Mat otFiltered, Mat otFinal,
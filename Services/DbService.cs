@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Dapper;
 using Npgsql;
 using WorkProgress.Models;
@@ -26,16 +27,72 @@ public class DbService
     public DbService(IConfiguration configuration)
     {
         _connectionString = configuration.GetConnectionString("DefaultConnection")!;
+        EnsureBarcodeItemsTable().GetAwaiter().GetResult();
+        EnsureOperatorsTable().GetAwaiter().GetResult();
+        EnsureOperatorRoleColumn().GetAwaiter().GetResult();
+        EnsureLoginAttemptsTable().GetAwaiter().GetResult();
+        SeedBootstrapOperator(configuration["BOOTSTRAP_OPERATOR"]).GetAwaiter().GetResult();
         EnsureColorProfileTables().GetAwaiter().GetResult();
+        EnsureColorLibraryTables().GetAwaiter().GetResult();
         EnsureOrderTemplateTables().GetAwaiter().GetResult();
+        EnsureTemplateCountingModeColumn().GetAwaiter().GetResult();
         EnsureDailyProgressTable().GetAwaiter().GetResult();
         EnsureWorkDateColumn().GetAwaiter().GetResult();
         EnsureDeltaColumns().GetAwaiter().GetResult();
         EnsureDropFinalColumns().GetAwaiter().GetResult();
+        EnsureClientRequestTable().GetAwaiter().GetResult();
+        EnsureCorrectionMaskColumn().GetAwaiter().GetResult();
+        EnsurePlanCornersColumn().GetAwaiter().GetResult();
+        EnsurePaintMaskColumns().GetAwaiter().GetResult();
+        EnsureOperatorAttributionColumns().GetAwaiter().GetResult();
+        EnsureProgressAuditTable().GetAwaiter().GetResult();
+        EnsureSoftDeleteColumns().GetAwaiter().GetResult();
+        EnsureWebhookTables().GetAwaiter().GetResult();
     }
 
     private NpgsqlConnection CreateConnection() => new(_connectionString);
 
+    private const string ProgressRecordColumns = @"
+        id, order_no AS OrderNo, work_date AS WorkDate, created_at AS CreatedAt,
+        computed_normal_percent AS ComputedNormalPercent,
+        computed_ot_percent AS ComputedOtPercent,
+        computed_total_percent AS ComputedTotalPercent,
+        quality_score AS QualityScore, algo_version AS AlgoVersion,
+        evidence_image_path AS EvidenceImagePath,
+        correction_mask_path AS CorrectionMaskPath,
+        plan_corners_json AS PlanCornersJson,
+        paint_mask_path AS PaintMaskPath, paint_mask_template AS PaintMaskTemplate,
+        delta_normal_percent AS DeltaNormalPercent,
+        delta_ot_percent AS DeltaOtPercent,
+        delta_total_percent AS DeltaTotalPercent,
+        note, created_by AS CreatedBy,
+        (SELECT display_name FROM operators o WHERE o.employee_code = progress_records.created_by) AS CreatedByName,
+        updated_by AS UpdatedBy, updated_at AS UpdatedAt,
+        (SELECT display_name FROM operators o WHERE o.employee_code = progress_records.updated_by) AS UpdatedByName,
+        deleted_at AS DeletedAt, deleted_by AS DeletedBy,
+        (SELECT display_name FROM operators o WHERE o.employee_code = progress_records.deleted_by) AS DeletedByName";
+
+    // The values a payout dispute turns on; stored as before/after JSON in progress_audit
+    private const string AuditSnapshotSql = @"
+        jsonb_build_object(
+            'normalPercent', computed_normal_percent,
+            'otPercent', computed_ot_percent,
+            'totalPercent', computed_total_percent,
+            'qualityScore', quality_score,
+            'note', note,
+            'evidenceImagePath', evidence_image_path,
+            'createdBy', created_by)";
+
+    private static Task<ProgressRecord?> GetProgressRecordById(NpgsqlConnection conn, int id) =>
+        conn.QueryFirstOrDefaultAsync<ProgressRecord>(
+            $"SELECT {ProgressRecordColumns} FROM progress_records WHERE id = @Id", new { Id = id });
+
+    public async Task<ProgressRecord?> GetProgressById(int id)
+    {
+        using var conn = CreateConnection();
+        return await GetProgressRecordById(conn, id);
+    }
+
     private async Task EnsureColorProfileTables()
     {
         using var conn = CreateConnection();
@@ -60,18 +117,114 @@ public class DbService
         ");
     }
 
+    private const string BarcodeItemColumns = @"
+        barcode_no AS BarcodeNo, orno AS Orno, design_name AS DesignName,
+        list_no AS ListNo, item_no AS ItemNo, cnv_id AS CnvId,
+        cnv_desc AS CnvDesc, asplan AS Asplan, width, length, sqm, qty,
+        order_type AS OrderType, synced_at AS SyncedAt";
+
     public async Task<BarcodeItem?> GetBarcodeItem(string barcode)
     {
         using var conn = CreateConnection();
         return await conn.QueryFirstOrDefaultAsync<BarcodeItem>(
-            @"SELECT barcode_no AS BarcodeNo, orno AS Orno, design_name AS DesignName,
-                     list_no AS ListNo, item_no AS ItemNo, cnv_id AS CnvId,
-                     cnv_desc AS CnvDesc, asplan AS Asplan, width, length, sqm, qty,
-                     order_type AS OrderType, synced_at AS SyncedAt
-              FROM barcode_items WHERE TRIM(barcode_no) = @Barcode",
+            $"SELECT {BarcodeItemColumns} FROM barcode_items WHERE TRIM(barcode_no) = @Barcode",
             new { Barcode = barcode.Trim() });
     }
 
+    // ── ERP import of barcode_items (BarcodeImportService) ──
+
+    // Keyed by trimmed barcode; a padded duplicate keeps the first row, as GetBarcodeItem would
+    public async Task<Dictionary<string, BarcodeItem>> GetBarcodeItems(IReadOnlyCollection<string> barcodes)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<BarcodeItem>(
+            $"SELECT {BarcodeItemColumns} FROM barcode_items WHERE TRIM(barcode_no) = ANY(@Barcodes)",
+            new { Barcodes = barcodes.ToArray() });
+
+        var map = new Dictionary<string, BarcodeItem>();
+        foreach (var row in rows) map.TryAdd(row.BarcodeNo.Trim(), row);
+        return map;
+    }
+
+    // Rows per round trip; at ~14 parameters a row this stays far below PostgreSQL's 65535 cap
+    private const int ImportBatchSize = 500;
+
+    // Column names in Values come from BarcodeImportService's fixed field list, never from the file
+    public async Task ImportBarcodeItems(List<BarcodeItemWrite> writes, IReadOnlyCollection<string> unchanged)
+    {
+        using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        // New rows all carry the file's columns, so each chunk is one multi-row INSERT
+        foreach (var group in writes.Where(w => w.IsNew).GroupBy(w => string.Join(",", w.Values.Keys)))
+        {
+            var columns = group.First().Values.Keys.ToList();
+            foreach (var chunk in group.Chunk(ImportBatchSize))
+            {
+                var p = new DynamicParameters();
+                var rows = chunk.Select((write, i) =>
+                {
+                    p.Add($"BarcodeNo_{i}", write.BarcodeNo);
+                    foreach (var column in columns) p.Add($"{column}_{i}", write.Values[column]);
+                    return $"(@BarcodeNo_{i}, {string.Join(", ", columns.Select(c => $"@{c}_{i}"))}, NOW())";
+                }).ToList();
+                await conn.ExecuteAsync(
+                    $@"INSERT INTO barcode_items (barcode_no, {string.Join(", ", columns)}, synced_at)
+                       VALUES {string.Join(", ", rows)}",
+                    p, tx);
+            }
+        }
+
+        // Changed rows each set only their own columns; a chunk goes as one multi-statement command
+        foreach (var chunk in writes.Where(w => !w.IsNew).Chunk(ImportBatchSize))
+        {
+            var p = new DynamicParameters();
+            var statements = chunk.Select((write, i) =>
+            {
+                p.Add($"BarcodeNo_{i}", write.BarcodeNo);
+                foreach (var (column, value) in write.Values) p.Add($"{column}_{i}", value);
+                var sets = write.Values.Keys.Select(c => $"{c} = @{c}_{i}").Append("synced_at = NOW()");
+                return $"UPDATE barcode_items SET {string.Join(", ", sets)} WHERE TRIM(barcode_no) = @BarcodeNo_{i}";
+            }).ToList();
+            await conn.ExecuteAsync(string.Join(";\n", statements), p, tx);
+        }
+
+        // Still in the ERP export, so the row is confirmed current
+        if (unchanged.Count > 0)
+        {
+            await conn.ExecuteAsync(
+                "UPDATE barcode_items SET synced_at = NOW() WHERE TRIM(barcode_no) = ANY(@Barcodes)",
+                new { Barcodes = unchanged.ToArray() }, tx);
+        }
+
+        await tx.CommitAsync();
+    }
+
+    // Normally filled by the ERP; created here so a fresh database can be loaded through the import page
+    private async Task EnsureBarcodeItemsTable()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS barcode_items (
+                barcode_no  VARCHAR(50) PRIMARY KEY,
+                orno        VARCHAR(50) NOT NULL,
+                design_name VARCHAR(200),
+                list_no     VARCHAR(50),
+                item_no     VARCHAR(50) NOT NULL,
+                cnv_id      VARCHAR(50),
+                cnv_desc    VARCHAR(200),
+                asplan      VARCHAR(50),
+                width       NUMERIC(10,2),
+                length      NUMERIC(10,2),
+                sqm         NUMERIC(12,4),
+                qty         NUMERIC(12,2),
+                order_type  VARCHAR(50),
+                synced_at   TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        ");
+    }
+
     public async Task<(List<ProgressRecord> Records, int TotalCount)> GetProgressByOrderNo(
         string orderNo, int limit = 7, int offset = 0)
     {
@@ -79,21 +232,12 @@ public class DbService
         var trimmed = orderNo.Trim();
 
         var total = await conn.ExecuteScalarAsync<int>(
-            "SELECT COUNT(*) FROM progress_records WHERE TRIM(order_no) = @OrderNo",
+            "SELECT COUNT(*) FROM progress_records WHERE TRIM(order_no) = @OrderNo AND deleted_at IS NULL",
             new { OrderNo = trimmed });
 
         var result = await conn.QueryAsync<ProgressRecord>(
-            @"SELECT id, order_no AS OrderNo, work_date AS WorkDate, created_at AS CreatedAt,
-                     computed_normal_percent AS ComputedNormalPercent,
-                     computed_ot_percent AS ComputedOtPercent,
-                     computed_total_percent AS ComputedTotalPercent,
-                     quality_score AS QualityScore, algo_version AS AlgoVersion,
-                     evidence_image_path AS EvidenceImagePath,
-                     delta_normal_percent AS DeltaNormalPercent,
-                     delta_ot_percent AS DeltaOtPercent,
-                     delta_total_percent AS DeltaTotalPercent,
-                     note, created_by AS CreatedBy
-              FROM progress_records WHERE TRIM(order_no) = @OrderNo
+            $@"SELECT {ProgressRecordColumns}
+              FROM progress_records WHERE TRIM(order_no) = @OrderNo AND deleted_at IS NULL
               ORDER BY work_date DESC
               LIMIT @Limit OFFSET @Offset",
             new { OrderNo = trimmed, Limit = limit, Offset = offset });
@@ -101,22 +245,33 @@ public class DbService
         return (result.ToList(), total);
     }
 
-    public async Task<ProgressRecord> SaveProgress(ProgressSaveRequest req, string? imagePath, string baseInfoJson)
+    public async Task<ProgressRecord> SaveProgress(ProgressSaveRequest req, string? imagePath,
+        string? correctionMaskPath, string? planCornersJson, string? paintMaskPath, bool paintMaskTemplate,
+        string baseInfoJson)
     {
         using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
         var trimmedOrder = req.BarcodeNo.Trim();
         var targetDate = req.RecordDate?.Date ?? DateTime.Now.Date;
         var workDate = DateOnly.FromDateTime(targetDate);
 
+        // One record per order per day: a second save that day overwrites, so keep what it replaces
+        var before = await conn.QueryFirstOrDefaultAsync<string>(
+            $@"SELECT ({AuditSnapshotSql})::text FROM progress_records
+               WHERE TRIM(order_no) = @OrderNo AND work_date = @WorkDate AND deleted_at IS NULL
+               FOR UPDATE",
+            new { OrderNo = trimmedOrder, WorkDate = workDate }, tx);
+
         // Get previous day's record for delta calculation
         var prev = await conn.QueryFirstOrDefaultAsync<dynamic>(
             @"SELECT computed_normal_percent AS n,
                      computed_ot_percent AS o,
                      computed_total_percent AS t
               FROM progress_records
-              WHERE TRIM(order_no) = @OrderNo AND work_date < @WorkDate
+              WHERE TRIM(order_no) = @OrderNo AND work_date < @WorkDate AND deleted_at IS NULL
               ORDER BY work_date DESC LIMIT 1",
-            new { OrderNo = trimmedOrder, WorkDate = workDate });
+            new { OrderNo = trimmedOrder, WorkDate = workDate }, tx);
 
         decimal prevN = prev != null ? (decimal)prev.n : 0;
         decimal prevO = prev != null ? (decimal)prev.o : 0;
@@ -131,15 +286,17 @@ public class DbService
               (order_no, work_date, created_at,
                computed_normal_percent, computed_ot_percent, computed_total_percent,
                quality_score, algo_version, base_info_json, evidence_image_path,
+               correction_mask_path, plan_corners_json, paint_mask_path, paint_mask_template,
                delta_normal_percent, delta_ot_percent, delta_total_percent,
                note, created_by)
               VALUES
               (@OrderNo, @WorkDate, NOW(),
                @ComputedNormal, @ComputedOt, @ComputedTotal,
                @QualityScore, @AlgoVersion, @BaseInfoJson::jsonb, @ImagePath,
+               @CorrectionMaskPath, @PlanCornersJson::jsonb, @PaintMaskPath, @PaintMaskTemplate,
                @DeltaN, @DeltaO, @DeltaT,
                @Note, @CreatedBy)
-              ON CONFLICT (order_no, work_date) DO UPDATE SET
+              ON CONFLICT (order_no, work_date) WHERE deleted_at IS NULL DO UPDATE SET
                created_at              = NOW(),
                computed_normal_percent = EXCLUDED.computed_normal_percent,
                computed_ot_percent     = EXCLUDED.computed_ot_percent,
@@ -151,6 +308,10 @@ public class DbService
                note                    = EXCLUDED.note,
                created_by              = EXCLUDED.created_by,
                evidence_image_path     = COALESCE(EXCLUDED.evidence_image_path, progress_records.evidence_image_path),
+               correction_mask_path    = EXCLUDED.correction_mask_path,
+               plan_corners_json       = EXCLUDED.plan_corners_json,
+               paint_mask_path         = EXCLUDED.paint_mask_path,
+               paint_mask_template     = EXCLUDED.paint_mask_template,
                base_info_json          = EXCLUDED.base_info_json
               RETURNING id",
             new
@@ -164,28 +325,46 @@ public class DbService
                 AlgoVersion = "v1.0",
                 BaseInfoJson = baseInfoJson,
                 ImagePath = imagePath,
+                CorrectionMaskPath = correctionMaskPath,
+                PlanCornersJson = planCornersJson,
+                PaintMaskPath = paintMaskPath,
+                PaintMaskTemplate = paintMaskTemplate,
                 DeltaN = deltaN,
                 DeltaO = deltaO,
                 DeltaT = deltaT,
                 req.Note,
                 req.CreatedBy
-            });
+            }, tx);
+
+        // Every request id that landed is recorded, so a late replay of a save that was
+        // since overwritten still resolves to its row instead of overwriting it again
+        if (!string.IsNullOrWhiteSpace(req.ClientRequestId))
+            await conn.ExecuteAsync(
+                @"INSERT INTO progress_client_requests (client_request_id, record_id)
+                  VALUES (@ClientRequestId, @RecordId)
+                  ON CONFLICT (client_request_id) DO NOTHING",
+                new { ClientRequestId = req.ClientRequestId.Trim(), RecordId = id }, tx);
+
+        await AppendAudit(conn, tx, id, before == null ? "insert" : "overwrite", req.CreatedBy, before);
 
         // Recalculate deltas for days after this date (backdated entry support)
         await RecalcDeltasAfter(conn, trimmedOrder, workDate);
+        await tx.CommitAsync();
 
-        return await conn.QueryFirstAsync<ProgressRecord>(
-            @"SELECT id, order_no AS OrderNo, work_date AS WorkDate, created_at AS CreatedAt,
-                     computed_normal_percent AS ComputedNormalPercent,
-                     computed_ot_percent AS ComputedOtPercent,
-                     computed_total_percent AS ComputedTotalPercent,
-                     quality_score AS QualityScore, algo_version AS AlgoVersion,
-                     evidence_image_path AS EvidenceImagePath,
-                     delta_normal_percent AS DeltaNormalPercent,
-                     delta_ot_percent AS DeltaOtPercent,
-                     delta_total_percent AS DeltaTotalPercent,
-                     note, created_by AS CreatedBy
-              FROM progress_records WHERE id = @Id", new { Id = id });
+        return (await GetProgressRecordById(conn, id))!;
+    }
+
+    // Known is true for any id that landed, even once its record has been purged (Record is null then)
+    public async Task<(bool Known, ProgressRecord? Record)> GetProgressByClientRequestId(string clientRequestId)
+    {
+        using var conn = CreateConnection();
+        var mapping = await conn.QueryFirstOrDefaultAsync<dynamic>(
+            "SELECT record_id FROM progress_client_requests WHERE client_request_id = @ClientRequestId",
+            new { ClientRequestId = clientRequestId });
+
+        if (mapping == null) return (false, null);
+        if (mapping.record_id == null) return (true, null);
+        return (true, await GetProgressRecordById(conn, (int)mapping.record_id));
     }
 
     private async Task RecalcDeltasAfter(NpgsqlConnection conn, string orderNo, DateOnly afterDate)
@@ -196,7 +375,7 @@ public class DbService
                      computed_ot_percent AS o,
                      computed_total_percent AS t
               FROM progress_records
-              WHERE TRIM(order_no) = @OrderNo AND work_date >= @AfterDate
+              WHERE TRIM(order_no) = @OrderNo AND work_date >= @AfterDate AND deleted_at IS NULL
               ORDER BY work_date ASC",
             new { OrderNo = orderNo, AfterDate = afterDate });
 
@@ -208,7 +387,7 @@ public class DbService
                      computed_ot_percent AS o,
                      computed_total_percent AS t
               FROM progress_records
-              WHERE TRIM(order_no) = @OrderNo AND work_date < @AfterDate
+              WHERE TRIM(order_no) = @OrderNo AND work_date < @AfterDate AND deleted_at IS NULL
               ORDER BY work_date DESC LIMIT 1",
             new { OrderNo = orderNo, AfterDate = afterDate });
 
@@ -239,58 +418,169 @@ public class DbService
         }
     }
 
-    public async Task<ProgressRecord?> UpdateProgress(int id, decimal computedNormal, decimal computedOt, decimal computedTotal, string? note)
+    public async Task<ProgressRecord?> UpdateProgress(int id, decimal computedNormal, decimal computedOt,
+        decimal computedTotal, string? note, string updatedBy)
     {
         using var conn = CreateConnection();
-        var affected = await conn.ExecuteAsync(
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        var before = await conn.QueryFirstOrDefaultAsync<string>(
+            $"SELECT ({AuditSnapshotSql})::text FROM progress_records WHERE id = @Id AND deleted_at IS NULL FOR UPDATE",
+            new { Id = id }, tx);
+        if (before == null) return null;
+
+        await conn.ExecuteAsync(
             @"UPDATE progress_records SET computed_normal_percent = @Normal,
-              computed_ot_percent = @Ot, computed_total_percent = @Total, note = @Note
+              computed_ot_percent = @Ot, computed_total_percent = @Total, note = @Note,
+              updated_by = @UpdatedBy, updated_at = NOW()
               WHERE id = @Id",
-            new { Id = id, Normal = computedNormal, Ot = computedOt, Total = computedTotal, Note = note });
+            new { Id = id, Normal = computedNormal, Ot = computedOt, Total = computedTotal, Note = note, UpdatedBy = updatedBy }, tx);
 
-        if (affected == 0) return null;
+        await AppendAudit(conn, tx, id, "update", updatedBy, before);
 
         // Recalculate deltas for this record and subsequent days
-        var record = await conn.QueryFirstOrDefaultAsync<ProgressRecord>(
-            @"SELECT id, order_no AS OrderNo, work_date AS WorkDate, created_at AS CreatedAt,
-                     computed_normal_percent AS ComputedNormalPercent,
-                     computed_ot_percent AS ComputedOtPercent,
-                     computed_total_percent AS ComputedTotalPercent,
-                     quality_score AS QualityScore, algo_version AS AlgoVersion,
-                     evidence_image_path AS EvidenceImagePath,
-                     delta_normal_percent AS DeltaNormalPercent,
-                     delta_ot_percent AS DeltaOtPercent,
-                     delta_total_percent AS DeltaTotalPercent,
-                     note, created_by AS CreatedBy
-              FROM progress_records WHERE id = @Id", new { Id = id });
-
-        if (record != null)
-            await RecalcDeltasAfter(conn, record.OrderNo.Trim(), record.WorkDate);
+        var record = await GetProgressRecordById(conn, id);
+        if (record == null) return null;
+
+        await RecalcDeltasAfter(conn, record.OrderNo.Trim(), record.WorkDate);
+        await tx.CommitAsync();
+        return await GetProgressRecordById(conn, id);
+    }
 
+    // Soft delete: the row stays for the recycle bin, hidden from history, deltas and the dashboard
+    public async Task<ProgressRecord?> DeleteProgress(int id, string deletedBy)
+    {
+        using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        await conn.ExecuteAsync(
+            $@"INSERT INTO progress_audit (record_id, order_no, work_date, action, actor, before_json)
+               SELECT id, order_no, work_date, 'delete', @DeletedBy, {AuditSnapshotSql}
+               FROM progress_records WHERE id = @Id AND deleted_at IS NULL",
+            new { Id = id, DeletedBy = deletedBy }, tx);
+
+        var affected = await conn.ExecuteAsync(
+            @"UPDATE progress_records SET deleted_at = NOW(), deleted_by = @DeletedBy
+              WHERE id = @Id AND deleted_at IS NULL",
+            new { Id = id, DeletedBy = deletedBy }, tx);
+        if (affected == 0) return null;
+
+        var record = (await GetProgressRecordById(conn, id))!;
+        await RecalcDeltasAfter(conn, record.OrderNo.Trim(), record.WorkDate);
+        await tx.CommitAsync();
         return record;
     }
 
-    public async Task<bool> DeleteProgress(int id)
+    // Conflict: another record was saved for the same order and day after this one was deleted
+    public async Task<(ProgressRecord? Record, bool Conflict)> RestoreProgress(int id, string restoredBy)
     {
         using var conn = CreateConnection();
-        var affected = await conn.ExecuteAsync("DELETE FROM progress_records WHERE id = @Id", new { Id = id });
-        return affected > 0;
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        var record = await conn.QueryFirstOrDefaultAsync<ProgressRecord>(
+            $"SELECT {ProgressRecordColumns} FROM progress_records WHERE id = @Id AND deleted_at IS NOT NULL FOR UPDATE",
+            new { Id = id }, tx);
+        if (record == null) return (null, false);
+
+        var taken = await conn.ExecuteScalarAsync<bool>(
+            @"SELECT EXISTS(SELECT 1 FROM progress_records
+                            WHERE TRIM(order_no) = @OrderNo AND work_date = @WorkDate AND deleted_at IS NULL)",
+            new { OrderNo = record.OrderNo.Trim(), record.WorkDate }, tx);
+        if (taken) return (null, true);
+
+        await conn.ExecuteAsync(
+            "UPDATE progress_records SET deleted_at = NULL, deleted_by = NULL WHERE id = @Id",
+            new { Id = id }, tx);
+        await AppendAudit(conn, tx, id, "restore", restoredBy, null);
+
+        await RecalcDeltasAfter(conn, record.OrderNo.Trim(), record.WorkDate);
+        await tx.CommitAsync();
+        return (await GetProgressRecordById(conn, id), false);
     }
 
-    public async Task<bool> HasColorProfile(string orderNo)
+    public async Task<List<ProgressRecord>> GetDeletedProgress(string orderNo)
     {
         using var conn = CreateConnection();
-        return await conn.ExecuteScalarAsync<bool>(
-            "SELECT EXISTS(SELECT 1 FROM color_profiles WHERE order_no = @OrderNo)",
+        var result = await conn.QueryAsync<ProgressRecord>(
+            $@"SELECT {ProgressRecordColumns}
+               FROM progress_records WHERE TRIM(order_no) = @OrderNo AND deleted_at IS NOT NULL
+               ORDER BY deleted_at DESC",
             new { OrderNo = orderNo.Trim() });
+        return result.ToList();
+    }
+
+    // Only records already in the recycle bin can be purged; returns the row so the caller can remove its files
+    public async Task<ProgressRecord?> PurgeProgress(int id, string purgedBy)
+    {
+        using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        var record = await conn.QueryFirstOrDefaultAsync<ProgressRecord>(
+            $"SELECT {ProgressRecordColumns} FROM progress_records WHERE id = @Id AND deleted_at IS NOT NULL FOR UPDATE",
+            new { Id = id }, tx);
+        if (record == null) return null;
+
+        await conn.ExecuteAsync(
+            $@"INSERT INTO progress_audit (record_id, order_no, work_date, action, actor, before_json)
+               SELECT id, order_no, work_date, 'purge', @PurgedBy, {AuditSnapshotSql}
+               FROM progress_records WHERE id = @Id",
+            new { Id = id, PurgedBy = purgedBy }, tx);
+        await conn.ExecuteAsync("DELETE FROM progress_records WHERE id = @Id", new { Id = id }, tx);
+        await tx.CommitAsync();
+        return record;
+    }
+
+    // after_json is read back from the row as written, so it includes anything the upsert kept (e.g. the old image)
+    private static Task AppendAudit(NpgsqlConnection conn, NpgsqlTransaction tx, int recordId,
+        string action, string? actor, string? beforeJson) =>
+        conn.ExecuteAsync(
+            $@"INSERT INTO progress_audit (record_id, order_no, work_date, action, actor, before_json, after_json)
+               SELECT id, order_no, work_date, @Action, @Actor, @Before::jsonb, {AuditSnapshotSql}
+               FROM progress_records WHERE id = @Id",
+            new { Id = recordId, Action = action, Actor = actor, Before = beforeJson }, tx);
+
+    public async Task<List<ProgressAuditEntry>> GetProgressAudit(string orderNo, int limit)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<ProgressAuditEntry>(
+            @"SELECT a.id, a.record_id AS RecordId, a.order_no AS OrderNo, a.work_date AS WorkDate,
+                     a.action, a.actor, o.display_name AS ActorName, a.changed_at AS ChangedAt,
+                     a.before_json::text AS BeforeJson, a.after_json::text AS AfterJson
+              FROM progress_audit a
+              LEFT JOIN operators o ON o.employee_code = a.actor
+              WHERE TRIM(a.order_no) = @OrderNo
+              ORDER BY a.changed_at DESC, a.id DESC
+              LIMIT @Limit",
+            new { OrderNo = orderNo.Trim(), Limit = limit });
+
+        var entries = rows.ToList();
+        foreach (var e in entries)
+        {
+            e.Before = ParseAuditValues(e.BeforeJson);
+            e.After = ParseAuditValues(e.AfterJson);
+        }
+        return entries;
     }
 
+    private static readonly JsonSerializerOptions AuditJsonOptions = new() { PropertyNameCaseInsensitive = true };
+
+    private static ProgressAuditValues? ParseAuditValues(string? json) =>
+        string.IsNullOrEmpty(json) ? null : JsonSerializer.Deserialize<ProgressAuditValues>(json, AuditJsonOptions);
+
+    // The effective profile: a linked order without colours of its own takes the library's
     public async Task<ColorProfile?> GetColorProfile(string orderNo)
     {
         using var conn = CreateConnection();
         var profile = await conn.QueryFirstOrDefaultAsync<ColorProfile>(
-            @"SELECT id, order_no AS OrderNo, tolerance, created_at AS CreatedAt, updated_at AS UpdatedAt
-              FROM color_profiles WHERE order_no = @OrderNo",
+            @"SELECT p.id, p.order_no AS OrderNo, p.tolerance, p.created_at AS CreatedAt, p.updated_at AS UpdatedAt,
+                     p.library_profile_id AS LibraryProfileId, l.name AS LibraryProfileName
+              FROM color_profiles p
+              LEFT JOIN color_library_profiles l ON l.id = p.library_profile_id
+              WHERE p.order_no = @OrderNo",
             new { OrderNo = orderNo.Trim() });
 
         if (profile == null) return null;
@@ -302,6 +592,19 @@ public class DbService
             new { ProfileId = profile.Id });
 
         profile.Colors = colors.ToList();
+        if (profile.LibraryProfileId == null) return profile;
+
+        if (profile.Colors.Count > 0)
+        {
+            profile.Source = ColorProfileSources.Override;
+            return profile;
+        }
+
+        var library = await GetColorLibraryProfile(conn, profile.LibraryProfileId.Value);
+        if (library == null) return profile;
+        profile.Source = ColorProfileSources.Library;
+        profile.Tolerance = library.Tolerance;
+        profile.Colors = library.Colors;
         return profile;
     }
 
@@ -322,18 +625,52 @@ public class DbService
             "DELETE FROM color_profile_colors WHERE profile_id = @ProfileId",
             new { ProfileId = profileId }, tx);
 
-        for (int i = 0; i < req.Colors.Count; i++)
+        await InsertProfileColors(conn, tx, "color_profile_colors", "profile_id", profileId, req.Colors);
+
+        await tx.CommitAsync();
+        return (await GetColorProfile(req.OrderNo))!;
+    }
+
+    // table/ownerColumn are one of the two fixed colour tables, never user input
+    private static async Task InsertProfileColors(NpgsqlConnection conn, NpgsqlTransaction tx,
+        string table, string ownerColumn, int ownerId, List<ColorProfileColorInput> colors)
+    {
+        for (int i = 0; i < colors.Count; i++)
         {
-            var c = req.Colors[i];
+            var c = colors[i];
             var (h, s, v) = ColorAnalysisService.HexToHsv(c.HexColor);
             await conn.ExecuteAsync(
-                @"INSERT INTO color_profile_colors (profile_id, color_group, hex_color, hsv_h, hsv_s, hsv_v, sort_order)
-                  VALUES (@ProfileId, @ColorGroup, @HexColor, @H, @S, @V, @Sort)",
-                new { ProfileId = profileId, c.ColorGroup, c.HexColor, H = h, S = s, V = v, Sort = i }, tx);
+                $@"INSERT INTO {table} ({ownerColumn}, color_group, hex_color, hsv_h, hsv_s, hsv_v, sort_order)
+                   VALUES (@OwnerId, @ColorGroup, @HexColor, @H, @S, @V, @Sort)",
+                new { OwnerId = ownerId, c.ColorGroup, c.HexColor, H = h, S = s, V = v, Sort = i }, tx);
         }
+    }
+
+    // Links the order to a library profile and drops its own colours so it follows the library
+    public async Task<ColorProfile?> LinkColorProfile(string orderNo, int libraryProfileId)
+    {
+        using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        var exists = await conn.ExecuteScalarAsync<bool>(
+            "SELECT EXISTS(SELECT 1 FROM color_library_profiles WHERE id = @Id)",
+            new { Id = libraryProfileId }, tx);
+        if (!exists) return null;
+
+        var profileId = await conn.QuerySingleAsync<int>(
+            @"INSERT INTO color_profiles (order_no, library_profile_id)
+              VALUES (@OrderNo, @LibraryProfileId)
+              ON CONFLICT (order_no) DO UPDATE SET library_profile_id = @LibraryProfileId, updated_at = NOW()
+              RETURNING id",
+            new { OrderNo = orderNo.Trim(), LibraryProfileId = libraryProfileId }, tx);
+
+        await conn.ExecuteAsync(
+            "DELETE FROM color_profile_colors WHERE profile_id = @ProfileId",
+            new { ProfileId = profileId }, tx);
 
         await tx.CommitAsync();
-        return (await GetColorProfile(req.OrderNo))!;
+        return await GetColorProfile(orderNo);
     }
 
     public async Task<bool> DeleteColorProfile(string orderNo)
@@ -345,6 +682,138 @@ public class DbService
         return affected > 0;
     }
 
+    // ── Colour profile library ──
+
+    private async Task EnsureColorLibraryTables()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS color_library_profiles (
+                id         SERIAL PRIMARY KEY,
+                name       VARCHAR(100) NOT NULL UNIQUE,
+                tolerance  INTEGER NOT NULL DEFAULT 30,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+            CREATE TABLE IF NOT EXISTS color_library_colors (
+                id          SERIAL PRIMARY KEY,
+                library_id  INTEGER NOT NULL REFERENCES color_library_profiles(id) ON DELETE CASCADE,
+                color_group VARCHAR(10) NOT NULL CHECK (color_group IN ('normal','ot')),
+                hex_color   VARCHAR(7) NOT NULL,
+                hsv_h       REAL NOT NULL,
+                hsv_s       REAL NOT NULL,
+                hsv_v       REAL NOT NULL,
+                sort_order  INTEGER NOT NULL DEFAULT 0
+            );
+
+            ALTER TABLE color_profiles
+                ADD COLUMN IF NOT EXISTS library_profile_id INTEGER REFERENCES color_library_profiles(id);
+        ");
+    }
+
+    private const string ColorLibrarySelect = @"
+        SELECT l.id, l.name, l.tolerance, l.created_at AS CreatedAt, l.updated_at AS UpdatedAt,
+               COUNT(p.id) FILTER (WHERE NOT EXISTS (
+                   SELECT 1 FROM color_profile_colors c WHERE c.profile_id = p.id))::int AS UsageCount,
+               COUNT(p.id) FILTER (WHERE EXISTS (
+                   SELECT 1 FROM color_profile_colors c WHERE c.profile_id = p.id))::int AS OverrideCount
+        FROM color_library_profiles l
+        LEFT JOIN color_profiles p ON p.library_profile_id = l.id";
+
+    public async Task<List<ColorLibraryProfile>> GetColorLibrary()
+    {
+        using var conn = CreateConnection();
+        var profiles = (await conn.QueryAsync<ColorLibraryProfile>(
+            $"{ColorLibrarySelect} GROUP BY l.id ORDER BY l.name")).ToList();
+
+        var colors = (await conn.QueryAsync<ColorProfileColor>(
+            @"SELECT id, library_id AS ProfileId, color_group AS ColorGroup, hex_color AS HexColor,
+                     hsv_h AS HsvH, hsv_s AS HsvS, hsv_v AS HsvV, sort_order AS SortOrder
+              FROM color_library_colors ORDER BY library_id, sort_order"))
+            .ToLookup(c => c.ProfileId);
+
+        foreach (var p in profiles)
+            p.Colors = colors[p.Id].ToList();
+        return profiles;
+    }
+
+    public async Task<ColorLibraryProfile?> GetColorLibraryProfile(int id)
+    {
+        using var conn = CreateConnection();
+        return await GetColorLibraryProfile(conn, id);
+    }
+
+    private static async Task<ColorLibraryProfile?> GetColorLibraryProfile(NpgsqlConnection conn, int id)
+    {
+        var profile = await conn.QueryFirstOrDefaultAsync<ColorLibraryProfile>(
+            $"{ColorLibrarySelect} WHERE l.id = @Id GROUP BY l.id",
+            new { Id = id });
+
+        if (profile == null) return null;
+
+        var colors = await conn.QueryAsync<ColorProfileColor>(
+            @"SELECT id, library_id AS ProfileId, color_group AS ColorGroup, hex_color AS HexColor,
+                     hsv_h AS HsvH, hsv_s AS HsvS, hsv_v AS HsvV, sort_order AS SortOrder
+              FROM color_library_colors WHERE library_id = @Id ORDER BY sort_order",
+            new { Id = id });
+
+        profile.Colors = colors.ToList();
+        return profile;
+    }
+
+    public async Task<bool> ColorLibraryNameTaken(string name, int? exceptId)
+    {
+        using var conn = CreateConnection();
+        return await conn.ExecuteScalarAsync<bool>(
+            @"SELECT EXISTS(SELECT 1 FROM color_library_profiles
+                            WHERE LOWER(name) = LOWER(@Name) AND id <> COALESCE(@ExceptId, 0))",
+            new { Name = name.Trim(), ExceptId = exceptId });
+    }
+
+    // Returns null when req.Id names a profile that no longer exists
+    public async Task<ColorLibraryProfile?> SaveColorLibraryProfile(ColorLibrarySaveRequest req)
+    {
+        using var conn = CreateConnection();
+        await conn.OpenAsync();
+        using var tx = await conn.BeginTransactionAsync();
+
+        int? libraryId = req.Id == null
+            ? await conn.QuerySingleAsync<int>(
+                @"INSERT INTO color_library_profiles (name, tolerance)
+                  VALUES (@Name, @Tolerance)
+                  RETURNING id",
+                new { Name = req.Name.Trim(), req.Tolerance }, tx)
+            : await conn.QueryFirstOrDefaultAsync<int?>(
+                @"UPDATE color_library_profiles SET name = @Name, tolerance = @Tolerance, updated_at = NOW()
+                  WHERE id = @Id
+                  RETURNING id",
+                new { req.Id, Name = req.Name.Trim(), req.Tolerance }, tx);
+        if (libraryId == null) return null;
+
+        await conn.ExecuteAsync(
+            "DELETE FROM color_library_colors WHERE library_id = @Id",
+            new { Id = libraryId }, tx);
+        await InsertProfileColors(conn, tx, "color_library_colors", "library_id", libraryId.Value, req.Colors);
+
+        await tx.CommitAsync();
+        return await GetColorLibraryProfile(conn, libraryId.Value);
+    }
+
+    // Profiles still linked from an order can't be deleted; returns the number of linked orders
+    public async Task<(bool Deleted, int LinkedOrders)> DeleteColorLibraryProfile(int id)
+    {
+        using var conn = CreateConnection();
+        var linked = await conn.ExecuteScalarAsync<int>(
+            "SELECT COUNT(*) FROM color_profiles WHERE library_profile_id = @Id",
+            new { Id = id });
+        if (linked > 0) return (false, linked);
+
+        var affected = await conn.ExecuteAsync(
+            "DELETE FROM color_library_profiles WHERE id = @Id",
+            new { Id = id });
+        return (affected > 0, 0);
+    }
+
     private async Task EnsureOrderTemplateTables()
     {
         using var conn = CreateConnection();
@@ -362,14 +831,27 @@ public class DbService
         ");
     }
 
+    private async Task EnsureTemplateCountingModeColumn()
+    {
+        using var conn = CreateConnection();
+
+        // pixel = painted share of the plan area, cell = painted hex cells / all cells
+        await conn.ExecuteAsync(@"
+            ALTER TABLE order_templates
+                ADD COLUMN IF NOT EXISTS counting_mode VARCHAR(10) NOT NULL DEFAULT 'pixel'
+                    CHECK (counting_mode IN ('pixel', 'cell'));
+        ");
+    }
+
+    // Re-uploading a template keeps the order's counting mode
     public async Task<OrderTemplate> SaveTemplate(OrderTemplate template)
     {
         using var conn = CreateConnection();
-        var id = await conn.QuerySingleAsync<int>(@"
+        var (id, countingMode) = await conn.QuerySingleAsync<(int, string)>(@"
             INSERT INTO order_templates (order_no, template_image_path, paintable_mask_path,
-                                         paintable_pixels, template_width, template_height)
+                                         paintable_pixels, template_width, template_height, counting_mode)
             VALUES (@OrderNo, @TemplateImagePath, @PaintableMaskPath,
-                    @PaintablePixels, @TemplateWidth, @TemplateHeight)
+                    @PaintablePixels, @TemplateWidth, @TemplateHeight, @CountingMode)
             ON CONFLICT (order_no) DO UPDATE SET
                 template_image_path = @TemplateImagePath,
                 paintable_mask_path = @PaintableMaskPath,
@@ -377,24 +859,96 @@ public class DbService
                 template_width = @TemplateWidth,
                 template_height = @TemplateHeight,
                 created_at = NOW()
-            RETURNING id",
+            RETURNING id, counting_mode",
             template);
         template.Id = id;
+        template.CountingMode = countingMode;
         return template;
     }
 
+    private const string TemplateColumns = @"
+        t.id, t.order_no AS OrderNo, t.template_image_path AS TemplateImagePath,
+        t.paintable_mask_path AS PaintableMaskPath, t.paintable_pixels AS PaintablePixels,
+        t.template_width AS TemplateWidth, t.template_height AS TemplateHeight,
+        t.counting_mode AS CountingMode, t.created_at AS CreatedAt";
+
     public async Task<OrderTemplate?> GetTemplate(string orderNo)
     {
         using var conn = CreateConnection();
-        return await conn.QueryFirstOrDefaultAsync<OrderTemplate>(@"
-            SELECT id, order_no AS OrderNo, template_image_path AS TemplateImagePath,
-                   paintable_mask_path AS PaintableMaskPath, paintable_pixels AS PaintablePixels,
-                   template_width AS TemplateWidth, template_height AS TemplateHeight,
-                   created_at AS CreatedAt
-            FROM order_templates WHERE order_no = @OrderNo",
+        return await conn.QueryFirstOrDefaultAsync<OrderTemplate>(
+            $"SELECT {TemplateColumns} FROM order_templates t WHERE t.order_no = @OrderNo",
             new { OrderNo = orderNo.Trim() });
     }
 
+    // ── Settings shared by design ──
+    // Orders with the same DesignName and Asplan print the same plan artwork. The design
+    // orders join as "d", the order asking as "me"; orders without a design name match nothing.
+    private const string SameDesignJoin = @"
+        JOIN barcode_items d ON TRIM(d.barcode_no) = {0}
+        JOIN barcode_items me ON TRIM(me.barcode_no) = @OrderNo
+        WHERE {0} <> @OrderNo
+          AND NULLIF(TRIM(me.design_name), '') IS NOT NULL
+          AND TRIM(d.design_name) = TRIM(me.design_name)
+          AND COALESCE(TRIM(d.asplan), '') = COALESCE(TRIM(me.asplan), '')";
+
+    // The most recent template of another order with the same design
+    public async Task<OrderTemplate?> GetDesignTemplate(string orderNo)
+    {
+        using var conn = CreateConnection();
+        var sameDesign = string.Format(SameDesignJoin, "t.order_no");
+        return await conn.QueryFirstOrDefaultAsync<OrderTemplate>(
+            $@"SELECT {TemplateColumns} FROM order_templates t
+               {sameDesign}
+               ORDER BY t.created_at DESC
+               LIMIT 1",
+            new { OrderNo = orderNo.Trim() });
+    }
+
+    // The order whose colour profile was most recently saved among others with the same design
+    public async Task<string?> GetDesignColorProfileOrderNo(string orderNo)
+    {
+        using var conn = CreateConnection();
+        var sameDesign = string.Format(SameDesignJoin, "p.order_no");
+        return await conn.QueryFirstOrDefaultAsync<string>(
+            $@"SELECT p.order_no FROM color_profiles p
+               {sameDesign}
+               ORDER BY p.updated_at DESC
+               LIMIT 1",
+            new { OrderNo = orderNo.Trim() });
+    }
+
+    public async Task<(OrderTemplate? Template, SettingOrigin Origin)> ResolveTemplate(string orderNo)
+    {
+        var own = await GetTemplate(orderNo);
+        if (own != null) return (own, SettingOrigin.Own());
+
+        var inherited = await GetDesignTemplate(orderNo);
+        return inherited != null
+            ? (inherited, SettingOrigin.InheritedFrom(inherited.OrderNo))
+            : (null, SettingOrigin.None());
+    }
+
+    public async Task<(ColorProfile? Profile, SettingOrigin Origin)> ResolveColorProfile(string orderNo)
+    {
+        var own = await GetColorProfile(orderNo);
+        if (own != null) return (own, SettingOrigin.Own());
+
+        var sourceOrderNo = await GetDesignColorProfileOrderNo(orderNo);
+        var inherited = sourceOrderNo != null ? await GetColorProfile(sourceOrderNo) : null;
+        return inherited != null
+            ? (inherited, SettingOrigin.InheritedFrom(inherited.OrderNo))
+            : (null, SettingOrigin.None());
+    }
+
+    public async Task<bool> SetTemplateCountingMode(string orderNo, string mode)
+    {
+        using var conn = CreateConnection();
+        var affected = await conn.ExecuteAsync(
+            "UPDATE order_templates SET counting_mode = @Mode WHERE order_no = @OrderNo",
+            new { OrderNo = orderNo.Trim(), Mode = mode });
+        return affected > 0;
+    }
+
     public async Task<bool> HasTemplate(string orderNo)
     {
         using var conn = CreateConnection();
@@ -480,6 +1034,34 @@ public class DbService
             });
 
         // Recalculate deltas for days after this date (in case of backdated entry)
+        await RecalcSummaryDeltasAfter(conn, trimmedOrder, date, normalPct, otPct, totalPct);
+    }
+
+    // The day's record was deleted: drop its summary and re-base the following days on the day before
+    public async Task DeleteDailySummary(string orderNo, DateTime workDate)
+    {
+        using var conn = CreateConnection();
+        var trimmedOrder = orderNo.Trim();
+        var date = workDate.Date;
+
+        await conn.ExecuteAsync(
+            "DELETE FROM daily_progress_summary WHERE order_no = @OrderNo AND work_date = @WorkDate",
+            new { OrderNo = trimmedOrder, WorkDate = date });
+
+        var prev = await conn.QueryFirstOrDefaultAsync<DailyProgressSummary>(
+            @"SELECT normal_percent AS NormalPercent, ot_percent AS OtPercent, total_percent AS TotalPercent
+              FROM daily_progress_summary
+              WHERE order_no = @OrderNo AND work_date < @WorkDate
+              ORDER BY work_date DESC LIMIT 1",
+            new { OrderNo = trimmedOrder, WorkDate = date });
+
+        await RecalcSummaryDeltasAfter(conn, trimmedOrder, date,
+            prev?.NormalPercent ?? 0, prev?.OtPercent ?? 0, prev?.TotalPercent ?? 0);
+    }
+
+    private static async Task RecalcSummaryDeltasAfter(NpgsqlConnection conn, string trimmedOrder, DateTime date,
+        decimal prevN, decimal prevO, decimal prevT)
+    {
         var laterDays = await conn.QueryAsync<DailyProgressSummary>(
             @"SELECT id, order_no AS OrderNo, work_date AS WorkDate,
                      normal_percent AS NormalPercent, ot_percent AS OtPercent,
@@ -489,7 +1071,6 @@ public class DbService
               ORDER BY work_date ASC",
             new { OrderNo = trimmedOrder, WorkDate = date });
 
-        decimal prevN = normalPct, prevO = otPct, prevT = totalPct;
         foreach (var day in laterDays)
         {
             var dN = Math.Round(day.NormalPercent - prevN, 2);
@@ -610,6 +1191,70 @@ public class DbService
         ");
     }
 
+    private async Task EnsureClientRequestTable()
+    {
+        using var conn = CreateConnection();
+
+        // Offline-queued saves carry a client-generated id so a replayed POST resolves
+        // to the row it already wrote. A same-day overwrite lands on an existing row, so
+        // every id that was applied maps to it and an older save replayed late is still
+        // recognised as a duplicate. A purge clears record_id but keeps the id, so the
+        // replay is still refused rather than recreating the record.
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS progress_client_requests (
+                client_request_id VARCHAR(64) PRIMARY KEY,
+                record_id         INTEGER REFERENCES progress_records(id) ON DELETE SET NULL,
+                created_at        TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        ");
+    }
+
+    private async Task EnsureCorrectionMaskColumn()
+    {
+        using var conn = CreateConnection();
+
+        // Set only when the operator repainted the detected regions by hand
+        await conn.ExecuteAsync(@"
+            ALTER TABLE progress_records
+                ADD COLUMN IF NOT EXISTS correction_mask_path TEXT;
+        ");
+    }
+
+    private async Task EnsurePlanCornersColumn()
+    {
+        using var conn = CreateConnection();
+
+        // [TL, TR, BR, BL] normalised 0–1, set only when the operator placed the corners by hand
+        await conn.ExecuteAsync(@"
+            ALTER TABLE progress_records
+                ADD COLUMN IF NOT EXISTS plan_corners_json JSONB;
+        ");
+    }
+
+    private async Task EnsurePaintMaskColumns()
+    {
+        using var conn = CreateConnection();
+
+        // Final class map of the analysed frame; template = drawn in the order template's frame
+        await conn.ExecuteAsync(@"
+            ALTER TABLE progress_records
+                ADD COLUMN IF NOT EXISTS paint_mask_path TEXT,
+                ADD COLUMN IF NOT EXISTS paint_mask_template BOOLEAN NOT NULL DEFAULT FALSE;
+        ");
+    }
+
+    // The latest earlier work date that has a paint mask to diff against
+    public async Task<ProgressRecord?> GetPreviousPaintMaskRecord(string orderNo, DateOnly workDate)
+    {
+        using var conn = CreateConnection();
+        return await conn.QueryFirstOrDefaultAsync<ProgressRecord>(
+            $@"SELECT {ProgressRecordColumns} FROM progress_records
+               WHERE TRIM(order_no) = @OrderNo AND work_date < @WorkDate
+                 AND deleted_at IS NULL AND paint_mask_path IS NOT NULL
+               ORDER BY work_date DESC LIMIT 1",
+            new { OrderNo = orderNo.Trim(), WorkDate = workDate });
+    }
+
     public async Task<List<DailyProgressSummary>> GetDailySummaries(string orderNo)
     {
         using var conn = CreateConnection();
@@ -625,4 +1270,691 @@ public class DbService
             new { OrderNo = orderNo.Trim() });
         return result.ToList();
     }
+
+    // ── Dashboard: one row per barcode with progress, cumulative = max reading like ScanBarcode ──
+
+    private static readonly Dictionary<string, string> DashboardSortColumns = new()
+    {
+        ["updated"] = "last_updated",
+        ["barcode"] = "barcode_no",
+        ["orno"] = "orno",
+        ["total"] = "cumulative_total",
+        ["normal"] = "cumulative_normal",
+        ["ot"] = "cumulative_ot",
+        ["sqm"] = "sqm"
+    };
+
+    private const string DashboardRowsCte = @"
+        WITH agg AS (
+            SELECT TRIM(order_no) AS order_no,
+                   MAX(computed_normal_percent) AS cumulative_normal,
+                   MAX(computed_ot_percent)     AS cumulative_ot,
+                   MAX(created_at)              AS last_updated,
+                   MAX(work_date)               AS last_work_date,
+                   COUNT(*)                     AS record_count
+            FROM progress_records
+            WHERE deleted_at IS NULL
+            GROUP BY TRIM(order_no)
+        ),
+        rows AS (
+            SELECT TRIM(b.barcode_no) AS barcode_no, b.orno, b.design_name, b.order_type, b.sqm,
+                   a.cumulative_normal, a.cumulative_ot,
+                   LEAST(a.cumulative_normal + a.cumulative_ot, 100) AS cumulative_total,
+                   a.last_updated, a.last_work_date, a.record_count
+            FROM barcode_items b
+            JOIN agg a ON a.order_no = TRIM(b.barcode_no)
+        ),
+        bucketed AS (
+            SELECT rows.*,
+                   CASE WHEN cumulative_total >= @CompleteThreshold THEN 'done'
+                        WHEN cumulative_total >= 80 THEN 'almost'
+                        WHEN cumulative_total > 0 THEN 'progress'
+                        ELSE 'idle' END AS status
+            FROM rows
+        )";
+
+    public async Task<DashboardPage> GetDashboard(DashboardQuery q)
+    {
+        using var conn = CreateConnection();
+
+        var where = new List<string>();
+        if (!string.IsNullOrWhiteSpace(q.OrderType)) where.Add("TRIM(order_type) = @OrderType");
+        if (!string.IsNullOrWhiteSpace(q.Status)) where.Add("status = @Status");
+        if (q.From.HasValue) where.Add("last_work_date >= @From");
+        if (q.To.HasValue) where.Add("last_work_date <= @To");
+        if (!string.IsNullOrWhiteSpace(q.Search))
+            where.Add("(barcode_no ILIKE @Search OR orno ILIKE @Search OR design_name ILIKE @Search)");
+        var whereSql = where.Count > 0 ? "WHERE " + string.Join(" AND ", where) : "";
+
+        // Sort column comes from the whitelist only; never interpolate the raw query value
+        var sortColumn = DashboardSortColumns.GetValueOrDefault(q.Sort ?? "", "last_updated");
+        var dir = string.Equals(q.Dir, "asc", StringComparison.OrdinalIgnoreCase) ? "ASC" : "DESC";
+
+        var args = new
+        {
+            CompleteThreshold = ProgressForecastService.CompleteThreshold,
+            OrderType = q.OrderType?.Trim(),
+            q.Status,
+            From = q.From?.Date,
+            To = q.To?.Date,
+            Search = string.IsNullOrWhiteSpace(q.Search) ? null : $"%{q.Search.Trim()}%",
+            Limit = q.PageSize,
+            Offset = (q.Page - 1) * q.PageSize
+        };
+
+        var total = await conn.ExecuteScalarAsync<int>(
+            $"{DashboardRowsCte} SELECT COUNT(*) FROM bucketed {whereSql}", args);
+
+        var items = await conn.QueryAsync<DashboardRow>(
+            $@"{DashboardRowsCte}
+              SELECT barcode_no AS BarcodeNo, orno AS Orno, design_name AS DesignName,
+                     order_type AS OrderType, sqm AS Sqm,
+                     cumulative_normal AS CumulativeNormal, cumulative_ot AS CumulativeOt,
+                     cumulative_total AS CumulativeTotal, status AS Status,
+                     record_count AS RecordCount, last_updated AS LastUpdated,
+                     last_work_date AS LastWorkDate
+              FROM bucketed {whereSql}
+              ORDER BY {sortColumn} {dir} NULLS LAST, barcode_no
+              LIMIT @Limit OFFSET @Offset", args);
+
+        var orderTypes = await conn.QueryAsync<string>(
+            @"SELECT DISTINCT TRIM(order_type) FROM barcode_items
+              WHERE order_type IS NOT NULL AND TRIM(order_type) <> ''
+              ORDER BY 1");
+
+        return new DashboardPage
+        {
+            Items = items.ToList(),
+            TotalCount = total,
+            Page = q.Page,
+            PageSize = q.PageSize,
+            OrderTypes = orderTypes.ToList()
+        };
+    }
+
+    // ── Export: progress records / daily summaries joined with barcode_items ──
+
+    private const string ExportItemColumns = @"
+        b.orno AS Orno, b.design_name AS DesignName, b.width AS Width, b.length AS Length,
+        b.sqm AS Sqm, b.order_type AS OrderType";
+
+    public async Task<List<ProgressExportRow>> GetProgressRecordsForExport(string orderNo, DateTime? from, DateTime? to)
+    {
+        using var conn = CreateConnection();
+        var where = new List<string> { "TRIM(p.order_no) = @OrderNo", "p.deleted_at IS NULL" };
+        if (from.HasValue) where.Add("p.work_date >= @From");
+        if (to.HasValue) where.Add("p.work_date <= @To");
+
+        var rows = await conn.QueryAsync<ProgressExportRow>(
+            $@"SELECT TRIM(p.order_no) AS BarcodeNo, {ExportItemColumns},
+                      p.work_date AS WorkDate, p.created_at AS CreatedAt,
+                      p.computed_normal_percent AS NormalPercent, p.computed_ot_percent AS OtPercent,
+                      p.computed_total_percent AS TotalPercent,
+                      p.delta_normal_percent AS DeltaNormal, p.delta_ot_percent AS DeltaOt,
+                      p.delta_total_percent AS DeltaTotal,
+                      p.note AS Note, p.created_by AS CreatedBy, o.display_name AS CreatedByName
+               FROM progress_records p
+               LEFT JOIN barcode_items b ON TRIM(b.barcode_no) = TRIM(p.order_no)
+               LEFT JOIN operators o ON o.employee_code = p.created_by
+               WHERE {string.Join(" AND ", where)}
+               ORDER BY p.work_date",
+            new { OrderNo = orderNo.Trim(), From = from?.Date, To = to?.Date });
+        return rows.ToList();
+    }
+
+    // orderNo null: every order, which is what the date-range export uses
+    public async Task<List<ProgressExportRow>> GetDailySummariesForExport(string? orderNo, DateTime? from, DateTime? to)
+    {
+        using var conn = CreateConnection();
+        var where = new List<string>();
+        if (orderNo != null) where.Add("d.order_no = @OrderNo");
+        if (from.HasValue) where.Add("d.work_date >= @From");
+        if (to.HasValue) where.Add("d.work_date <= @To");
+        var whereSql = where.Count > 0 ? "WHERE " + string.Join(" AND ", where) : "";
+
+        var rows = await conn.QueryAsync<ProgressExportRow>(
+            $@"SELECT d.order_no AS BarcodeNo, {ExportItemColumns},
+                      d.work_date AS WorkDate,
+                      d.normal_percent AS NormalPercent, d.ot_percent AS OtPercent,
+                      d.total_percent AS TotalPercent,
+                      d.delta_normal AS DeltaNormal, d.delta_ot AS DeltaOt, d.delta_total AS DeltaTotal
+               FROM daily_progress_summary d
+               LEFT JOIN barcode_items b ON TRIM(b.barcode_no) = d.order_no
+               {whereSql}
+               ORDER BY d.order_no, d.work_date",
+            new { OrderNo = orderNo?.Trim(), From = from?.Date, To = to?.Date });
+        return rows.ToList();
+    }
+
+    // Oldest first, for the report's evidence strip
+    public async Task<List<ProgressRecord>> GetProgressForReport(string orderNo, DateTime? from, DateTime? to)
+    {
+        using var conn = CreateConnection();
+        var where = new List<string> { "TRIM(order_no) = @OrderNo", "deleted_at IS NULL" };
+        if (from.HasValue) where.Add("work_date >= @From");
+        if (to.HasValue) where.Add("work_date <= @To");
+
+        var rows = await conn.QueryAsync<ProgressRecord>(
+            $@"SELECT {ProgressRecordColumns}
+               FROM progress_records
+               WHERE {string.Join(" AND ", where)}
+               ORDER BY work_date",
+            new { OrderNo = orderNo.Trim(), From = from?.Date, To = to?.Date });
+        return rows.ToList();
+    }
+
+    // Highest readings up to a date; the report's rings ignore the range start
+    public async Task<(decimal Normal, decimal Ot)> GetCumulativeProgress(string orderNo, DateTime? asOf)
+    {
+        using var conn = CreateConnection();
+        var asOfSql = asOf.HasValue ? "AND work_date <= @AsOf" : "";
+        var row = await conn.QueryFirstAsync<(decimal? Normal, decimal? Ot)>(
+            $@"SELECT MAX(computed_normal_percent), MAX(computed_ot_percent)
+               FROM progress_records
+               WHERE TRIM(order_no) = @OrderNo AND deleted_at IS NULL {asOfSql}",
+            new { OrderNo = orderNo.Trim(), AsOf = asOf?.Date });
+        return (row.Normal ?? 0m, row.Ot ?? 0m);
+    }
+
+    // ── Alert candidates: unfinished orders with their latest daily summaries ──
+
+    public async Task<List<AlertCandidate>> GetAlertCandidates(int recentCount)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<AlertCandidateRow>(
+            @"WITH ranked AS (
+                  SELECT TRIM(order_no) AS order_no, work_date, total_percent, delta_total,
+                         ROW_NUMBER() OVER (PARTITION BY TRIM(order_no) ORDER BY work_date DESC) AS rn,
+                         LEAST(MAX(normal_percent) OVER (PARTITION BY TRIM(order_no))
+                             + MAX(ot_percent) OVER (PARTITION BY TRIM(order_no)), 100) AS cumulative_total
+                  FROM daily_progress_summary
+              )
+              SELECT TRIM(b.barcode_no) AS BarcodeNo, b.orno AS Orno, b.design_name AS DesignName,
+                     b.order_type AS OrderType, r.cumulative_total AS CumulativeTotal,
+                     r.work_date AS WorkDate, r.total_percent AS TotalPercent, r.delta_total AS DeltaTotal
+              FROM ranked r
+              JOIN barcode_items b ON TRIM(b.barcode_no) = r.order_no
+              WHERE r.rn <= @RecentCount AND r.cumulative_total < @CompleteThreshold
+              ORDER BY r.order_no, r.work_date DESC",
+            new { RecentCount = recentCount, CompleteThreshold = ProgressForecastService.CompleteThreshold });
+
+        return rows
+            .GroupBy(r => r.BarcodeNo)
+            .Select(g =>
+            {
+                var first = g.First();
+                return new AlertCandidate
+                {
+                    BarcodeNo = first.BarcodeNo,
+                    Orno = first.Orno,
+                    DesignName = first.DesignName,
+                    OrderType = first.OrderType,
+                    CumulativeTotal = first.CumulativeTotal,
+                    Recent = g.Select(r => new DailyProgressSummary
+                    {
+                        OrderNo = r.BarcodeNo,
+                        WorkDate = r.WorkDate,
+                        TotalPercent = r.TotalPercent,
+                        DeltaTotal = r.DeltaTotal
+                    }).ToList()
+                };
+            })
+            .ToList();
+    }
+
+    private class AlertCandidateRow
+    {
+        public string BarcodeNo { get; set; } = "";
+        public string Orno { get; set; } = "";
+        public string? DesignName { get; set; }
+        public string? OrderType { get; set; }
+        public decimal CumulativeTotal { get; set; }
+        public DateTime WorkDate { get; set; }
+        public decimal TotalPercent { get; set; }
+        public decimal DeltaTotal { get; set; }
+    }
+
+    // ── Operators: employee code + PIN identities for attribution ──
+
+    private async Task EnsureOperatorsTable()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS operators (
+                id              SERIAL PRIMARY KEY,
+                employee_code   VARCHAR(50) NOT NULL UNIQUE,
+                display_name    VARCHAR(100) NOT NULL,
+                pin_hash        TEXT NOT NULL,
+                is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at      TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        ");
+    }
+
+    // Failed logins are counted per entered code, known or not, so the lockout doesn't reveal
+    // which codes exist
+    private async Task EnsureLoginAttemptsTable()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                employee_code   VARCHAR(50) PRIMARY KEY,
+                failed_attempts INT NOT NULL DEFAULT 0,
+                locked_until    TIMESTAMP,
+                last_failed_at  TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        ");
+    }
+
+    private async Task EnsureOperatorRoleColumn()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            ALTER TABLE operators
+                ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'operator'
+                    CHECK (role IN ('operator', 'supervisor', 'admin'));
+        ");
+    }
+
+    // BOOTSTRAP_OPERATOR=CODE:PIN:Name creates the first operator, as admin, on an empty table.
+    // On a table without any admin it promotes that code instead, so nobody is locked out of configuration.
+    private async Task SeedBootstrapOperator(string? spec)
+    {
+        if (string.IsNullOrWhiteSpace(spec)) return;
+        var parts = spec.Split(':', 3);
+        if (parts.Length < 2 || string.IsNullOrWhiteSpace(parts[0]) || string.IsNullOrWhiteSpace(parts[1]))
+        {
+            Console.WriteLine("[Operators] BOOTSTRAP_OPERATOR must be CODE:PIN[:Name], ignored");
+            return;
+        }
+
+        using var conn = CreateConnection();
+        var code = parts[0].Trim();
+        var any = await conn.ExecuteScalarAsync<bool>("SELECT EXISTS(SELECT 1 FROM operators)");
+        if (any)
+        {
+            var promoted = await conn.ExecuteAsync(
+                @"UPDATE operators SET role = 'admin'
+                  WHERE employee_code = @Code
+                    AND NOT EXISTS (SELECT 1 FROM operators WHERE role = 'admin')",
+                new { Code = code });
+            if (promoted > 0) Console.WriteLine($"[Operators] Promoted bootstrap operator {code} to admin");
+            return;
+        }
+
+        await conn.ExecuteAsync(
+            @"INSERT INTO operators (employee_code, display_name, pin_hash, role)
+              VALUES (@Code, @Name, @PinHash, 'admin')",
+            new
+            {
+                Code = code,
+                Name = parts.Length > 2 && !string.IsNullOrWhiteSpace(parts[2]) ? parts[2].Trim() : code,
+                PinHash = PinHasher.Hash(parts[1].Trim())
+            });
+        Console.WriteLine($"[Operators] Created bootstrap operator {code}");
+    }
+
+    private async Task EnsureOperatorAttributionColumns()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            ALTER TABLE progress_records
+                ADD COLUMN IF NOT EXISTS updated_by VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+        ");
+    }
+
+    // Append-only: nothing in this service updates or deletes audit rows
+    private async Task EnsureProgressAuditTable()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS progress_audit (
+                id          BIGSERIAL PRIMARY KEY,
+                record_id   INT NOT NULL,
+                order_no    VARCHAR(50) NOT NULL,
+                work_date   DATE NOT NULL,
+                action      VARCHAR(20) NOT NULL CHECK (action IN ('insert', 'overwrite', 'update', 'delete')),
+                actor       VARCHAR(50),
+                changed_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+                before_json JSONB,
+                after_json  JSONB
+            );
+            CREATE INDEX IF NOT EXISTS ix_progress_audit_order ON progress_audit (order_no, changed_at DESC);
+        ");
+    }
+
+    // The one-per-day rule now applies to live rows only, so a day can be re-saved while its
+    // deleted record waits in the recycle bin
+    private async Task EnsureSoftDeleteColumns()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            ALTER TABLE progress_records
+                ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50);
+
+            CREATE UNIQUE INDEX IF NOT EXISTS uq_progress_order_date_live
+                ON progress_records (order_no, work_date) WHERE deleted_at IS NULL;
+            ALTER TABLE progress_records DROP CONSTRAINT IF EXISTS uq_progress_order_date;
+
+            ALTER TABLE progress_audit DROP CONSTRAINT IF EXISTS progress_audit_action_check;
+            ALTER TABLE progress_audit ADD CONSTRAINT progress_audit_action_check
+                CHECK (action IN ('insert', 'overwrite', 'update', 'delete', 'restore', 'purge'));
+        ");
+    }
+
+    public async Task<Operator?> GetOperatorByCode(string employeeCode)
+    {
+        using var conn = CreateConnection();
+        return await conn.QueryFirstOrDefaultAsync<Operator>(
+            @"SELECT id, employee_code AS EmployeeCode, display_name AS DisplayName,
+                     role AS Role, pin_hash AS PinHash, is_active AS IsActive,
+                     created_at AS CreatedAt
+              FROM operators WHERE employee_code = @Code",
+            new { Code = employeeCode.Trim() });
+    }
+
+    private const string OperatorSummarySelect = @"
+        SELECT o.id, o.employee_code AS EmployeeCode, o.display_name AS DisplayName,
+               o.role AS Role, o.is_active AS IsActive, o.created_at AS CreatedAt,
+               (SELECT a.locked_until FROM login_attempts a
+                WHERE a.employee_code = o.employee_code AND a.locked_until > NOW()) AS LockedUntil
+        FROM operators o";
+
+    public async Task<List<OperatorSummary>> GetOperators()
+    {
+        using var conn = CreateConnection();
+        var result = await conn.QueryAsync<OperatorSummary>(
+            $"{OperatorSummarySelect} ORDER BY o.is_active DESC, o.employee_code");
+        return result.ToList();
+    }
+
+    public async Task<OperatorSummary?> GetOperatorSummary(int id)
+    {
+        using var conn = CreateConnection();
+        return await conn.QueryFirstOrDefaultAsync<OperatorSummary>(
+            $"{OperatorSummarySelect} WHERE o.id = @Id", new { Id = id });
+    }
+
+    public async Task<OperatorSummary> CreateOperator(OperatorCreateRequest req)
+    {
+        using var conn = CreateConnection();
+        var id = await conn.QuerySingleAsync<int>(
+            @"INSERT INTO operators (employee_code, display_name, pin_hash, role)
+              VALUES (@Code, @Name, @PinHash, @Role)
+              RETURNING id",
+            new
+            {
+                Code = req.EmployeeCode.Trim(),
+                Name = req.DisplayName.Trim(),
+                PinHash = PinHasher.Hash(req.Pin.Trim()),
+                req.Role
+            });
+        return (await GetOperatorSummary(id))!;
+    }
+
+    // A new PIN also lifts any lockout on the code
+    public async Task<bool> ResetOperatorPin(int id, string pin)
+    {
+        using var conn = CreateConnection();
+        var code = await conn.ExecuteScalarAsync<string?>(
+            "UPDATE operators SET pin_hash = @PinHash WHERE id = @Id RETURNING employee_code",
+            new { Id = id, PinHash = PinHasher.Hash(pin.Trim()) });
+        if (code == null) return false;
+
+        await conn.ExecuteAsync(
+            "DELETE FROM login_attempts WHERE employee_code = @Code",
+            new { Code = code });
+        return true;
+    }
+
+    public async Task<bool> SetOperatorRole(int id, string role)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.ExecuteAsync(
+            "UPDATE operators SET role = @Role WHERE id = @Id",
+            new { Id = id, Role = role });
+        return rows > 0;
+    }
+
+    public async Task<bool> SetOperatorActive(int id, bool isActive)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.ExecuteAsync(
+            "UPDATE operators SET is_active = @IsActive WHERE id = @Id",
+            new { Id = id, IsActive = isActive });
+        return rows > 0;
+    }
+
+    public async Task<bool> IsLoginLocked(string employeeCode)
+    {
+        using var conn = CreateConnection();
+        return await conn.ExecuteScalarAsync<bool>(
+            "SELECT EXISTS(SELECT 1 FROM login_attempts WHERE employee_code = @Code AND locked_until > NOW())",
+            new { Code = employeeCode });
+    }
+
+    public async Task RecordLoginResult(string employeeCode, bool success, int maxAttempts, TimeSpan lockout)
+    {
+        using var conn = CreateConnection();
+        if (success)
+        {
+            await conn.ExecuteAsync(
+                "DELETE FROM login_attempts WHERE employee_code = @Code",
+                new { Code = employeeCode });
+            return;
+        }
+
+        // Codes nobody has mistyped for a day are forgotten, so guessed codes don't pile up
+        await conn.ExecuteAsync(
+            @"INSERT INTO login_attempts (employee_code, failed_attempts, last_failed_at)
+              VALUES (@Code, 1, NOW())
+              ON CONFLICT (employee_code) DO UPDATE SET
+                failed_attempts = CASE WHEN login_attempts.failed_attempts + 1 >= @Max THEN 0
+                                       ELSE login_attempts.failed_attempts + 1 END,
+                locked_until    = CASE WHEN login_attempts.failed_attempts + 1 >= @Max THEN NOW() + @Lockout
+                                       ELSE login_attempts.locked_until END,
+                last_failed_at  = NOW();
+
+              DELETE FROM login_attempts
+              WHERE last_failed_at < NOW() - INTERVAL '1 day'
+                AND (locked_until IS NULL OR locked_until < NOW())",
+            new { Code = employeeCode, Max = maxAttempts, Lockout = lockout });
+    }
+
+    // ── Webhooks: outbound milestone notifications and their delivery log ──
+
+    private async Task EnsureWebhookTables()
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(@"
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id         SERIAL PRIMARY KEY,
+                name       VARCHAR(100) NOT NULL,
+                url        TEXT NOT NULL,
+                secret     TEXT,
+                milestones INTEGER[] NOT NULL DEFAULT '{50,80,100}',
+                enabled    BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id               BIGSERIAL PRIMARY KEY,
+                webhook_id       INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                event            VARCHAR(20) NOT NULL CHECK (event IN ('milestone', 'complete', 'test')),
+                order_no         VARCHAR(50),
+                milestone        INTEGER,
+                payload_json     JSONB NOT NULL,
+                status           VARCHAR(20) NOT NULL DEFAULT 'pending'
+                                 CHECK (status IN ('pending', 'delivered', 'failed')),
+                attempts         INTEGER NOT NULL DEFAULT 0,
+                last_status_code INTEGER,
+                last_error       TEXT,
+                next_attempt_at  TIMESTAMP,
+                created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+                delivered_at     TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS ix_webhook_deliveries_due
+                ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+            CREATE INDEX IF NOT EXISTS ix_webhook_deliveries_order
+                ON webhook_deliveries (webhook_id, order_no, milestone);
+        ");
+    }
+
+    private const string WebhookColumns = @"
+        id, name, url, secret, milestones, enabled,
+        created_at AS CreatedAt, updated_at AS UpdatedAt";
+
+    public async Task<List<Webhook>> GetWebhooks(bool enabledOnly = false)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<Webhook>(
+            $"SELECT {WebhookColumns} FROM webhooks {(enabledOnly ? "WHERE enabled" : "")} ORDER BY id");
+        return rows.ToList();
+    }
+
+    public async Task<Webhook?> GetWebhook(int id)
+    {
+        using var conn = CreateConnection();
+        return await conn.QueryFirstOrDefaultAsync<Webhook>(
+            $"SELECT {WebhookColumns} FROM webhooks WHERE id = @Id", new { Id = id });
+    }
+
+    // Returns null when an edit targets a webhook that no longer exists
+    public async Task<Webhook?> SaveWebhook(WebhookSaveRequest req)
+    {
+        using var conn = CreateConnection();
+        var p = new
+        {
+            req.Id,
+            Name = req.Name.Trim(),
+            Url = req.Url.Trim(),
+            Secret = string.IsNullOrEmpty(req.Secret) ? null : req.Secret,
+            KeepSecret = req.Secret == null,
+            Milestones = req.Milestones.Distinct().OrderBy(m => m).ToArray(),
+            req.Enabled
+        };
+
+        if (req.Id == null)
+        {
+            return await conn.QueryFirstAsync<Webhook>(
+                $@"INSERT INTO webhooks (name, url, secret, milestones, enabled)
+                   VALUES (@Name, @Url, @Secret, @Milestones, @Enabled)
+                   RETURNING {WebhookColumns}", p);
+        }
+
+        return await conn.QueryFirstOrDefaultAsync<Webhook>(
+            $@"UPDATE webhooks SET
+                   name = @Name, url = @Url,
+                   secret = CASE WHEN @KeepSecret THEN secret ELSE @Secret END,
+                   milestones = @Milestones, enabled = @Enabled, updated_at = NOW()
+               WHERE id = @Id
+               RETURNING {WebhookColumns}", p);
+    }
+
+    public async Task<bool> DeleteWebhook(int id)
+    {
+        using var conn = CreateConnection();
+        return await conn.ExecuteAsync("DELETE FROM webhooks WHERE id = @Id", new { Id = id }) > 0;
+    }
+
+    // Milestones already queued for this webhook and order, so a dip and re-cross doesn't notify twice
+    public async Task<HashSet<int>> GetNotifiedMilestones(int webhookId, string orderNo)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<int>(
+            @"SELECT DISTINCT milestone FROM webhook_deliveries
+              WHERE webhook_id = @WebhookId AND order_no = @OrderNo
+                AND event <> 'test' AND milestone IS NOT NULL",
+            new { WebhookId = webhookId, OrderNo = orderNo.Trim() });
+        return rows.ToHashSet();
+    }
+
+    // Test sends are delivered inline, so they are queued without a due time
+    public async Task<long> EnqueueWebhookDelivery(int webhookId, string evt, string? orderNo, int? milestone,
+        string payloadJson, bool due)
+    {
+        using var conn = CreateConnection();
+        return await conn.ExecuteScalarAsync<long>(
+            @"INSERT INTO webhook_deliveries (webhook_id, event, order_no, milestone, payload_json, next_attempt_at)
+              VALUES (@WebhookId, @Event, @OrderNo, @Milestone, @Payload::jsonb, CASE WHEN @Due THEN NOW() END)
+              RETURNING id",
+            new
+            {
+                WebhookId = webhookId, Event = evt, OrderNo = orderNo?.Trim(), Milestone = milestone,
+                Payload = payloadJson, Due = due
+            });
+    }
+
+    private const string WebhookDeliveryColumns = @"
+        d.id, d.webhook_id AS WebhookId, w.name AS WebhookName, d.event, d.order_no AS OrderNo,
+        d.milestone, d.status, d.attempts, d.last_status_code AS LastStatusCode,
+        d.last_error AS LastError, d.next_attempt_at AS NextAttemptAt,
+        d.created_at AS CreatedAt, d.delivered_at AS DeliveredAt";
+
+    // Deliveries for disabled webhooks wait until the webhook is switched back on
+    public async Task<List<WebhookDelivery>> GetDueWebhookDeliveries(int limit)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<WebhookDelivery>(
+            $@"SELECT {WebhookDeliveryColumns}, d.payload_json::text AS PayloadJson, w.url, w.secret
+               FROM webhook_deliveries d
+               JOIN webhooks w ON w.id = d.webhook_id
+               WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.enabled
+               ORDER BY d.next_attempt_at, d.id
+               LIMIT @Limit",
+            new { Limit = limit });
+        return rows.ToList();
+    }
+
+    public async Task<WebhookDelivery?> GetWebhookDelivery(long id)
+    {
+        using var conn = CreateConnection();
+        return await conn.QueryFirstOrDefaultAsync<WebhookDelivery>(
+            $@"SELECT {WebhookDeliveryColumns}, d.payload_json::text AS PayloadJson, w.url, w.secret
+               FROM webhook_deliveries d
+               JOIN webhooks w ON w.id = d.webhook_id
+               WHERE d.id = @Id",
+            new { Id = id });
+    }
+
+    // retryIn is null once the delivery is settled either way
+    public async Task RecordWebhookAttempt(long id, string status, int? statusCode, string? error, TimeSpan? retryIn)
+    {
+        using var conn = CreateConnection();
+        await conn.ExecuteAsync(
+            @"UPDATE webhook_deliveries SET
+                  status = @Status, attempts = attempts + 1,
+                  last_status_code = @StatusCode, last_error = @Error,
+                  next_attempt_at = NOW() + @RetryIn,
+                  delivered_at = CASE WHEN @Status = 'delivered' THEN NOW() ELSE delivered_at END
+              WHERE id = @Id",
+            new { Id = id, Status = status, StatusCode = statusCode, Error = error, RetryIn = retryIn });
+    }
+
+    public async Task<List<WebhookDelivery>> GetWebhookDeliveries(int? webhookId, int limit)
+    {
+        using var conn = CreateConnection();
+        var rows = await conn.QueryAsync<WebhookDelivery>(
+            $@"SELECT {WebhookDeliveryColumns}
+               FROM webhook_deliveries d
+               JOIN webhooks w ON w.id = d.webhook_id
+               {(webhookId.HasValue ? "WHERE d.webhook_id = @WebhookId" : "")}
+               ORDER BY d.id DESC
+               LIMIT @Limit",
+            new { WebhookId = webhookId, Limit = limit });
+        return rows.ToList();
+    }
+
+    // A failed delivery goes back in the queue for one more round of retries
+    public async Task<bool> RetryWebhookDelivery(long id)
+    {
+        using var conn = CreateConnection();
+        return await conn.ExecuteAsync(
+            @"UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+              WHERE id = @Id AND status = 'failed'",
+            new { Id = id }) > 0;
+    }
 }
@@ -0,0 +1,110 @@
+using OpenCvSharp;
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Per-record paint masks and the day-over-day diff between them. A mask is the final
+/// per-pixel class map of the analysed frame (detection plus any brush corrections),
+/// stored as a greyscale PNG with one level per class.
+/// </summary>
+public class PaintDiffService
+{
+    // Grey levels in the stored mask; mask-editor.js writes the same values
+    public const byte Outside = 0, Plan = 85, Normal = 170, Ot = 255;
+
+    /// <summary>
+    /// Decodes an uploaded mask, snaps every pixel to the nearest class level and
+    /// re-encodes it as PNG. Returns null when the bytes are not an image.
+    /// </summary>
+    public byte[]? NormalizeMask(byte[] imageBytes, out Size size)
+    {
+        using var mask = DecodeMask(imageBytes);
+        size = mask.Size();
+        if (mask.Empty()) return null;
+
+        Cv2.ImEncode(".png", mask, out byte[] png);
+        return png;
+    }
+
+    /// <summary>
+    /// Diffs today's mask against an earlier one. Masks from different frames are
+    /// resized onto today's, which lines up only roughly; the caller reports that.
+    /// </summary>
+    public PaintDiffResult Compare(byte[] currentMask, byte[] previousMask)
+    {
+        using var current = DecodeMask(currentMask);
+        using var previous = DecodeMask(previousMask);
+        if (current.Empty() || previous.Empty())
+            throw new InvalidDataException("Unreadable paint mask.");
+
+        var sameSize = current.Size() == previous.Size();
+        if (!sameSize)
+            Cv2.Resize(previous, previous, current.Size(), 0, 0, InterpolationFlags.Nearest);
+
+        using var plan = Level(current, Plan, Ot);
+        using var curNormal = Level(current, Normal, Normal);
+        using var curOt = Level(current, Ot, Ot);
+        using var curPainted = Level(current, Normal, Ot);
+        using var prevPainted = Level(previous, Normal, Ot);
+
+        using var notPrev = new Mat();
+        Cv2.BitwiseNot(prevPainted, notPrev);
+        using var notCur = new Mat();
+        Cv2.BitwiseNot(curPainted, notCur);
+
+        using var newNormal = new Mat();
+        Cv2.BitwiseAnd(curNormal, notPrev, newNormal);
+        using var newOt = new Mat();
+        Cv2.BitwiseAnd(curOt, notPrev, newOt);
+        using var kept = new Mat();
+        Cv2.BitwiseAnd(curPainted, prevPainted, kept);
+        // Painted before, not detected now, and still inside today's plan
+        using var regression = new Mat();
+        Cv2.BitwiseAnd(prevPainted, notCur, regression);
+        Cv2.BitwiseAnd(regression, plan, regression);
+
+        // Transparent outside the plan so it can sit on the analysed frame in the upload view
+        using var image = new Mat(current.Rows, current.Cols, MatType.CV_8UC4, new Scalar(0, 0, 0, 0));
+        image.SetTo(new Scalar(255, 255, 255, 70), plan);
+        image.SetTo(new Scalar(184, 163, 148, 160), kept);
+        image.SetTo(new Scalar(220, 130, 0, 235), newNormal);
+        image.SetTo(new Scalar(0, 0, 230, 235), newOt);
+        image.SetTo(new Scalar(21, 204, 250, 255), regression);
+        Cv2.ImEncode(".png", image, out byte[] png);
+
+        var planPx = Cv2.CountNonZero(plan);
+        decimal Percent(Mat m) => planPx == 0 ? 0m : Math.Round(Cv2.CountNonZero(m) * 100m / planPx, 2);
+
+        return new PaintDiffResult
+        {
+            SameFrame = sameSize,
+            Width = current.Cols,
+            Height = current.Rows,
+            Image = $"data:image/png;base64,{Convert.ToBase64String(png)}",
+            NewNormalPercent = Percent(newNormal),
+            NewOtPercent = Percent(newOt),
+            RegressionPercent = Percent(regression)
+        };
+    }
+
+    private static Mat DecodeMask(byte[] imageBytes)
+    {
+        var mask = Cv2.ImDecode(imageBytes, ImreadModes.Grayscale);
+        if (mask.Empty()) return mask;
+
+        // Snap to the nearest level so scaling or re-encoding can't invent classes
+        using var lut = new Mat(1, 256, MatType.CV_8UC1);
+        for (int v = 0; v < 256; v++)
+            lut.Set(0, v, v < 43 ? Outside : v < 128 ? Plan : v < 213 ? Normal : Ot);
+        Cv2.LUT(mask, lut, mask);
+        return mask;
+    }
+
+    private static Mat Level(Mat mask, byte low, byte high)
+    {
+        var result = new Mat();
+        Cv2.InRange(mask, new Scalar(low), new Scalar(high), result);
+        return result;
+    }
+}
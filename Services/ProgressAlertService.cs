@@ -0,0 +1,103 @@
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Flags unfinished orders that nobody has photographed lately ("stale") and orders
+/// whose recent daily deltas are flat ("stalled"). Thresholds come from the
+/// "ProgressAlerts" section of appsettings and are re-read on every evaluation.
+/// </summary>
+public class ProgressAlertService
+{
+    private static readonly DayOfWeek[] DefaultWorkingDays =
+    {
+        DayOfWeek.Monday, DayOfWeek.Tuesday, DayOfWeek.Wednesday,
+        DayOfWeek.Thursday, DayOfWeek.Friday, DayOfWeek.Saturday
+    };
+
+    private readonly DbService _db;
+    private readonly IConfiguration _configuration;
+
+    public ProgressAlertService(DbService db, IConfiguration configuration)
+    {
+        _db = db;
+        _configuration = configuration;
+    }
+
+    public ProgressAlertSettings GetSettings()
+    {
+        var settings = _configuration.GetSection("ProgressAlerts").Get<ProgressAlertSettings>()
+                       ?? new ProgressAlertSettings();
+
+        if (settings.WorkingDays.Count == 0)
+            settings.WorkingDays = DefaultWorkingDays.ToList();
+        settings.StaleWorkingDays = Math.Max(1, settings.StaleWorkingDays);
+        settings.StalledRecordCount = Math.Max(2, settings.StalledRecordCount);
+        settings.StalledDeltaPercent = Math.Max(0m, settings.StalledDeltaPercent);
+        return settings;
+    }
+
+    public async Task<ProgressAlertReport> Evaluate(DateTime? today = null)
+    {
+        var settings = GetSettings();
+        var date = (today ?? DateTime.Now).Date;
+        var candidates = await _db.GetAlertCandidates(settings.StalledRecordCount);
+
+        var alerts = new List<ProgressAlert>();
+        foreach (var c in candidates)
+        {
+            var latest = c.Recent.FirstOrDefault();
+            if (latest == null) continue;
+
+            int idleDays = CountWorkingDaysBetween(latest.WorkDate.Date, date, settings.WorkingDays);
+            if (idleDays >= settings.StaleWorkingDays)
+            {
+                alerts.Add(NewAlert(c, "stale", idleDays, 0,
+                    $"ไม่มีการอัพเดท {idleDays} วันทำงาน"));
+            }
+
+            if (c.Recent.Count >= settings.StalledRecordCount &&
+                c.Recent.All(r => Math.Abs(r.DeltaTotal) <= settings.StalledDeltaPercent))
+            {
+                alerts.Add(NewAlert(c, "stalled", idleDays, c.Recent.Count,
+                    $"ไม่คืบหน้าติดกัน {c.Recent.Count} ครั้งล่าสุด"));
+            }
+        }
+
+        return new ProgressAlertReport
+        {
+            GeneratedAt = DateTime.Now,
+            Settings = settings,
+            Alerts = alerts
+                .OrderByDescending(a => a.WorkingDaysSinceUpdate)
+                .ThenBy(a => a.BarcodeNo)
+                .ToList()
+        };
+    }
+
+    private static ProgressAlert NewAlert(AlertCandidate c, string kind, int idleDays, int flatCount, string message) =>
+        new()
+        {
+            Kind = kind,
+            BarcodeNo = c.BarcodeNo,
+            Orno = c.Orno,
+            DesignName = c.DesignName,
+            OrderType = c.OrderType,
+            CumulativeTotal = c.CumulativeTotal,
+            LastWorkDate = c.Recent[0].WorkDate.Date,
+            WorkingDaysSinceUpdate = idleDays,
+            FlatRecordCount = flatCount,
+            Message = message
+        };
+
+    // Working days strictly after the last record and before today: today's photo may still come
+    private static int CountWorkingDaysBetween(DateTime lastWorkDate, DateTime today, List<DayOfWeek> workingDays)
+    {
+        int count = 0;
+        for (var d = lastWorkDate.AddDays(1); d < today; d = d.AddDays(1))
+        {
+            if (workingDays.Contains(d.DayOfWeek)) count++;
+        }
+        return count;
+    }
+}
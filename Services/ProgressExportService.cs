@@ -0,0 +1,276 @@
+using System.Globalization;
+using System.IO.Compression;
+using System.Text;
+using System.Xml;
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// CSV and XLSX downloads of progress records and daily summaries for planning.
+/// The XLSX is written directly as SpreadsheetML (one sheet, inline strings) so the
+/// export needs nothing beyond the framework.
+/// </summary>
+public class ProgressExportService
+{
+    public const string Csv = "csv";
+    public const string Xlsx = "xlsx";
+
+    private record Column(string Header, Func<ProgressExportRow, object?> Value);
+
+    private static readonly Column[] ItemColumns =
+    {
+        new("Barcode", r => r.BarcodeNo),
+        new("Order No", r => r.Orno),
+        new("ลายพรม", r => r.DesignName),
+        new("กว้าง", r => r.Width),
+        new("ยาว", r => r.Length),
+        new("Sqm", r => r.Sqm),
+        new("ประเภท", r => r.OrderType),
+        new("วันที่งาน", r => DateOnly.FromDateTime(r.WorkDate))
+    };
+
+    private static readonly Column[] ValueColumns =
+    {
+        new("ปกติ %", r => r.NormalPercent),
+        new("OT %", r => r.OtPercent),
+        new("รวม %", r => r.TotalPercent),
+        new("เพิ่ม ปกติ %", r => r.DeltaNormal),
+        new("เพิ่ม OT %", r => r.DeltaOt),
+        new("เพิ่ม รวม %", r => r.DeltaTotal)
+    };
+
+    private static readonly Column[] RecordColumns = ItemColumns
+        .Append(new Column("เวลาบันทึก", r => r.CreatedAt))
+        .Concat(ValueColumns)
+        .Append(new Column("หมายเหตุ", r => r.Note))
+        .Append(new Column("ผู้บันทึก", r => r.CreatedByName ?? r.CreatedBy))
+        .ToArray();
+
+    private static readonly Column[] SummaryColumns = ItemColumns.Concat(ValueColumns).ToArray();
+
+    private readonly DbService _db;
+
+    public ProgressExportService(DbService db)
+    {
+        _db = db;
+    }
+
+    public static bool IsSupportedFormat(string? format) => format is Csv or Xlsx;
+
+    public async Task<ExportFile> ExportRecords(string barcode, DateTime? from, DateTime? to, string format)
+    {
+        var rows = await _db.GetProgressRecordsForExport(barcode, from, to);
+        return Build(rows, RecordColumns, "Records", $"progress_{SafeName(barcode)}{RangeSuffix(from, to)}", format);
+    }
+
+    public async Task<ExportFile> ExportDailySummaries(string barcode, DateTime? from, DateTime? to, string format)
+    {
+        var rows = await _db.GetDailySummariesForExport(barcode, from, to);
+        return Build(rows, SummaryColumns, "Daily", $"daily_{SafeName(barcode)}{RangeSuffix(from, to)}", format);
+    }
+
+    public async Task<ExportFile> ExportRange(DateTime from, DateTime to, string format)
+    {
+        var rows = await _db.GetDailySummariesForExport(null, from, to);
+        return Build(rows, SummaryColumns, "Daily", $"daily_all{RangeSuffix(from, to)}", format);
+    }
+
+    private static ExportFile Build(List<ProgressExportRow> rows, Column[] columns, string sheetName,
+        string baseName, string format)
+    {
+        var headers = columns.Select(c => c.Header).ToList();
+        var values = rows.Select(r => columns.Select(c => c.Value(r)).ToArray()).ToList();
+
+        return format == Xlsx
+            ? new ExportFile
+            {
+                Content = WriteXlsx(sheetName, headers, values),
+                ContentType = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+                FileName = $"{baseName}.xlsx"
+            }
+            : new ExportFile
+            {
+                Content = WriteCsv(headers, values),
+                ContentType = "text/csv; charset=utf-8",
+                FileName = $"{baseName}.csv"
+            };
+    }
+
+    private static string RangeSuffix(DateTime? from, DateTime? to) =>
+        from == null && to == null ? "" : $"_{from:yyyyMMdd}-{to:yyyyMMdd}";
+
+    private static string SafeName(string s) =>
+        new(s.Trim().Select(ch => char.IsLetterOrDigit(ch) || ch is '-' or '_' ? ch : '_').ToArray());
+
+    // ── CSV ──
+
+    private static byte[] WriteCsv(List<string> headers, List<object?[]> rows)
+    {
+        var sb = new StringBuilder();
+        sb.Append(string.Join(",", headers.Select(CsvField))).Append("\r\n");
+        foreach (var row in rows)
+            sb.Append(string.Join(",", row.Select(v => CsvField(FormatText(v))))).Append("\r\n");
+
+        // BOM so Excel opens the Thai headers as UTF-8
+        return Encoding.UTF8.GetPreamble().Concat(Encoding.UTF8.GetBytes(sb.ToString())).ToArray();
+    }
+
+    private static string CsvField(string value)
+    {
+        // A note typed as "=..." must stay text when the file is opened in a spreadsheet
+        if (value.Length > 0 && "=+-@".Contains(value[0]) && !decimal.TryParse(value, NumberStyles.Number, CultureInfo.InvariantCulture, out _))
+            value = "'" + value;
+        return value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+            ? $"\"{value.Replace("\"", "\"\"")}\""
+            : value;
+    }
+
+    private static string FormatText(object? value) => value switch
+    {
+        null => "",
+        DateOnly d => d.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+        DateTime dt => dt.ToString("yyyy-MM-dd HH:mm", CultureInfo.InvariantCulture),
+        decimal m => m.ToString(CultureInfo.InvariantCulture),
+        _ => Convert.ToString(value, CultureInfo.InvariantCulture) ?? ""
+    };
+
+    // ── XLSX ──
+
+    // Style indexes into cellXfs below
+    private const int StyleHeader = 1, StyleDate = 2, StyleDateTime = 3;
+
+    private static byte[] WriteXlsx(string sheetName, List<string> headers, List<object?[]> rows)
+    {
+        using var ms = new MemoryStream();
+        using (var zip = new ZipArchive(ms, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            AddEntry(zip, "[Content_Types].xml", @"<?xml version=""1.0"" encoding=""UTF-8"" standalone=""yes""?>
+<Types xmlns=""http://schemas.openxmlformats.org/package/2006/content-types"">
+<Default Extension=""rels"" ContentType=""application/vnd.openxmlformats-package.relationships+xml""/>
+<Default Extension=""xml"" ContentType=""application/xml""/>
+<Override PartName=""/xl/workbook.xml"" ContentType=""application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml""/>
+<Override PartName=""/xl/worksheets/sheet1.xml"" ContentType=""application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml""/>
+<Override PartName=""/xl/styles.xml"" ContentType=""application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml""/>
+</Types>");
+            AddEntry(zip, "_rels/.rels", @"<?xml version=""1.0"" encoding=""UTF-8"" standalone=""yes""?>
+<Relationships xmlns=""http://schemas.openxmlformats.org/package/2006/relationships"">
+<Relationship Id=""rId1"" Type=""http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument"" Target=""xl/workbook.xml""/>
+</Relationships>");
+            AddEntry(zip, "xl/_rels/workbook.xml.rels", @"<?xml version=""1.0"" encoding=""UTF-8"" standalone=""yes""?>
+<Relationships xmlns=""http://schemas.openxmlformats.org/package/2006/relationships"">
+<Relationship Id=""rId1"" Type=""http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet"" Target=""worksheets/sheet1.xml""/>
+<Relationship Id=""rId2"" Type=""http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles"" Target=""styles.xml""/>
+</Relationships>");
+            AddEntry(zip, "xl/workbook.xml", $@"<?xml version=""1.0"" encoding=""UTF-8"" standalone=""yes""?>
+<workbook xmlns=""http://schemas.openxmlformats.org/spreadsheetml/2006/main"" xmlns:r=""http://schemas.openxmlformats.org/officeDocument/2006/relationships"">
+<sheets><sheet name=""{sheetName}"" sheetId=""1"" r:id=""rId1""/></sheets>
+</workbook>");
+            AddEntry(zip, "xl/styles.xml", @"<?xml version=""1.0"" encoding=""UTF-8"" standalone=""yes""?>
+<styleSheet xmlns=""http://schemas.openxmlformats.org/spreadsheetml/2006/main"">
+<numFmts count=""2""><numFmt numFmtId=""164"" formatCode=""yyyy-mm-dd""/><numFmt numFmtId=""165"" formatCode=""yyyy-mm-dd hh:mm""/></numFmts>
+<fonts count=""2""><font><sz val=""11""/><name val=""Calibri""/></font><font><b/><sz val=""11""/><name val=""Calibri""/></font></fonts>
+<fills count=""2""><fill><patternFill patternType=""none""/></fill><fill><patternFill patternType=""gray125""/></fill></fills>
+<borders count=""1""><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count=""1""><xf numFmtId=""0"" fontId=""0"" fillId=""0"" borderId=""0""/></cellStyleXfs>
+<cellXfs count=""4"">
+<xf numFmtId=""0"" fontId=""0"" fillId=""0"" borderId=""0"" xfId=""0""/>
+<xf numFmtId=""0"" fontId=""1"" fillId=""0"" borderId=""0"" xfId=""0"" applyFont=""1""/>
+<xf numFmtId=""164"" fontId=""0"" fillId=""0"" borderId=""0"" xfId=""0"" applyNumberFormat=""1""/>
+<xf numFmtId=""165"" fontId=""0"" fillId=""0"" borderId=""0"" xfId=""0"" applyNumberFormat=""1""/>
+</cellXfs>
+</styleSheet>");
+
+            var sheet = zip.CreateEntry("xl/worksheets/sheet1.xml", CompressionLevel.Fastest);
+            using var stream = sheet.Open();
+            using var xml = XmlWriter.Create(stream, new XmlWriterSettings { Encoding = new UTF8Encoding(false) });
+            const string ns = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+            xml.WriteStartDocument(true);
+            xml.WriteStartElement("worksheet", ns);
+            xml.WriteStartElement("sheetViews", ns);
+            xml.WriteStartElement("sheetView", ns);
+            xml.WriteAttributeString("workbookViewId", "0");
+            xml.WriteStartElement("pane", ns);
+            xml.WriteAttributeString("ySplit", "1");
+            xml.WriteAttributeString("topLeftCell", "A2");
+            xml.WriteAttributeString("state", "frozen");
+            xml.WriteEndElement();
+            xml.WriteEndElement();
+            xml.WriteEndElement();
+
+            xml.WriteStartElement("sheetData", ns);
+            WriteRow(xml, ns, 1, headers.Cast<object?>().ToArray(), StyleHeader);
+            for (int i = 0; i < rows.Count; i++)
+                WriteRow(xml, ns, i + 2, rows[i], 0);
+            xml.WriteEndElement();
+
+            xml.WriteEndElement();
+            xml.WriteEndDocument();
+        }
+        return ms.ToArray();
+    }
+
+    private static void WriteRow(XmlWriter xml, string ns, int rowNumber, object?[] values, int textStyle)
+    {
+        xml.WriteStartElement("row", ns);
+        xml.WriteAttributeString("r", rowNumber.ToString(CultureInfo.InvariantCulture));
+        for (int c = 0; c < values.Length; c++)
+        {
+            var value = values[c];
+            if (value == null) continue;
+
+            xml.WriteStartElement("c", ns);
+            xml.WriteAttributeString("r", ColumnName(c) + rowNumber.ToString(CultureInfo.InvariantCulture));
+            switch (value)
+            {
+                case decimal or int or long or double:
+                    WriteNumber(xml, ns, Convert.ToDouble(value, CultureInfo.InvariantCulture), null);
+                    break;
+                case DateOnly d:
+                    WriteNumber(xml, ns, d.ToDateTime(TimeOnly.MinValue).ToOADate(), StyleDate);
+                    break;
+                case DateTime dt:
+                    WriteNumber(xml, ns, dt.ToOADate(), StyleDateTime);
+                    break;
+                default:
+                    if (textStyle != 0) xml.WriteAttributeString("s", textStyle.ToString(CultureInfo.InvariantCulture));
+                    xml.WriteAttributeString("t", "inlineStr");
+                    xml.WriteStartElement("is", ns);
+                    xml.WriteStartElement("t", ns);
+                    xml.WriteAttributeString("xml", "space", null, "preserve");
+                    xml.WriteString(StripControlChars(Convert.ToString(value, CultureInfo.InvariantCulture) ?? ""));
+                    xml.WriteEndElement();
+                    xml.WriteEndElement();
+                    break;
+            }
+            xml.WriteEndElement();
+        }
+        xml.WriteEndElement();
+    }
+
+    private static void WriteNumber(XmlWriter xml, string ns, double number, int? style)
+    {
+        if (style.HasValue) xml.WriteAttributeString("s", style.Value.ToString(CultureInfo.InvariantCulture));
+        xml.WriteElementString("v", ns, number.ToString("R", CultureInfo.InvariantCulture));
+    }
+
+    private static string ColumnName(int index)
+    {
+        var name = "";
+        for (int n = index + 1; n > 0; n = (n - 1) / 26)
+            name = (char)('A' + (n - 1) % 26) + name;
+        return name;
+    }
+
+    // XML 1.0 cannot carry most control characters; tabs and newlines in notes are kept
+    private static string StripControlChars(string s) =>
+        new(s.Where(ch => ch is '\t' or '\n' or '\r' || !char.IsControl(ch)).ToArray());
+
+    private static void AddEntry(ZipArchive zip, string name, string content)
+    {
+        var entry = zip.CreateEntry(name, CompressionLevel.Fastest);
+        using var writer = new StreamWriter(entry.Open(), new UTF8Encoding(false));
+        writer.Write(content);
+    }
+}
@@ -0,0 +1,64 @@
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Projects a completion date from daily_progress_summary rows. Pure computation so any
+/// view holding the summaries (order page, history chart, dashboards) gets the same answer.
+/// </summary>
+public class ProgressForecastService
+{
+    // Same threshold the order page uses for CumulativeIsComplete
+    public const decimal CompleteThreshold = 99.5m;
+
+    // Rate is taken over the summaries inside this many calendar days before the latest one
+    public const int RateWindowDays = 14;
+
+    public ProgressForecast Forecast(IEnumerable<DailyProgressSummary> summaries)
+    {
+        var days = summaries.OrderBy(s => s.WorkDate).ToList();
+        var forecast = new ProgressForecast { Status = "insufficient", Remaining = 100m };
+        if (days.Count == 0) return forecast;
+
+        var latest = days[^1];
+        forecast.CurrentTotal = latest.TotalPercent;
+        forecast.Remaining = Math.Max(0m, 100m - latest.TotalPercent);
+        forecast.LastWorkDate = latest.WorkDate.Date;
+
+        if (latest.TotalPercent >= CompleteThreshold)
+        {
+            var completed = days.First(d => d.TotalPercent >= CompleteThreshold);
+            forecast.Status = "complete";
+            forecast.Remaining = 0m;
+            forecast.CompletedDate = completed.WorkDate.Date;
+            return forecast;
+        }
+
+        // A rate needs two days to compare
+        if (days.Count < 2) return forecast;
+
+        // Baseline is the last summary before the window so the first in-window delta counts
+        var windowStart = latest.WorkDate.Date.AddDays(-RateWindowDays);
+        var baseline = days.LastOrDefault(d => d.WorkDate.Date <= windowStart) ?? days[0];
+
+        decimal fromTotal = baseline.TotalPercent;
+        DateTime fromDate = baseline.WorkDate.Date;
+        int spanDays = (int)(latest.WorkDate.Date - fromDate).TotalDays;
+        if (spanDays <= 0) return forecast;
+
+        var rate = Math.Round((latest.TotalPercent - fromTotal) / spanDays, 2);
+        forecast.DailyRate = rate;
+        forecast.RateFrom = fromDate;
+        if (rate <= 0m)
+        {
+            forecast.Status = "stalled";
+            return forecast;
+        }
+
+        var daysRemaining = (int)Math.Ceiling(forecast.Remaining / rate);
+        forecast.Status = "projected";
+        forecast.DaysRemaining = daysRemaining;
+        forecast.ProjectedDate = latest.WorkDate.Date.AddDays(daysRemaining);
+        return forecast;
+    }
+}
@@ -0,0 +1,439 @@
+using System.Globalization;
+using System.Text;
+using SkiaSharp;
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Per-order progress report for customers and management: order header, cumulative
+/// rings, daily summaries with deltas and an optional strip of evidence photos.
+/// <see cref="Build"/> feeds both the HTML print view and <see cref="RenderPdf"/>.
+/// </summary>
+public class ProgressReportService
+{
+    private const float PageWidth = 595f, PageHeight = 842f, Margin = 36f;
+    private const float ContentWidth = PageWidth - Margin * 2;
+    private const int ThumbPixels = 480;
+
+    private static readonly SKColor TextColor = SKColor.Parse("#0f172a");
+    private static readonly SKColor MutedColor = SKColor.Parse("#64748b");
+    private static readonly SKColor BorderColor = SKColor.Parse("#e2e8f0");
+    private static readonly SKColor HeaderFill = SKColor.Parse("#f1f5f9");
+    private static readonly SKColor NormalColor = SKColor.Parse("#6366f1");
+    private static readonly SKColor OtColor = SKColor.Parse("#ef4444");
+    private static readonly SKColor TotalColor = SKColor.Parse("#10b981");
+
+    private static readonly CultureInfo Thai = new("th-TH");
+
+    // Skia draws glyphs without shaping, so prefer fonts whose Thai marks are built to overlay the base letter
+    private static readonly string[] ThaiFamilies = { "Leelawadee UI", "Tahoma", "Noto Sans Thai", "Loma" };
+    private static readonly SKTypeface Regular = ResolveTypeface(SKFontStyle.Normal);
+    private static readonly SKTypeface Bold = ResolveTypeface(SKFontStyle.Bold);
+
+    private readonly DbService _db;
+    private readonly IWebHostEnvironment _env;
+
+    public ProgressReportService(DbService db, IWebHostEnvironment env)
+    {
+        _db = db;
+        _env = env;
+    }
+
+    public async Task<ProgressReport?> Build(string barcode, DateTime? from, DateTime? to, bool includeImages)
+    {
+        var item = await _db.GetBarcodeItem(barcode);
+        if (item == null) return null;
+
+        var (normal, ot) = await _db.GetCumulativeProgress(barcode, to);
+        var summaries = (await _db.GetDailySummaries(barcode))
+            .Where(s => (!from.HasValue || s.WorkDate.Date >= from.Value.Date) &&
+                        (!to.HasValue || s.WorkDate.Date <= to.Value.Date))
+            .OrderBy(s => s.WorkDate)
+            .ToList();
+
+        return new ProgressReport
+        {
+            Item = item,
+            From = from?.Date,
+            To = to?.Date,
+            IncludeImages = includeImages,
+            CumulativeNormal = normal,
+            CumulativeOt = ot,
+            CumulativeTotal = Math.Min(normal + ot, 100m),
+            Summaries = summaries,
+            Records = await _db.GetProgressForReport(barcode, from, to),
+            GeneratedAt = DateTime.Now
+        };
+    }
+
+    public static string RangeLabel(ProgressReport report) =>
+        report.From == null && report.To == null
+            ? "ทั้งหมด"
+            : $"{report.From?.ToString("d MMM yy", Thai) ?? "เริ่มต้น"} – {report.To?.ToString("d MMM yy", Thai) ?? "ปัจจุบัน"}";
+
+    // ════════════════════════════════════════
+    // PDF (SkiaSharp SKDocument)
+    // ════════════════════════════════════════
+
+    public byte[] RenderPdf(ProgressReport report)
+    {
+        using var ms = new MemoryStream();
+        using (var doc = SKDocument.CreatePdf(ms))
+        {
+            var pager = new Pager(doc);
+            DrawHeader(pager, report);
+            DrawRings(pager, report);
+            DrawSummaryTable(pager, report);
+            if (report.IncludeImages) DrawEvidence(pager, report);
+            pager.Finish();
+            doc.Close();
+        }
+        return ms.ToArray();
+    }
+
+    private sealed class Pager
+    {
+        private readonly SKDocument _doc;
+        private int _pageNumber;
+        public SKCanvas Canvas { get; private set; } = null!;
+        public float Y { get; set; }
+
+        public Pager(SKDocument doc)
+        {
+            _doc = doc;
+            NewPage();
+        }
+
+        // Starts a new page when the next block would run into the footer
+        public bool Ensure(float height)
+        {
+            if (Y + height <= PageHeight - Margin - 14) return false;
+            EndPage();
+            NewPage();
+            return true;
+        }
+
+        public void Finish() => EndPage();
+
+        private void NewPage()
+        {
+            Canvas = _doc.BeginPage(PageWidth, PageHeight);
+            _pageNumber++;
+            Y = Margin;
+        }
+
+        private void EndPage()
+        {
+            using var paint = TextPaint(8, MutedColor, align: SKTextAlign.Right);
+            Canvas.DrawText($"หน้า {_pageNumber}", PageWidth - Margin, PageHeight - Margin + 6, paint);
+            _doc.EndPage();
+        }
+    }
+
+    private static void DrawHeader(Pager pager, ProgressReport report)
+    {
+        var canvas = pager.Canvas;
+        var item = report.Item;
+
+        using (var title = TextPaint(18, TextColor, bold: true))
+            canvas.DrawText("รายงานความคืบหน้างาน", Margin, pager.Y + 18, title);
+        using (var stamp = TextPaint(8, MutedColor, align: SKTextAlign.Right))
+            canvas.DrawText($"พิมพ์เมื่อ {report.GeneratedAt.ToString("d MMM yy HH:mm", Thai)}", PageWidth - Margin, pager.Y + 10, stamp);
+        pager.Y += 32;
+
+        var fields = new (string Label, string Value)[]
+        {
+            ("Order No", item.Orno.Trim()),
+            ("ลายพรม", item.DesignName ?? "-"),
+            ("Barcode", item.BarcodeNo.Trim()),
+            ("ขนาด", $"{item.Width} x {item.Length}"),
+            ("ตร.ม.", item.Sqm?.ToString(CultureInfo.InvariantCulture) ?? "-"),
+            ("ประเภท", item.OrderType ?? "-"),
+            ("ช่วงวันที่", RangeLabel(report))
+        };
+
+        using var label = TextPaint(8, MutedColor);
+        using var value = TextPaint(11, TextColor, bold: true);
+        const int perRow = 4;
+        var colWidth = ContentWidth / perRow;
+        for (int i = 0; i < fields.Length; i++)
+        {
+            var x = Margin + (i % perRow) * colWidth;
+            var y = pager.Y + (i / perRow) * 30;
+            canvas.DrawText(fields[i].Label, x, y + 8, label);
+            canvas.DrawText(Ellipsize(fields[i].Value, value, colWidth - 8), x, y + 22, value);
+        }
+        pager.Y += (fields.Length + perRow - 1) / perRow * 30 + 6;
+
+        using var line = StrokePaint(BorderColor, 1);
+        canvas.DrawLine(Margin, pager.Y, PageWidth - Margin, pager.Y, line);
+        pager.Y += 14;
+    }
+
+    private static void DrawRings(Pager pager, ProgressReport report)
+    {
+        const float radius = 26f, stroke = 6f;
+        var rings = new (string Label, decimal Value, SKColor Color)[]
+        {
+            ("ปกติ", report.CumulativeNormal, NormalColor),
+            ("OT", report.CumulativeOt, OtColor),
+            ("รวม", report.CumulativeTotal, TotalColor)
+        };
+
+        var canvas = pager.Canvas;
+        var slot = ContentWidth / rings.Length;
+        using var track = StrokePaint(BorderColor, stroke);
+        using var pctText = TextPaint(12, TextColor, bold: true, align: SKTextAlign.Center);
+        using var labelText = TextPaint(9, MutedColor, align: SKTextAlign.Center);
+
+        for (int i = 0; i < rings.Length; i++)
+        {
+            var cx = Margin + slot * i + slot / 2;
+            var cy = pager.Y + radius + stroke;
+            var oval = new SKRect(cx - radius, cy - radius, cx + radius, cy + radius);
+            canvas.DrawOval(oval, track);
+
+            using var arc = StrokePaint(rings[i].Color, stroke);
+            arc.StrokeCap = SKStrokeCap.Round;
+            var sweep = (float)Math.Clamp(rings[i].Value, 0m, 100m) / 100f * 360f;
+            if (sweep > 0) canvas.DrawArc(oval, -90, sweep, false, arc);
+
+            canvas.DrawText($"{rings[i].Value.ToString("0.##", CultureInfo.InvariantCulture)}%", cx, cy + 4, pctText);
+            canvas.DrawText(rings[i].Label, cx, cy + radius + stroke + 12, labelText);
+        }
+        pager.Y += (radius + stroke) * 2 + 26;
+    }
+
+    private static readonly (string Header, float Width)[] SummaryColumns =
+    {
+        ("วันที่", 0.22f), ("ปกติ %", 0.13f), ("OT %", 0.13f), ("รวม %", 0.13f),
+        ("เพิ่ม ปกติ", 0.13f), ("เพิ่ม OT", 0.13f), ("เพิ่ม รวม", 0.13f)
+    };
+
+    private static void DrawSummaryTable(Pager pager, ProgressReport report)
+    {
+        const float rowHeight = 18f;
+        DrawSectionTitle(pager, "สรุปรายวัน");
+
+        if (report.Summaries.Count == 0)
+        {
+            using var empty = TextPaint(9, MutedColor);
+            pager.Canvas.DrawText("ไม่มีข้อมูลในช่วงวันที่ที่เลือก", Margin, pager.Y + 10, empty);
+            pager.Y += 24;
+            return;
+        }
+
+        DrawTableHeader(pager, rowHeight);
+        using var cell = TextPaint(9, TextColor, align: SKTextAlign.Right);
+        using var dateCell = TextPaint(9, TextColor);
+        using var rule = StrokePaint(BorderColor, 0.5f);
+
+        foreach (var s in report.Summaries)
+        {
+            if (pager.Ensure(rowHeight)) DrawTableHeader(pager, rowHeight);
+            var canvas = pager.Canvas;
+            var baseline = pager.Y + 12;
+            var x = Margin;
+
+            canvas.DrawText(s.WorkDate.ToString("d MMM yy", Thai), x + 4, baseline, dateCell);
+            var values = new[] { s.NormalPercent, s.OtPercent, s.TotalPercent, s.DeltaNormal, s.DeltaOt, s.DeltaTotal };
+            for (int i = 0; i < values.Length; i++)
+            {
+                x += SummaryColumns[i].Width * ContentWidth;
+                var right = x + SummaryColumns[i + 1].Width * ContentWidth - 6;
+                var isDelta = i >= 3;
+                cell.Color = isDelta && values[i] > 0 ? TotalColor : isDelta && values[i] < 0 ? OtColor : TextColor;
+                var text = values[i].ToString("0.##", CultureInfo.InvariantCulture);
+                if (isDelta && values[i] > 0) text = "+" + text;
+                canvas.DrawText(text, right, baseline, cell);
+            }
+            pager.Y += rowHeight;
+            canvas.DrawLine(Margin, pager.Y, PageWidth - Margin, pager.Y, rule);
+        }
+        pager.Y += 16;
+    }
+
+    private static void DrawTableHeader(Pager pager, float rowHeight)
+    {
+        var canvas = pager.Canvas;
+        using var fill = new SKPaint { Color = HeaderFill, Style = SKPaintStyle.Fill };
+        canvas.DrawRect(new SKRect(Margin, pager.Y, PageWidth - Margin, pager.Y + rowHeight), fill);
+
+        using var left = TextPaint(8, MutedColor, bold: true);
+        using var right = TextPaint(8, MutedColor, bold: true, align: SKTextAlign.Right);
+        var x = Margin;
+        for (int i = 0; i < SummaryColumns.Length; i++)
+        {
+            var width = SummaryColumns[i].Width * ContentWidth;
+            if (i == 0) canvas.DrawText(SummaryColumns[i].Header, x + 4, pager.Y + 12, left);
+            else canvas.DrawText(SummaryColumns[i].Header, x + width - 6, pager.Y + 12, right);
+            x += width;
+        }
+        pager.Y += rowHeight;
+    }
+
+    private void DrawEvidence(Pager pager, ProgressReport report)
+    {
+        const int perRow = 3;
+        const float gap = 12f, imageHeight = 120f, captionHeight = 46f;
+        var cellWidth = (ContentWidth - gap * (perRow - 1)) / perRow;
+
+        var withImages = report.Records.Where(r => !string.IsNullOrEmpty(r.EvidenceImagePath)).ToList();
+        pager.Ensure(28 + imageHeight + captionHeight);
+        DrawSectionTitle(pager, "รูปหลักฐาน");
+        if (withImages.Count == 0)
+        {
+            using var empty = TextPaint(9, MutedColor);
+            pager.Canvas.DrawText("ไม่มีรูปหลักฐานในช่วงวันที่ที่เลือก", Margin, pager.Y + 10, empty);
+            pager.Y += 24;
+            return;
+        }
+
+        using var frame = StrokePaint(BorderColor, 1);
+        using var heading = TextPaint(9, TextColor, bold: true);
+        using var detail = TextPaint(8, MutedColor);
+        using var missing = TextPaint(8, MutedColor, align: SKTextAlign.Center);
+
+        for (int i = 0; i < withImages.Count; i += perRow)
+        {
+            pager.Ensure(imageHeight + captionHeight);
+            var canvas = pager.Canvas;
+
+            for (int c = 0; c < perRow && i + c < withImages.Count; c++)
+            {
+                var record = withImages[i + c];
+                var x = Margin + c * (cellWidth + gap);
+                var box = new SKRect(x, pager.Y, x + cellWidth, pager.Y + imageHeight);
+
+                using (var thumb = LoadThumbnail(record.EvidenceImagePath!))
+                {
+                    if (thumb != null) canvas.DrawBitmap(thumb, FitInside(thumb.Width, thumb.Height, box));
+                    else canvas.DrawText("ไม่พบไฟล์รูป", box.MidX, box.MidY, missing);
+                }
+                canvas.DrawRect(box, frame);
+
+                var y = box.Bottom + 12;
+                canvas.DrawText(
+                    $"{record.WorkDate.ToDateTime(TimeOnly.MinValue).ToString("d MMM yy", Thai)} · รวม {record.ComputedTotalPercent.ToString("0.##", CultureInfo.InvariantCulture)}%",
+                    x, y, heading);
+                var by = record.CreatedByName ?? record.CreatedBy;
+                if (!string.IsNullOrEmpty(by))
+                {
+                    y += 11;
+                    canvas.DrawText(Ellipsize($"โดย {by}", detail, cellWidth), x, y, detail);
+                }
+                if (!string.IsNullOrWhiteSpace(record.Note))
+                {
+                    foreach (var line in WrapText(record.Note, detail, cellWidth, 2))
+                    {
+                        y += 11;
+                        canvas.DrawText(line, x, y, detail);
+                    }
+                }
+            }
+            pager.Y += imageHeight + captionHeight;
+        }
+    }
+
+    private static void DrawSectionTitle(Pager pager, string title)
+    {
+        pager.Ensure(40);
+        using var paint = TextPaint(12, TextColor, bold: true);
+        pager.Canvas.DrawText(title, Margin, pager.Y + 12, paint);
+        pager.Y += 22;
+    }
+
+    // Downscaled before embedding so a report with dozens of camera photos stays small
+    private SKBitmap? LoadThumbnail(string webPath)
+    {
+        var fullPath = Path.Combine(_env.WebRootPath, webPath.TrimStart('/'));
+        if (!File.Exists(fullPath)) return null;
+
+        using var original = SKBitmap.Decode(fullPath);
+        if (original == null) return null;
+
+        var scale = Math.Min(1f, (float)ThumbPixels / Math.Max(original.Width, original.Height));
+        var info = new SKImageInfo(
+            Math.Max(1, (int)(original.Width * scale)),
+            Math.Max(1, (int)(original.Height * scale)));
+        return original.Resize(info, SKFilterQuality.Medium);
+    }
+
+    private static SKRect FitInside(int width, int height, SKRect box)
+    {
+        var scale = Math.Min(box.Width / width, box.Height / height);
+        var w = width * scale;
+        var h = height * scale;
+        var left = box.Left + (box.Width - w) / 2;
+        var top = box.Top + (box.Height - h) / 2;
+        return new SKRect(left, top, left + w, top + h);
+    }
+
+    // Thai has no spaces between words, so wrap on characters but never before a combining vowel or tone mark
+    private static List<string> WrapText(string text, SKPaint paint, float maxWidth, int maxLines)
+    {
+        var lines = new List<string>();
+        var current = new StringBuilder();
+        foreach (var ch in text.Replace("\r", "").Replace('\n', ' '))
+        {
+            if (current.Length > 0 &&
+                CharUnicodeInfo.GetUnicodeCategory(ch) != UnicodeCategory.NonSpacingMark &&
+                paint.MeasureText(current.ToString() + ch) > maxWidth)
+            {
+                lines.Add(current.ToString());
+                current.Clear();
+                if (lines.Count == maxLines) return EllipsizeLast(lines, paint, maxWidth);
+            }
+            current.Append(ch);
+        }
+        if (current.Length > 0) lines.Add(current.ToString());
+        return lines;
+    }
+
+    private static List<string> EllipsizeLast(List<string> lines, SKPaint paint, float maxWidth)
+    {
+        lines[^1] = Ellipsize(lines[^1] + "…", paint, maxWidth);
+        return lines;
+    }
+
+    private static string Ellipsize(string text, SKPaint paint, float maxWidth)
+    {
+        if (paint.MeasureText(text) <= maxWidth) return text;
+        var trimmed = text.TrimEnd('…');
+        while (trimmed.Length > 0 && paint.MeasureText(trimmed + "…") > maxWidth)
+            trimmed = trimmed[..^1];
+        return trimmed + "…";
+    }
+
+    private static SKPaint TextPaint(float size, SKColor color, bool bold = false, SKTextAlign align = SKTextAlign.Left) =>
+        new()
+        {
+            Typeface = bold ? Bold : Regular,
+            TextSize = size,
+            Color = color,
+            IsAntialias = true,
+            TextAlign = align
+        };
+
+    private static SKPaint StrokePaint(SKColor color, float width) =>
+        new()
+        {
+            Color = color,
+            Style = SKPaintStyle.Stroke,
+            StrokeWidth = width,
+            IsAntialias = true
+        };
+
+    private static SKTypeface ResolveTypeface(SKFontStyle style)
+    {
+        foreach (var family in ThaiFamilies)
+        {
+            // FromFamilyName silently falls back to the default face, so check what came back
+            var typeface = SKTypeface.FromFamilyName(family, style);
+            if (typeface != null && string.Equals(typeface.FamilyName, family, StringComparison.OrdinalIgnoreCase))
+                return typeface;
+        }
+        return SKFontManager.Default.MatchCharacter('ก') ?? SKTypeface.Default;
+    }
+}
@@ -57,6 +57,13 @@ public sealed class DetectedQr
     public Point2f PlanCorner { get; set; } // the extreme point used for the warp quad
 }
 
+/// <summary>What the corrector found, filled in as it goes so callers can report it even on failure.</summary>
+public sealed class QrWarpReport
+{
+    public List<CornerTag> Detected { get; } = new();
+    public CornerTag? Estimated { get; set; }
+}
+
 public sealed class QrPerspectiveCorrector
 {
     // Minimum quad area as a fraction of the image area.
@@ -77,10 +84,68 @@ public sealed class QrPerspectiveCorrector
     /// </summary>
     /// <param name="input">BGR image (CV_8UC3) from a smartphone camera.</param>
     /// <param name="outputWidth">Desired width of the rectified output.</param>
-    /// <param name="outputHeight">Desired height of the rectified output.</param>
+    /// <param name="outputHeight">Desired height of the rectified output,
+    /// or ≤ 0 to follow the aspect ratio of the detected quad.</param>
     /// <param name="debugDir">If non-null, saves debug images to this directory.</param>
+    /// <param name="report">If non-null, receives the detected and estimated corners.</param>
     /// <returns>A new Mat (CV_8UC3) containing the warped plan. Caller must dispose.</returns>
-    public Mat WarpByQrCorners(Mat input, int outputWidth, int outputHeight, string? debugDir = null)
+    public Mat WarpByQrCorners(Mat input, int outputWidth, int outputHeight,
+        string? debugDir = null, QrWarpReport? report = null)
+    {
+        var srcPoints = LocatePlanQuad(input, debugDir, report);
+
+        // ── Step 7: Perspective warp ──
+        var warped = WarpQuad(input, srcPoints, outputWidth, outputHeight);
+
+        SaveDebug(debugDir, "03_warped.png", warped);
+
+        Console.WriteLine($"[QrWarp] Warped {input.Cols}x{input.Rows} → {warped.Cols}x{warped.Rows}");
+        return warped;
+    }
+
+    /// <summary>
+    /// Warps the quad [TL, TR, BR, BL] of <paramref name="input"/> to a front-facing
+    /// rectangle. Shared by the QR path and manually picked corners.
+    /// </summary>
+    /// <param name="outputHeight">Output height, or ≤ 0 to follow the quad's aspect ratio.</param>
+    /// <returns>A new Mat. Caller must dispose.</returns>
+    public static Mat WarpQuad(Mat input, Point2f[] srcPoints, int outputWidth, int outputHeight)
+    {
+        if (outputHeight <= 0)
+        {
+            // Mean of opposite sides; close enough once the camera is roughly square-on
+            double top = Distance(srcPoints[0], srcPoints[1]);
+            double bottom = Distance(srcPoints[3], srcPoints[2]);
+            double left = Distance(srcPoints[0], srcPoints[3]);
+            double right = Distance(srcPoints[1], srcPoints[2]);
+            outputHeight = Math.Max(1, (int)Math.Round(outputWidth * (left + right) / (top + bottom)));
+        }
+
+        var dstPoints = new Point2f[]
+        {
+            new(0, 0),
+            new(outputWidth - 1, 0),
+            new(outputWidth - 1, outputHeight - 1),
+            new(0, outputHeight - 1)
+        };
+
+        using var transform = Cv2.GetPerspectiveTransform(srcPoints, dstPoints);
+        var warped = new Mat();
+        Cv2.WarpPerspective(input, warped, transform,
+            new Size(outputWidth, outputHeight),
+            InterpolationFlags.Linear,
+            BorderTypes.Constant,
+            new Scalar(0, 0, 0));
+        return warped;
+    }
+
+    /// <summary>
+    /// Steps 1–6 of <see cref="WarpByQrCorners(Mat,int,int,string?,QrWarpReport?)"/>:
+    /// returns the validated plan quad [TL, TR, BR, BL] in input pixel coordinates.
+    /// Use this to map between two photos of the same sheet (e.g. onto a template).
+    /// </summary>
+    /// <exception cref="InvalidOperationException">Fewer than 3 corners, or an implausible quad.</exception>
+    public Point2f[] LocatePlanQuad(Mat input, string? debugDir = null, QrWarpReport? report = null)
     {
         if (input.Empty())
             throw new ArgumentException("Input image is empty.");
@@ -95,9 +160,17 @@ public sealed class QrPerspectiveCorrector
         Console.WriteLine($"[QrWarp] Detected {detections.Count} QR codes: " +
             string.Join(", ", detections.Select(d => $"{d.Tag}({d.RawText})")));
 
+        report?.Detected.AddRange(detections.Select(d => d.Tag).Distinct());
+
         // ── Step 2: Validate we have all 4 corners (or estimate the 4th) ──
         var quad = ResolveQuad(detections);
 
+        if (report != null)
+        {
+            var missing = quad.Keys.Where(t => !report.Detected.Contains(t)).ToList();
+            report.Estimated = missing.Count > 0 ? missing[0] : null;
+        }
+
         // ── Step 3: Select the extreme plan-corner point from each QR ──
         foreach (var qr in quad.Values)
             qr.PlanCorner = SelectExtremeCorner(qr.Tag, qr.Polygon);
@@ -117,29 +190,12 @@ public sealed class QrPerspectiveCorrector
         // ── Step 6: Debug overlay ──
         SaveQrOverlay(debugDir, input, quad);
 
-        // ── Step 7: Perspective warp ──
-        var dstPoints = new Point2f[]
-        {
-            new(0, 0),
-            new(outputWidth - 1, 0),
-            new(outputWidth - 1, outputHeight - 1),
-            new(0, outputHeight - 1)
-        };
-
-        using var transform = Cv2.GetPerspectiveTransform(srcPoints, dstPoints);
-        var warped = new Mat();
-        Cv2.WarpPerspective(input, warped, transform,
-            new Size(outputWidth, outputHeight),
-            InterpolationFlags.Linear,
-            BorderTypes.Constant,
-            new Scalar(0, 0, 0));
-
-        SaveDebug(debugDir, "03_warped.png", warped);
-
-        Console.WriteLine($"[QrWarp] Warped {input.Cols}x{input.Rows} → {outputWidth}x{outputHeight}");
-        return warped;
+        return srcPoints;
     }
 
+    private static double Distance(Point2f a, Point2f b) =>
+        Math.Sqrt((a.X - b.X) * (a.X - b.X) + (a.Y - b.Y) * (a.Y - b.Y));
+
     // ═══════════════════════════════════════════════════════════════
     //  QR DETECTION
     //
@@ -360,7 +416,7 @@ public sealed class QrPerspectiveCorrector
     //  with reasonable size and proportions.
     // ═══════════════════════════════════════════════════════════════
 
-    private static void ValidateQuad(Point2f[] srcPoints, int imgWidth, int imgHeight)
+    internal static void ValidateQuad(Point2f[] srcPoints, int imgWidth, int imgHeight)
     {
         // 1. Convexity check via cross products of consecutive edges
         if (!IsConvex(srcPoints))
@@ -73,6 +73,38 @@ public class TemplateMaskService
         return await _db.SaveTemplate(template);
     }
 
+    // Gives the order its own copy of another order's template files, so deleting
+    // the source template later leaves this one intact
+    public async Task<OrderTemplate> CopyTemplate(string orderNo, OrderTemplate source)
+    {
+        var templatesDir = Path.Combine(_env.WebRootPath, "templates");
+        Directory.CreateDirectory(templatesDir);
+
+        var ts = DateTime.Now.ToString("yyyyMMdd_HHmmss");
+        var safe = orderNo.Trim().Replace("/", "_").Replace(" ", "_").Replace("\\", "_");
+
+        var imgName = $"{ts}_{safe}_template.jpg";
+        var maskName = $"{ts}_{safe}_paintable.png";
+
+        File.Copy(Path.Combine(_env.WebRootPath, source.TemplateImagePath.TrimStart('/')),
+            Path.Combine(templatesDir, imgName));
+        File.Copy(Path.Combine(_env.WebRootPath, source.PaintableMaskPath.TrimStart('/')),
+            Path.Combine(templatesDir, maskName));
+
+        Console.WriteLine($"[Template] Copied {source.OrderNo} -> {orderNo}");
+
+        return await _db.SaveTemplate(new OrderTemplate
+        {
+            OrderNo = orderNo.Trim(),
+            TemplateImagePath = $"/templates/{imgName}",
+            PaintableMaskPath = $"/templates/{maskName}",
+            PaintablePixels = source.PaintablePixels,
+            TemplateWidth = source.TemplateWidth,
+            TemplateHeight = source.TemplateHeight,
+            CountingMode = source.CountingMode
+        });
+    }
+
     private Mat GeneratePaintableMask(Mat bgr)
     {
         int rows = bgr.Rows, cols = bgr.Cols;
@@ -0,0 +1,43 @@
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Background loop that sends queued webhook deliveries. It wakes as soon as
+/// <see cref="WebhookService"/> queues something and otherwise polls for retries that
+/// have come due.
+/// </summary>
+public class WebhookDispatcher : BackgroundService
+{
+    private static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(15);
+    private const int BatchSize = 20;
+
+    private readonly WebhookService _webhooks;
+    private readonly ILogger<WebhookDispatcher> _logger;
+
+    public WebhookDispatcher(WebhookService webhooks, ILogger<WebhookDispatcher> logger)
+    {
+        _webhooks = webhooks;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            try
+            {
+                // A full batch means more may be due; go again without waiting
+                if (await _webhooks.DeliverDue(BatchSize, stoppingToken) == BatchSize) continue;
+                await _webhooks.WaitForQueue(PollInterval, stoppingToken);
+            }
+            catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Webhook dispatch failed");
+                await Task.Delay(PollInterval, stoppingToken).ContinueWith(_ => { });
+            }
+        }
+    }
+}
@@ -0,0 +1,223 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using WorkProgress.Models;
+
+namespace WorkProgress.Services;
+
+/// <summary>
+/// Outbound webhooks for order milestones. The save and update endpoints report each
+/// change through <see cref="NotifyProgress"/>, which queues one delivery per webhook
+/// and milestone crossed; <see cref="WebhookDispatcher"/> sends the queue and retries
+/// failures with exponential backoff.
+/// </summary>
+public class WebhookService
+{
+    public const string HttpClientName = "webhooks";
+    public const int MaxAttempts = 6;
+    private static readonly TimeSpan FirstRetryDelay = TimeSpan.FromSeconds(30);
+    private const int MaxErrorLength = 500;
+
+    private static readonly JsonSerializerOptions PayloadJsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly DbService _db;
+    private readonly IHttpClientFactory _httpClientFactory;
+    private readonly ILogger<WebhookService> _logger;
+    // Released on every enqueue so the dispatcher doesn't wait out its poll interval
+    private readonly SemaphoreSlim _queueSignal = new(0);
+
+    public WebhookService(DbService db, IHttpClientFactory httpClientFactory, ILogger<WebhookService> logger)
+    {
+        _db = db;
+        _httpClientFactory = httpClientFactory;
+        _logger = logger;
+    }
+
+    public static bool IsReached(decimal total, int milestone) =>
+        milestone >= 100 ? total >= ProgressForecastService.CompleteThreshold : total >= milestone;
+
+    // The order's ring total; read before a change and passed back to NotifyProgress
+    public async Task<decimal> CurrentTotal(string orderNo)
+    {
+        var (normal, ot) = await _db.GetCumulativeProgress(orderNo, null);
+        return Math.Min(normal + ot, 100m);
+    }
+
+    /// <summary>
+    /// Queues deliveries for every milestone the order's cumulative total crossed since
+    /// <paramref name="previousTotal"/>. Never throws: a webhook problem must not fail a save.
+    /// </summary>
+    public async Task NotifyProgress(string orderNo, decimal previousTotal, ProgressRecord latest)
+    {
+        try
+        {
+            var webhooks = await _db.GetWebhooks(enabledOnly: true);
+            if (webhooks.Count == 0) return;
+
+            var (normal, ot) = await _db.GetCumulativeProgress(orderNo, null);
+            var total = Math.Min(normal + ot, 100m);
+            if (total <= previousTotal) return;
+
+            var item = await _db.GetBarcodeItem(orderNo);
+            var queued = false;
+            foreach (var webhook in webhooks)
+            {
+                var crossed = webhook.Milestones
+                    .Where(m => IsReached(total, m) && !IsReached(previousTotal, m))
+                    .ToList();
+                if (crossed.Count == 0) continue;
+
+                var notified = await _db.GetNotifiedMilestones(webhook.Id, orderNo);
+                foreach (var milestone in crossed.Where(m => !notified.Contains(m)))
+                {
+                    var evt = milestone >= 100 ? "complete" : "milestone";
+                    var payload = BuildPayload(evt, milestone, orderNo, item, normal, ot, total, previousTotal, latest);
+                    await _db.EnqueueWebhookDelivery(webhook.Id, evt, orderNo, milestone, payload, due: true);
+                    queued = true;
+                }
+            }
+            if (queued) _queueSignal.Release();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Queueing webhooks for order {OrderNo} failed", orderNo);
+        }
+    }
+
+    /// <summary>
+    /// Sends a sample payload straight away and logs it like any delivery, without retries.
+    /// </summary>
+    public async Task<WebhookDelivery?> SendTest(int webhookId)
+    {
+        var webhook = await _db.GetWebhook(webhookId);
+        if (webhook == null) return null;
+
+        var sample = new ProgressRecord
+        {
+            OrderNo = "TEST-0001",
+            WorkDate = DateOnly.FromDateTime(DateTime.Today),
+            CreatedAt = DateTime.Now,
+            ComputedNormalPercent = 42.5m,
+            ComputedOtPercent = 7.5m,
+            ComputedTotalPercent = 50m,
+            Note = "ทดสอบการส่ง webhook"
+        };
+        var item = new BarcodeItem { BarcodeNo = "TEST-0001", Orno = "TEST", ItemNo = "1", DesignName = "ตัวอย่าง" };
+        var payload = BuildPayload("test", 50, sample.OrderNo, item, 42.5m, 7.5m, 50m, 40m, sample);
+
+        var id = await _db.EnqueueWebhookDelivery(webhook.Id, "test", null, null, payload, due: false);
+        var delivery = await _db.GetWebhookDelivery(id);
+        if (delivery == null) return null;
+
+        await Deliver(delivery, retry: false);
+        return await _db.GetWebhookDelivery(id);
+    }
+
+    public Task WaitForQueue(TimeSpan timeout, CancellationToken ct) => _queueSignal.WaitAsync(timeout, ct);
+
+    // Called by WebhookDispatcher; returns how many deliveries were attempted
+    public async Task<int> DeliverDue(int batchSize, CancellationToken ct)
+    {
+        var due = await _db.GetDueWebhookDeliveries(batchSize);
+        foreach (var delivery in due)
+        {
+            if (ct.IsCancellationRequested) break;
+            await Deliver(delivery, retry: true);
+        }
+        return due.Count;
+    }
+
+    private async Task Deliver(WebhookDelivery delivery, bool retry)
+    {
+        int? statusCode = null;
+        string? error = null;
+        try
+        {
+            using var request = new HttpRequestMessage(HttpMethod.Post, delivery.Url)
+            {
+                Content = new StringContent(delivery.PayloadJson, Encoding.UTF8, "application/json")
+            };
+            request.Headers.Add("X-WorkProgress-Event", delivery.Event);
+            request.Headers.Add("X-WorkProgress-Delivery", delivery.Id.ToString());
+            if (!string.IsNullOrEmpty(delivery.Secret))
+                request.Headers.Add("X-WorkProgress-Signature", "sha256=" + Sign(delivery.Secret, delivery.PayloadJson));
+
+            using var response = await _httpClientFactory.CreateClient(HttpClientName).SendAsync(request);
+            statusCode = (int)response.StatusCode;
+            if (!response.IsSuccessStatusCode)
+                error = $"HTTP {statusCode} {response.ReasonPhrase}";
+        }
+        catch (Exception ex) when (ex is HttpRequestException or TaskCanceledException or InvalidOperationException
+                                       or UriFormatException)
+        {
+            error = ex is TaskCanceledException ? "หมดเวลารอการตอบกลับ" : ex.Message;
+        }
+
+        if (error == null)
+        {
+            await _db.RecordWebhookAttempt(delivery.Id, "delivered", statusCode, null, null);
+            return;
+        }
+
+        if (error.Length > MaxErrorLength) error = error[..MaxErrorLength];
+        var attempts = delivery.Attempts + 1;
+        var giveUp = !retry || attempts >= MaxAttempts;
+        await _db.RecordWebhookAttempt(delivery.Id, giveUp ? "failed" : "pending", statusCode, error,
+            giveUp ? null : RetryDelay(attempts));
+        if (giveUp && retry)
+            _logger.LogWarning("Webhook delivery {DeliveryId} to {Url} failed after {Attempts} attempts: {Error}",
+                delivery.Id, delivery.Url, attempts, error);
+    }
+
+    // 30 s, 2 min, 8 min, 32 min, ~2 h
+    public static TimeSpan RetryDelay(int attempts) =>
+        FirstRetryDelay * Math.Pow(4, attempts - 1);
+
+    // Receivers recompute HMAC-SHA256 of the raw body with the shared secret
+    private static string Sign(string secret, string body)
+    {
+        var hash = HMACSHA256.HashData(Encoding.UTF8.GetBytes(secret), Encoding.UTF8.GetBytes(body));
+        return Convert.ToHexString(hash).ToLowerInvariant();
+    }
+
+    private static string BuildPayload(string evt, int milestone, string orderNo, BarcodeItem? item,
+        decimal normal, decimal ot, decimal total, decimal previousTotal, ProgressRecord latest) =>
+        JsonSerializer.Serialize(new
+        {
+            @event = evt,
+            milestone,
+            occurredAt = DateTime.Now,
+            order = new
+            {
+                barcodeNo = orderNo.Trim(),
+                orno = item?.Orno.Trim(),
+                designName = item?.DesignName,
+                itemNo = item?.ItemNo,
+                width = item?.Width,
+                length = item?.Length,
+                sqm = item?.Sqm,
+                qty = item?.Qty,
+                orderType = item?.OrderType
+            },
+            progress = new
+            {
+                normalPercent = normal,
+                otPercent = ot,
+                totalPercent = total,
+                previousTotalPercent = previousTotal,
+                isComplete = total >= ProgressForecastService.CompleteThreshold
+            },
+            latestRecord = new
+            {
+                id = latest.Id,
+                workDate = latest.WorkDate,
+                normalPercent = latest.ComputedNormalPercent,
+                otPercent = latest.ComputedOtPercent,
+                totalPercent = latest.ComputedTotalPercent,
+                note = latest.Note,
+                recordedBy = latest.UpdatedBy ?? latest.CreatedBy,
+                recordedAt = latest.UpdatedAt ?? latest.CreatedAt,
+                evidenceImagePath = latest.EvidenceImagePath
+            }
+        }, PayloadJsonOptions);
+}
@@ -4,12 +4,46 @@ let currentImage = null;
 let html5QrCode = null;
 let cameraStream = null;
 let colorProfileColors = { normal: [], ot: [] };
+const QR_RECTIFY_KEY = 'wp.qrRectify';
 
 document.addEventListener('DOMContentLoaded', () => {
     hideLoading();
     initEvents();
+    registerServiceWorker();
+    openBarcodeFromUrl();
+    loadAlertCount();
 });
 
+// Links back from other pages (print sheet, dashboard) arrive as /?barcode=...
+function openBarcodeFromUrl() {
+    const barcode = new URLSearchParams(location.search).get('barcode');
+    if (!barcode) return;
+    document.getElementById('barcodeInput').value = barcode.trim();
+    history.replaceState(null, '', location.pathname);
+    doScan();
+}
+
+// Badge on the dashboard link with the number of flagged orders
+async function loadAlertCount() {
+    try {
+        const res = await fetch(`${API}/alerts`);
+        if (!res.ok) return;
+        const report = await res.json();
+        const orders = new Set(report.alerts.map(a => a.barcodeNo)).size;
+        const badge = document.getElementById('headerAlertCount');
+        badge.textContent = orders;
+        badge.style.display = orders > 0 ? 'flex' : 'none';
+    } catch {
+        // Offline: no badge rather than a stale count
+    }
+}
+
+function registerServiceWorker() {
+    // Only registers over https or on localhost; plain-http tablets just skip it
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register('/sw.js').catch(() => {});
+}
+
 function hideLoading() {
     const el = document.getElementById('loading-overlay');
     el.classList.add('hidden');
@@ -40,6 +74,9 @@ function initEvents() {
     document.getElementById('btnHistory').addEventListener('click', showHistory);
     document.getElementById('btnUpdate').addEventListener('click', showUploadSection);
     initHistoryFilter();
+    initHistoryTabs();
+    initCompareView();
+    initColorLibrary();
 
     document.getElementById('btnTakePhoto').addEventListener('click', openLiveCamera);
     document.getElementById('btnChooseFile').addEventListener('click', () => {
@@ -52,6 +89,13 @@ function initEvents() {
     document.getElementById('btnCloseCam').addEventListener('click', closeLiveCamera);
     document.getElementById('fileGalleryInput').addEventListener('change', handleFileSelect);
 
+    const chkQr = document.getElementById('chkQrRectify');
+    chkQr.checked = localStorage.getItem(QR_RECTIFY_KEY) !== '0';
+    chkQr.addEventListener('change', () => {
+        localStorage.setItem(QR_RECTIFY_KEY, chkQr.checked ? '1' : '0');
+        if (currentImage) analyzeImage(currentImage);
+    });
+
     document.getElementById('uploadModal').addEventListener('hidden.bs.modal', () => {
         closeLiveCamera();
     });
@@ -60,6 +104,15 @@ function initEvents() {
         if (currentData) showUploadSection();
     });
 
+    document.querySelectorAll('.overlay-toggle').forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.classList.toggle('active');
+            if (btn.dataset.layer === 'diff') toggleDiffPreview(btn.classList.contains('active'));
+            applyOverlayState();
+        });
+    });
+    document.getElementById('overlayOpacity').addEventListener('input', applyOverlayState);
+
     document.getElementById('resNormal').addEventListener('input', calcTotal);
     document.getElementById('resOt').addEventListener('input', calcTotal);
 
@@ -73,6 +126,9 @@ function initEvents() {
     });
     document.getElementById('templateFileInput').addEventListener('change', handleTemplateFileSelect);
     document.getElementById('btnDeleteTemplate').addEventListener('click', deleteTemplate);
+    document.querySelectorAll('.counting-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => setCountingMode(btn.dataset.mode));
+    });
     document.querySelectorAll('.btn-add-color').forEach(btn => {
         btn.addEventListener('click', () => openColorPicker(btn.dataset.group));
     });
@@ -100,6 +156,8 @@ async function doScan() {
             return;
         }
         currentData = await res.json();
+        currentData.isStale = res.headers.get('X-Cache-Stale') === '1';
+        currentData.cachedAt = res.headers.get('X-Cached-At');
         renderOrderInfo(currentData);
     } catch (e) {
         toast('เกิดข้อผิดพลาดในการเชื่อมต่อ', 'error');
@@ -134,24 +192,23 @@ function renderOrderInfo(data) {
 
     updateStatus(data.cumulativeTotal, data.cumulativeIsComplete);
     updateLastUpdated(data.progressHistory);
+    updateStaleBadge(data);
 
     document.getElementById('orderInfo').classList.add('active');
 
-    const btnColor = document.getElementById('btnColorSettings');
-    btnColor.style.display = 'flex';
-    if (data.hasColorProfile) {
-        btnColor.innerHTML = '<i class="bi bi-palette-fill"></i> ตั้งค่าสี <span class="profile-dot"></span>';
-    } else {
-        btnColor.innerHTML = '<i class="bi bi-palette"></i> ตั้งค่าสี';
-    }
+    document.getElementById('btnColorSettings').style.display = 'flex';
+    setColorProfileIndicator(data.hasColorProfile);
 
-    const btnTemplate = document.getElementById('btnTemplateSettings');
-    btnTemplate.style.display = 'flex';
-    if (data.hasTemplate) {
-        btnTemplate.innerHTML = '<i class="bi bi-grid-3x3-gap-fill"></i> Template <span class="profile-dot"></span>';
-    } else {
-        btnTemplate.innerHTML = '<i class="bi bi-grid-3x3"></i> Template';
-    }
+    const btnPrint = document.getElementById('btnPrintSheet');
+    btnPrint.href = `/WorkProgress/PrintSheet?barcode=${encodeURIComponent(item.barcodeNo.trim())}`;
+    btnPrint.style.display = 'flex';
+
+    const btnReport = document.getElementById('btnReport');
+    btnReport.href = `/WorkProgress/Report?barcode=${encodeURIComponent(item.barcodeNo.trim())}`;
+    btnReport.style.display = 'flex';
+
+    document.getElementById('btnTemplateSettings').style.display = 'flex';
+    setTemplateIndicator(data.hasTemplate);
 
     if (data.cumulativeIsComplete) {
         setTimeout(() => launchConfetti(), 400);
@@ -227,6 +284,19 @@ function updateLastUpdated(history) {
     el.innerHTML = `<i class="bi bi-clock"></i> ${text}`;
 }
 
+function updateStaleBadge(data) {
+    const el = document.getElementById('staleBadge');
+    if (!data.isStale) {
+        el.style.display = 'none';
+        return;
+    }
+    const at = data.cachedAt
+        ? new Date(data.cachedAt).toLocaleString('th-TH', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })
+        : '';
+    el.innerHTML = `<i class="bi bi-wifi-off"></i> ข้อมูลออฟไลน์${at ? ` · ${at}` : ''}`;
+    el.style.display = 'inline-flex';
+}
+
 function launchConfetti() {
     const container = document.getElementById('confettiContainer');
     const colors = ['#6366f1', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899'];
@@ -245,6 +315,7 @@ function launchConfetti() {
 let historyFilterDate = 'all';
 let historyAllRecords = [];
 let historyTotalCount = 0;
+let historyEditingId = null;
 const HISTORY_PAGE_SIZE = 7;
 
 function showHistory() {
@@ -252,6 +323,11 @@ function showHistory() {
     const history = currentData.progressHistory;
     historyTotalCount = currentData.progressTotalCount || history.length;
     historyAllRecords = [...history];
+    renderTrendChart(currentData.dailySummaries, currentData.forecast);
+    resetAuditView();
+    resetRecycleBin();
+    resetCompareView();
+    showHistoryView('records');
 
     if (!history || history.length === 0) {
         document.getElementById('historyFilter').style.display = 'none';
@@ -264,6 +340,7 @@ function showHistory() {
 
     document.getElementById('noHistory').style.display = 'none';
     historyFilterDate = 'all';
+    historyEditingId = null;
     document.getElementById('filterDateInput').value = '';
     rebuildHistoryView();
 
@@ -290,6 +367,43 @@ function initHistoryFilter() {
         document.getElementById('filterResetBtn').classList.add('active');
         renderFilteredHistory();
     });
+
+    document.querySelectorAll('#historyFilter [data-export]').forEach(item => {
+        item.addEventListener('click', () => exportHistory(item.dataset.export, item.dataset.format));
+    });
+}
+
+// Exports follow the date filter: one day when a date is picked, otherwise the whole order
+function exportHistory(kind, format) {
+    const barcode = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!barcode) return;
+    const params = new URLSearchParams({ format });
+    if (historyFilterDate !== 'all') {
+        params.set('from', historyFilterDate);
+        params.set('to', historyFilterDate);
+    }
+    downloadFile(`${API}/export/${kind}/${encodeURIComponent(barcode)}?${params}`, `${kind}.${format}`);
+}
+
+// Records / audit timeline / photo comparison / recycle bin; all but the first load on open
+const HISTORY_VIEWS = {
+    records: 'historyRecordsView', audit: 'historyAuditView', compare: 'historyCompareView', trash: 'historyTrashView'
+};
+
+function initHistoryTabs() {
+    document.querySelectorAll('.history-tab').forEach(tab => {
+        tab.addEventListener('click', () => showHistoryView(tab.dataset.view));
+    });
+}
+
+function showHistoryView(view) {
+    document.querySelectorAll('.history-tab').forEach(t => t.classList.toggle('active', t.dataset.view === view));
+    Object.entries(HISTORY_VIEWS).forEach(([key, id]) => {
+        document.getElementById(id).style.display = key === view ? 'block' : 'none';
+    });
+    if (view === 'audit') loadAuditLog();
+    if (view === 'compare') loadCompareView();
+    if (view === 'trash') loadRecycleBin();
 }
 
 function rebuildHistoryView() {
@@ -406,45 +520,7 @@ function renderHistoryRecords(dayGroups, keysToRender) {
         group.appendChild(header);
 
         records.forEach(h => {
-            const d = new Date(h.createdAt);
-            const time = d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
-            const normalPct = h.computedNormalPercent;
-            const otPct = h.computedOtPercent;
-            let totalPct = h.computedTotalPercent;
-            if (totalPct > 100) totalPct = 100;
-            const img = h.evidenceImagePath
-                ? `<img class="history-card-img" src="${h.evidenceImagePath}" onclick="viewImage('${h.evidenceImagePath}')" />`
-                : `<div class="history-card-img-empty"><i class="bi bi-image"></i></div>`;
-
-            const card = document.createElement('div');
-            card.className = 'history-card';
-            card.innerHTML = `
-                ${img}
-                <div class="history-card-body">
-                    <div class="history-card-top">
-                        <span class="history-date"><i class="bi bi-clock"></i> ${time}</span>
-                        <button class="btn-icon-sm danger" onclick="deleteProgress(${h.id})" title="ลบ">
-                            <i class="bi bi-trash3"></i>
-                        </button>
-                    </div>
-                    <div class="history-card-bars">
-                        <div class="history-bar">
-                            <div class="history-bar-label">ปกติ</div>
-                            <div class="history-bar-track"><div class="history-bar-fill normal" style="width:${Math.min(normalPct, 100)}%"></div></div>
-                            <div class="history-bar-val normal">${normalPct}%</div>
-                        </div>
-                        <div class="history-bar">
-                            <div class="history-bar-label">OT</div>
-                            <div class="history-bar-track"><div class="history-bar-fill ot" style="width:${Math.min(otPct, 100)}%"></div></div>
-                            <div class="history-bar-val ot">${otPct}%</div>
-                        </div>
-                        <div class="history-bar">
-                            <div class="history-bar-label">รวม</div>
-                            <div class="history-bar-track"><div class="history-bar-fill total" style="width:${Math.min(totalPct, 100)}%"></div></div>
-                            <div class="history-bar-val total">${totalPct}%</div>
-                        </div>
-                    </div>
-                </div>`;
+            const card = h.id === historyEditingId ? buildHistoryEditCard(h) : buildHistoryCard(h);
             group.appendChild(card);
         });
 
@@ -466,6 +542,204 @@ function renderHistoryRecords(dayGroups, keysToRender) {
     }
 }
 
+function buildHistoryCard(h) {
+    const d = new Date(h.createdAt);
+    const time = d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+    const normalPct = h.computedNormalPercent;
+    const otPct = h.computedOtPercent;
+    let totalPct = h.computedTotalPercent;
+    if (totalPct > 100) totalPct = 100;
+    const img = h.evidenceImagePath
+        ? `<img class="history-card-img" src="${h.evidenceImagePath}" onclick="viewImage('${h.evidenceImagePath}')" />`
+        : `<div class="history-card-img-empty"><i class="bi bi-image"></i></div>`;
+
+    const card = document.createElement('div');
+    card.className = 'history-card';
+    card.innerHTML = `
+        ${img}
+        <div class="history-card-body">
+            <div class="history-card-top">
+                <span class="history-date"><i class="bi bi-clock"></i> ${time}</span>
+                <div class="history-card-actions">
+                    <button class="btn-icon-sm" data-requires="supervisor" onclick="editProgress(${h.id})" title="แก้ไข">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn-icon-sm danger" data-requires="supervisor" onclick="deleteProgress(${h.id})" title="ลบ">
+                        <i class="bi bi-trash3"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="history-card-bars">
+                <div class="history-bar">
+                    <div class="history-bar-label">ปกติ</div>
+                    <div class="history-bar-track"><div class="history-bar-fill normal" style="width:${Math.min(normalPct, 100)}%"></div></div>
+                    <div class="history-bar-val normal">${normalPct}%</div>
+                </div>
+                <div class="history-bar">
+                    <div class="history-bar-label">OT</div>
+                    <div class="history-bar-track"><div class="history-bar-fill ot" style="width:${Math.min(otPct, 100)}%"></div></div>
+                    <div class="history-bar-val ot">${otPct}%</div>
+                </div>
+                <div class="history-bar">
+                    <div class="history-bar-label">รวม</div>
+                    <div class="history-bar-track"><div class="history-bar-fill total" style="width:${Math.min(totalPct, 100)}%"></div></div>
+                    <div class="history-bar-val total">${totalPct}%</div>
+                </div>
+            </div>
+            ${h.createdBy ? `
+            <div class="history-operator">
+                <i class="bi bi-person"></i> ${escapeHtml(h.createdByName || h.createdBy)}
+                ${h.updatedBy ? `<span class="history-updated-by">· แก้ไขโดย ${escapeHtml(h.updatedByName || h.updatedBy)}</span>` : ''}
+            </div>` : h.updatedBy ? `
+            <div class="history-operator">
+                <i class="bi bi-pencil"></i> แก้ไขโดย ${escapeHtml(h.updatedByName || h.updatedBy)}
+            </div>` : ''}
+            ${h.correctionMaskPath ? `
+            <button class="history-correction" onclick="viewImage('${h.correctionMaskPath}')">
+                <i class="bi bi-pencil-square"></i> แก้ไขด้วยมือ
+            </button>` : ''}
+            ${h.paintMaskPath ? `
+            <button class="history-correction diff" onclick="showPaintDiff(${h.id})">
+                <i class="bi bi-intersect"></i> งานที่เพิ่มจากวันก่อน
+            </button>` : ''}
+            <div class="history-note" style="display:none"></div>
+        </div>`;
+
+    if (h.note) {
+        const noteEl = card.querySelector('.history-note');
+        noteEl.textContent = h.note;
+        noteEl.style.display = 'block';
+    }
+    return card;
+}
+
+function buildHistoryEditCard(h) {
+    const card = document.createElement('div');
+    card.className = 'history-card editing';
+    card.innerHTML = `
+        <div class="history-card-body">
+            <div class="history-edit-grid">
+                <label class="history-edit-field normal">
+                    <span>ปกติ</span>
+                    <input type="number" class="edit-normal" step="0.01" min="0" max="100" />
+                </label>
+                <label class="history-edit-field ot">
+                    <span>OT</span>
+                    <input type="number" class="edit-ot" step="0.01" min="0" max="100" />
+                </label>
+                <label class="history-edit-field total">
+                    <span>รวม</span>
+                    <input type="number" class="edit-total" readonly />
+                </label>
+            </div>
+            <textarea class="note-input edit-note" rows="1" placeholder="บันทึกเพิ่มเติม (ถ้ามี)"></textarea>
+            <div class="history-edit-error"></div>
+            <div class="history-edit-actions">
+                <button class="btn-edit-cancel">ยกเลิก</button>
+                <button class="btn-edit-save"><i class="bi bi-check-lg"></i> บันทึก</button>
+            </div>
+        </div>`;
+
+    const normalEl = card.querySelector('.edit-normal');
+    const otEl = card.querySelector('.edit-ot');
+    const totalEl = card.querySelector('.edit-total');
+    const noteEl = card.querySelector('.edit-note');
+    const errorEl = card.querySelector('.history-edit-error');
+    const saveBtn = card.querySelector('.btn-edit-save');
+
+    normalEl.value = h.computedNormalPercent;
+    otEl.value = h.computedOtPercent;
+    noteEl.value = h.note || '';
+
+    const validate = () => {
+        const n = parseFloat(normalEl.value);
+        const o = parseFloat(otEl.value);
+        const total = Math.round(((n || 0) + (o || 0)) * 100) / 100;
+        totalEl.value = total;
+
+        let err = '';
+        if (isNaN(n) || isNaN(o)) err = 'กรุณากรอกตัวเลข';
+        else if (n < 0 || o < 0) err = 'ค่าต้องไม่ติดลบ';
+        else if (total > 100) err = 'ปกติ + OT รวมกันต้องไม่เกิน 100%';
+
+        errorEl.textContent = err;
+        totalEl.classList.toggle('invalid', total > 100);
+        saveBtn.disabled = !!err;
+        return !err;
+    };
+    normalEl.addEventListener('input', validate);
+    otEl.addEventListener('input', validate);
+    validate();
+
+    card.querySelector('.btn-edit-cancel').addEventListener('click', () => {
+        historyEditingId = null;
+        renderFilteredHistory();
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        if (!validate() || !requireRole('supervisor')) return;
+        saveBtn.disabled = true;
+        saveBtn.innerHTML = '<span class="inline-spinner"></span>';
+        try {
+            const res = await fetch(`${API}/update/${h.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    normalPercent: parseFloat(normalEl.value),
+                    otPercent: parseFloat(otEl.value),
+                    note: noteEl.value.trim() || null
+                })
+            });
+            if (res.ok) {
+                toast('แก้ไขสำเร็จ', 'success');
+                historyEditingId = null;
+                await refreshAfterHistoryChange();
+            } else {
+                const err = await res.json().catch(() => ({}));
+                handleAuthFailure(res);
+                errorEl.textContent = err.message || 'แก้ไขไม่สำเร็จ';
+                saveBtn.disabled = false;
+                saveBtn.innerHTML = '<i class="bi bi-check-lg"></i> บันทึก';
+            }
+        } catch {
+            toast('เกิดข้อผิดพลาด', 'error');
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = '<i class="bi bi-check-lg"></i> บันทึก';
+        }
+    });
+
+    return card;
+}
+
+function editProgress(id) {
+    if (!requireRole('supervisor')) return;
+    historyEditingId = id;
+    renderFilteredHistory();
+}
+
+// Rings, daily deltas and the trend come from /scan; the open history list is re-read so
+// later days pick up the RecalcDeltasAfter cascade without closing the modal
+async function refreshAfterHistoryChange() {
+    await doScan();
+    if (currentData) renderTrendChart(currentData.dailySummaries, currentData.forecast);
+    invalidateAuditLog();
+    const barcode = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!barcode) return;
+
+    try {
+        const limit = Math.max(historyAllRecords.length, HISTORY_PAGE_SIZE);
+        const res = await fetch(`${API}/history/${encodeURIComponent(barcode)}?limit=${limit}&offset=0`);
+        if (res.ok) {
+            const data = await res.json();
+            historyAllRecords = data.records;
+            historyTotalCount = data.totalCount;
+            rebuildHistoryView();
+        }
+    } catch {
+        toast('โหลดข้อมูลไม่สำเร็จ', 'error');
+    }
+}
+
 function groupByDate(records) {
     const groups = {};
     records.forEach(h => {
@@ -485,18 +759,27 @@ function viewImage(src) {
 }
 
 async function deleteProgress(id) {
+    if (!requireRole('supervisor')) return;
     const confirmed = await showConfirm({
         icon: 'bi-trash3',
         title: 'ต้องการลบรายการนี้?',
-        desc: 'ข้อมูลที่ลบจะไม่สามารถกู้คืนได้',
+        desc: 'รายการที่ลบจะถูกย้ายไปถังขยะ หัวหน้างานกู้คืนได้ภายหลัง',
         okText: 'ลบเลย',
         okClass: 'danger'
     });
     if (!confirmed) return;
     showLoading();
     try {
-        await fetch(`${API}/delete/${id}`, { method: 'DELETE' });
-        toast('ลบสำเร็จ', 'success');
+        const res = await fetch(`${API}/delete/${id}`, { method: 'DELETE' });
+        if (!res.ok) {
+            hideLoading();
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'ลบไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        toast('ลบสำเร็จ', 'success', { label: 'เลิกทำ', onClick: () => restoreProgress(id) });
         document.activeElement?.blur();
         bootstrap.Modal.getOrCreateInstance(document.getElementById('historyModal'))?.hide();
         doScan();
@@ -559,6 +842,11 @@ function resetUpload() {
     document.getElementById('resTotal').value = '0';
     document.getElementById('noteInput').value = '';
     document.getElementById('fileGalleryInput').value = '';
+    clearAnalysisOverlay();
+    prepareMaskEditor(null);
+    resetCornerState();
+    renderRectifyBadge(null);
+    renderCellCount(null);
     document.getElementById('recordDate').value = new Date().toISOString().split('T')[0];
 }
 
@@ -570,6 +858,7 @@ async function openLiveCamera() {
             video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1440 } }
         });
         video.srcObject = cameraStream;
+        startCameraGuide(video);
     } catch {
         toast('ไม่สามารถเปิดกล้องได้', 'error');
         closeLiveCamera();
@@ -583,6 +872,7 @@ function capturePhoto() {
     canvas.height = video.videoHeight;
     canvas.getContext('2d').drawImage(video, 0, 0);
     currentImage = canvas.toDataURL('image/jpeg', 0.85);
+    resetCornerState();
 
     closeLiveCamera();
     document.getElementById('uploadButtons').style.display = 'none';
@@ -592,6 +882,7 @@ function capturePhoto() {
 }
 
 function closeLiveCamera() {
+    stopCameraGuide();
     if (cameraStream) {
         cameraStream.getTracks().forEach(t => t.stop());
         cameraStream = null;
@@ -608,6 +899,7 @@ function handleFileSelect(e) {
     const reader = new FileReader();
     reader.onload = async (ev) => {
         currentImage = ev.target.result;
+        resetCornerState();
         document.getElementById('uploadButtons').style.display = 'none';
         document.getElementById('resultFields').style.display = 'flex';
         document.getElementById('previewImg').src = currentImage;
@@ -623,13 +915,28 @@ async function analyzeImage(base64) {
         const res = await fetch(`${API}/analyze`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ imageBase64: base64, orderNo: currentData?.barcodeItem?.barcodeNo?.trim() || null })
+            body: JSON.stringify({
+                imageBase64: base64,
+                orderNo: currentData?.barcodeItem?.barcodeNo?.trim() || null,
+                includeOverlay: true,
+                useQrRectification: document.getElementById('chkQrRectify').checked,
+                corners: manualCorners
+            })
         });
         const result = await res.json();
+        if (!res.ok) {
+            toast(result.message || 'วิเคราะห์รูปไม่สำเร็จ', 'error');
+            return;
+        }
         document.getElementById('resNormal').value = result.normalPercent;
         document.getElementById('resOt').value = result.otPercent;
         document.getElementById('resTotal').value = result.totalPercent;
         document.getElementById('resultFields').style.display = 'flex';
+        renderAnalysisOverlay(result.overlay);
+        prepareMaskEditor(result.overlay, !!result.cells);
+        renderRectifyBadge(result.rectification);
+        renderCellCount(result.cells);
+        setDetectedCorners(result.planCorners);
     } catch {
         toast('วิเคราะห์รูปไม่สำเร็จ', 'error');
     } finally {
@@ -637,6 +944,91 @@ async function analyzeImage(base64) {
     }
 }
 
+const OVERLAY_LAYERS = { plan: 'overlayPlan', normal: 'overlayNormal', ot: 'overlayOt', diff: 'overlayDiff' };
+
+// The layers are in the analysed frame (resized, or warped onto the template),
+// so the preview swaps to that frame to keep them registered
+function renderAnalysisOverlay(overlay) {
+    if (!overlay) {
+        clearAnalysisOverlay();
+        return;
+    }
+    document.getElementById('previewImg').src = overlay.baseImage;
+    document.getElementById('overlayPlan').src = overlay.planMask;
+    document.getElementById('overlayNormal').src = overlay.normalMask;
+    document.getElementById('overlayOt').src = overlay.otMask;
+    resetDiffPreview();
+    document.getElementById('overlayControls').style.display = 'flex';
+    document.getElementById('resultFields').classList.add('with-overlay');
+    applyOverlayState();
+}
+
+function clearAnalysisOverlay() {
+    Object.values(OVERLAY_LAYERS).forEach(id => {
+        const el = document.getElementById(id);
+        el.src = '';
+        el.style.display = 'none';
+    });
+    resetDiffPreview();
+    document.getElementById('overlayControls').style.display = 'none';
+    document.getElementById('resultFields').classList.remove('with-overlay');
+}
+
+function applyOverlayState() {
+    const opacity = document.getElementById('overlayOpacity').value / 100;
+    document.querySelectorAll('.overlay-toggle').forEach(btn => {
+        const el = document.getElementById(OVERLAY_LAYERS[btn.dataset.layer]);
+        if (!el.getAttribute('src')) return;
+        el.style.display = btn.classList.contains('active') ? 'block' : 'none';
+        el.style.opacity = opacity;
+    });
+}
+
+function renderRectifyBadge(info) {
+    const badge = document.getElementById('rectifyBadge');
+    if (!info) {
+        badge.style.display = 'none';
+        return;
+    }
+
+    const corners = ['TL', 'TR', 'BR', 'BL']
+        .map(c => info.cornersFound.includes(c) ? c : (c === info.estimatedCorner ? `${c}~` : `<s>${c}</s>`))
+        .join(' ');
+    const label = {
+        manual: '<i class="bi bi-bounding-box-circles"></i> มุมที่กำหนดเอง',
+        qr: '<i class="bi bi-qr-code"></i> QR',
+        template: '<i class="bi bi-grid-3x3"></i> Template',
+        contour: '<i class="bi bi-bounding-box"></i> Contour'
+    }[info.method] || info.method;
+
+    badge.className = `rectify-badge ${info.method}${info.fallbackReason ? ' fallback' : ''}`;
+    badge.innerHTML = info.method === 'qr' || info.cornersFound.length > 0
+        ? `${label} <span class="rectify-corners">${corners}</span>`
+        : label;
+    badge.title = info.fallbackReason
+        ? (manualCorners
+            ? `มุมที่กำหนดเองใช้ไม่ได้ ใช้วิธีอัตโนมัติแทน: ${info.fallbackReason}`
+            : `ไม่พบ QR ครบ ใช้วิธีเดิมแทน: ${info.fallbackReason}`)
+        : info.estimatedCorner
+            ? `ประมาณมุม ${info.estimatedCorner} จากอีก 3 มุม`
+            : '';
+    badge.style.display = 'inline-flex';
+}
+
+// Set when the order's template counts hex cells instead of pixels
+function renderCellCount(cells) {
+    const el = document.getElementById('cellCount');
+    if (!cells) {
+        el.style.display = 'none';
+        return;
+    }
+    el.innerHTML = `<i class="bi bi-hexagon"></i>
+        <span class="diff-stat normal">ปกติ ${cells.normal.toLocaleString()}</span> ·
+        <span class="diff-stat ot">OT ${cells.ot.toLocaleString()}</span> ·
+        <span>รวม ${(cells.normal + cells.ot).toLocaleString()}/${cells.total.toLocaleString()} ช่อง</span>`;
+    el.style.display = 'flex';
+}
+
 function calcTotal() {
     const n = parseFloat(document.getElementById('resNormal').value) || 0;
     const o = parseFloat(document.getElementById('resOt').value) || 0;
@@ -648,38 +1040,59 @@ async function saveProgress() {
         toast('กรุณาถ่ายรูปก่อน', 'error');
         return;
     }
+    if (!requireOperator()) return;
 
     const btn = document.getElementById('btnSave');
     btn.disabled = true;
     btn.innerHTML = '<span class="inline-spinner"></span> กำลังบันทึก...';
 
-    try {
-        const item = currentData.barcodeItem;
-        const dateVal = document.getElementById('recordDate').value || null;
-        const body = {
-            barcodeNo: item.barcodeNo.trim(),
-            orno: item.orno.trim(),
-            normalPercent: parseFloat(document.getElementById('resNormal').value) || 0,
-            otPercent: parseFloat(document.getElementById('resOt').value) || 0,
-            totalPercent: parseFloat(document.getElementById('resTotal').value) || 0,
-            qualityScore: 0,
-            imageBase64: currentImage,
-            note: document.getElementById('noteInput').value.trim() || null,
-            recordDate: dateVal
-        };
+    const item = currentData.barcodeItem;
+    const dateVal = document.getElementById('recordDate').value || null;
+    const body = {
+        barcodeNo: item.barcodeNo.trim(),
+        orno: item.orno.trim(),
+        normalPercent: parseFloat(document.getElementById('resNormal').value) || 0,
+        otPercent: parseFloat(document.getElementById('resOt').value) || 0,
+        totalPercent: parseFloat(document.getElementById('resTotal').value) || 0,
+        qualityScore: 0,
+        imageBase64: currentImage,
+        correctionMaskBase64: maskCorrection?.maskBase64 || null,
+        paintMaskBase64: buildPaintMaskDataUrl(),
+        planCorners: manualCorners,
+        note: document.getElementById('noteInput').value.trim() || null,
+        recordDate: dateVal,
+        clientRequestId: newClientRequestId()
+    };
 
-        const res = await fetch(`${API}/save`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
+    try {
+        let res = null;
+        if (navigator.onLine) {
+            try {
+                res = await fetch(`${API}/save`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+            } catch {
+                res = null;
+            }
+        }
 
-        if (res.ok) {
+        if (res && res.ok) {
             toast('บันทึกสำเร็จ', 'success');
             document.activeElement?.blur();
             bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadModal'))?.hide();
             doScan();
-        } else {
+        } else if (!res || res.status >= 500) {
+            // Network down or server unreachable: keep the capture on the device
+            if (await enqueueSave(body)) {
+                toast('ออฟไลน์ — เก็บไว้ในเครื่อง จะส่งอัตโนมัติเมื่อเชื่อมต่อได้', '');
+                document.activeElement?.blur();
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('uploadModal'))?.hide();
+            } else {
+                toast('เกิดข้อผิดพลาด', 'error');
+            }
+        } else if (!handleAuthFailure(res)) {
             toast('บันทึกไม่สำเร็จ', 'error');
         }
     } catch {
@@ -742,18 +1155,29 @@ async function stopBarcodeScanner() {
     btnOpen.style.display = 'flex';
 }
 
-function toast(msg, type = '') {
+// action: optional { label, onClick } rendered as a button; the toast then stays up longer
+function toast(msg, type = '', action = null) {
     const container = document.getElementById('toastContainer');
     const el = document.createElement('div');
     el.className = `toast-msg ${type}`;
     el.textContent = msg;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            el.remove();
+            action.onClick();
+        }, { once: true });
+        el.appendChild(btn);
+    }
     container.appendChild(el);
     setTimeout(() => {
         el.style.opacity = '0';
         el.style.transform = 'translateY(12px)';
         el.style.transition = 'all 0.3s';
         setTimeout(() => el.remove(), 300);
-    }, 2500);
+    }, action ? 6000 : 2500);
 }
 
 async function openColorSettings() {
@@ -761,33 +1185,87 @@ async function openColorSettings() {
     const orderNo = currentData.barcodeItem?.barcodeNo?.trim();
     if (!orderNo) return;
 
-    colorProfileColors = { normal: [], ot: [] };
-    document.getElementById('toleranceSlider').value = 30;
-    document.getElementById('toleranceValue').textContent = '30';
-
+    const origin = currentData.hasColorProfile ? null : currentData.colorProfileOrigin;
+    const inherited = origin?.kind === 'inherited';
+    let profile = null;
     showLoading();
     try {
-        const res = await fetch(`${API}/color-profile/${encodeURIComponent(orderNo)}`);
-        if (res.ok) {
-            const profile = await res.json();
-            if (profile && profile.colors) {
-                document.getElementById('toleranceSlider').value = profile.tolerance;
-                document.getElementById('toleranceValue').textContent = profile.tolerance;
-                profile.colors.forEach(c => {
-                    colorProfileColors[c.colorGroup].push(c.hexColor);
-                });
-            }
-        }
+        // An inherited profile is shown as the starting point; saving makes it the order's own
+        const source = inherited ? origin.orderNo : orderNo;
+        const res = await fetch(`${API}/color-profile/${encodeURIComponent(source)}`);
+        if (res.ok) profile = await res.json();
     } catch {}
     hideLoading();
 
-    renderSwatches('normal');
-    renderSwatches('ot');
+    renderInheritNote('colorInheritNote', origin, 'การตั้งค่าสี', copyInheritedColorProfile);
+    fillColorSettings(profile);
+    // A borrowed library link still shows as one; borrowed own colours don't
+    loadColorLibrary(inherited && profile?.source !== 'library' ? null : profile);
     document.activeElement?.blur();
     const modal = document.getElementById('colorSettingsModal');
     bootstrap.Modal.getOrCreateInstance(modal).show();
 }
 
+// profile may be null (no settings yet) or come from the library
+function fillColorSettings(profile) {
+    const tolerance = profile?.tolerance ?? 30;
+    colorProfileColors = { normal: [], ot: [] };
+    document.getElementById('toleranceSlider').value = tolerance;
+    document.getElementById('toleranceValue').textContent = tolerance;
+    (profile?.colors || []).forEach(c => {
+        colorProfileColors[c.colorGroup].push(c.hexColor);
+    });
+    renderSwatches('normal');
+    renderSwatches('ot');
+}
+
+// Own settings get the dot; settings borrowed from an order of the same design a hollow one
+function setColorProfileIndicator(hasProfile) {
+    const btnColor = document.getElementById('btnColorSettings');
+    const origin = currentData?.colorProfileOrigin;
+    const inherited = !hasProfile && origin?.kind === 'inherited';
+    btnColor.innerHTML = hasProfile
+        ? '<i class="bi bi-palette-fill"></i> ตั้งค่าสี <span class="profile-dot"></span>'
+        : inherited
+            ? '<i class="bi bi-palette-fill"></i> ตั้งค่าสี <span class="profile-dot inherited"></span>'
+            : '<i class="bi bi-palette"></i> ตั้งค่าสี';
+    btnColor.title = inherited ? `ใช้การตั้งค่าสีของ Order ${origin.orderNo} (ลายเดียวกัน)` : '';
+}
+
+function setTemplateIndicator(hasTemplate) {
+    const btnTemplate = document.getElementById('btnTemplateSettings');
+    const origin = currentData?.templateOrigin;
+    const inherited = !hasTemplate && origin?.kind === 'inherited';
+    btnTemplate.innerHTML = hasTemplate
+        ? '<i class="bi bi-grid-3x3-gap-fill"></i> Template <span class="profile-dot"></span>'
+        : inherited
+            ? '<i class="bi bi-grid-3x3-gap-fill"></i> Template <span class="profile-dot inherited"></span>'
+            : '<i class="bi bi-grid-3x3"></i> Template';
+    btnTemplate.title = inherited ? `ใช้ Template ของ Order ${origin.orderNo} (ลายเดียวกัน)` : '';
+}
+
+// Shown while the order has no setting of its own but analysis borrows one by design
+function renderInheritNote(elementId, origin, what, onCopy) {
+    const el = document.getElementById(elementId);
+    if (origin?.kind !== 'inherited') {
+        el.style.display = 'none';
+        return;
+    }
+    el.innerHTML = `
+        <i class="bi bi-diagram-2"></i>
+        <span>ยังไม่มี${what}ของตัวเอง ใช้ของ Order <b>${escapeHtml(origin.orderNo)}</b> (ลายเดียวกัน)</span>
+        <button class="inherit-copy" data-requires="admin"><i class="bi bi-copy"></i> คัดลอกมาที่ Order นี้</button>`;
+    el.querySelector('.inherit-copy').addEventListener('click', onCopy);
+    el.style.display = 'flex';
+}
+
+function selectedProfileColors() {
+    const allColors = [];
+    colorProfileColors.normal.forEach(hex => allColors.push({ colorGroup: 'normal', hexColor: hex }));
+    colorProfileColors.ot.forEach(hex => allColors.push({ colorGroup: 'ot', hexColor: hex }));
+    return allColors;
+}
+
 function renderSwatches(group) {
     const container = document.getElementById(group === 'normal' ? 'normalSwatches' : 'otSwatches');
     container.innerHTML = '';
@@ -935,14 +1413,12 @@ async function saveColorProfile() {
     const orderNo = currentData.barcodeItem?.barcodeNo?.trim();
     if (!orderNo) return;
 
-    const allColors = [];
-    colorProfileColors.normal.forEach(hex => allColors.push({ colorGroup: 'normal', hexColor: hex }));
-    colorProfileColors.ot.forEach(hex => allColors.push({ colorGroup: 'ot', hexColor: hex }));
-
+    const allColors = selectedProfileColors();
     if (allColors.length === 0) {
         toast('กรุณาเลือกสีอย่างน้อย 1 สี', 'error');
         return;
     }
+    if (!requireRole('admin')) return;
 
     showLoading();
     try {
@@ -961,9 +1437,9 @@ async function saveColorProfile() {
             document.activeElement?.blur();
             bootstrap.Modal.getOrCreateInstance(document.getElementById('colorSettingsModal'))?.hide();
             currentData.hasColorProfile = true;
-            const btnColor = document.getElementById('btnColorSettings');
-            btnColor.innerHTML = '<i class="bi bi-palette-fill"></i> ตั้งค่าสี <span class="profile-dot"></span>';
-        } else {
+            setColorProfileIndicator(true);
+            document.getElementById('colorInheritNote').style.display = 'none';
+        } else if (!handleAuthFailure(res)) {
             const err = await res.json().catch(() => ({}));
             toast(err.message || 'บันทึกไม่สำเร็จ', 'error');
         }
@@ -974,6 +1450,34 @@ async function saveColorProfile() {
     }
 }
 
+async function copyInheritedColorProfile() {
+    const orderNo = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!orderNo || !requireRole('admin')) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/color-profile/${encodeURIComponent(orderNo)}/copy-inherited`, { method: 'POST' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'คัดลอกการตั้งค่าสีไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        const profile = await res.json();
+        toast('คัดลอกการตั้งค่าสีมาที่ Order นี้แล้ว', 'success');
+        currentData.hasColorProfile = true;
+        setColorProfileIndicator(true);
+        document.getElementById('colorInheritNote').style.display = 'none';
+        fillColorSettings(profile);
+        loadColorLibrary(profile);
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 async function resetColorProfile() {
     if (!currentData) return;
     const orderNo = currentData.barcodeItem?.barcodeNo?.trim();
@@ -982,21 +1486,26 @@ async function resetColorProfile() {
     const confirmed = await showConfirm({
         icon: 'bi-arrow-counterclockwise',
         title: 'ใช้ค่าเริ่มต้น?',
-        desc: 'จะลบการตั้งค่าสีของ Order นี้ และกลับไปใช้ค่าเริ่มต้น (แดง=OT, ที่เหลือ=ปกติ)',
+        desc: 'จะลบการตั้งค่าสีของ Order นี้ (รวมถึงการเชื่อมกับคลัง) และกลับไปใช้ค่าเริ่มต้น (แดง=OT, ที่เหลือ=ปกติ)',
         okText: 'ยืนยัน',
         okClass: ''
     });
-    if (!confirmed) return;
+    if (!confirmed || !requireRole('admin')) return;
 
     showLoading();
     try {
-        await fetch(`${API}/color-profile/${encodeURIComponent(orderNo)}`, { method: 'DELETE' });
+        const res = await fetch(`${API}/color-profile/${encodeURIComponent(orderNo)}`, { method: 'DELETE' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) toast('รีเซ็ตการตั้งค่าสีไม่สำเร็จ', 'error');
+            return;
+        }
+        const { origin } = await res.json();
         toast('กลับไปใช้ค่าเริ่มต้นแล้ว', 'success');
         document.activeElement?.blur();
         bootstrap.Modal.getOrCreateInstance(document.getElementById('colorSettingsModal'))?.hide();
         currentData.hasColorProfile = false;
-        const btnColor = document.getElementById('btnColorSettings');
-        btnColor.innerHTML = '<i class="bi bi-palette"></i> ตั้งค่าสี';
+        currentData.colorProfileOrigin = origin;
+        setColorProfileIndicator(false);
     } catch {
         toast('เกิดข้อผิดพลาด', 'error');
     } finally {
@@ -1012,20 +1521,15 @@ async function openTemplateSettings() {
     document.getElementById('templateStatus').style.display = 'none';
     document.getElementById('templateUpload').style.display = 'block';
     document.getElementById('templateProcessing').style.display = 'none';
+    renderInheritNote('templateInheritNote', currentData.hasTemplate ? null : currentData.templateOrigin,
+        ' Template', copyInheritedTemplate);
 
     showLoading();
     try {
         const res = await fetch(`${API}/template/${encodeURIComponent(orderNo)}`);
         if (res.ok) {
             const template = await res.json();
-            if (template && template.templateImagePath) {
-                document.getElementById('templatePreviewImg').src = template.templateImagePath;
-                document.getElementById('templatePreviewMask').src = template.paintableMaskPath;
-                document.getElementById('templatePixelInfo').textContent =
-                    `PaintablePixels: ${template.paintablePixels.toLocaleString()} | ${template.templateWidth}x${template.templateHeight}`;
-                document.getElementById('templateStatus').style.display = 'block';
-                document.getElementById('templateUpload').style.display = 'none';
-            }
+            if (template && template.templateImagePath) showTemplateStatus(template);
         }
     } catch {}
     hideLoading();
@@ -1034,6 +1538,43 @@ async function openTemplateSettings() {
     bootstrap.Modal.getOrCreateInstance(document.getElementById('templateModal')).show();
 }
 
+function showTemplateStatus(template) {
+    document.getElementById('templatePreviewImg').src = template.templateImagePath;
+    document.getElementById('templatePreviewMask').src = template.paintableMaskPath;
+    document.getElementById('templatePixelInfo').textContent =
+        `PaintablePixels: ${template.paintablePixels.toLocaleString()} | ${template.templateWidth}x${template.templateHeight}`;
+    renderCountingMode(template.countingMode);
+    document.getElementById('templateInheritNote').style.display = 'none';
+    document.getElementById('templateStatus').style.display = 'block';
+    document.getElementById('templateUpload').style.display = 'none';
+}
+
+async function copyInheritedTemplate() {
+    const orderNo = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!orderNo || !requireRole('admin')) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/template/${encodeURIComponent(orderNo)}/copy-inherited`, { method: 'POST' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'คัดลอก Template ไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        const template = await res.json();
+        toast('คัดลอก Template มาที่ Order นี้แล้ว', 'success');
+        currentData.hasTemplate = true;
+        setTemplateIndicator(true);
+        showTemplateStatus(template);
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 function openTemplateLiveCamera() {
     bootstrap.Modal.getOrCreateInstance(document.getElementById('templateModal'))?.hide();
     document.getElementById('cameraLive').style.display = 'block';
@@ -1078,7 +1619,7 @@ function handleTemplateFileSelect(e) {
 async function uploadTemplate(base64) {
     if (!currentData) return;
     const orderNo = currentData.barcodeItem?.barcodeNo?.trim();
-    if (!orderNo) return;
+    if (!orderNo || !requireRole('admin')) return;
 
     const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('templateModal'));
     modal.show();
@@ -1098,18 +1639,14 @@ async function uploadTemplate(base64) {
             const template = await res.json();
             toast('สร้าง Template สำเร็จ', 'success');
             currentData.hasTemplate = true;
-            const btn = document.getElementById('btnTemplateSettings');
-            btn.innerHTML = '<i class="bi bi-grid-3x3-gap-fill"></i> Template <span class="profile-dot"></span>';
-
-            document.getElementById('templatePreviewImg').src = template.templateImagePath;
-            document.getElementById('templatePreviewMask').src = template.paintableMaskPath;
-            document.getElementById('templatePixelInfo').textContent =
-                `PaintablePixels: ${template.paintablePixels.toLocaleString()} | ${template.templateWidth}x${template.templateHeight}`;
-            document.getElementById('templateStatus').style.display = 'block';
+            setTemplateIndicator(true);
+            showTemplateStatus(template);
             document.getElementById('templateProcessing').style.display = 'none';
         } else {
-            const err = await res.json().catch(() => ({}));
-            toast(err.message || 'สร้าง Template ไม่สำเร็จ', 'error');
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'สร้าง Template ไม่สำเร็จ', 'error');
+            }
             document.getElementById('templateUpload').style.display = 'block';
             document.getElementById('templateProcessing').style.display = 'none';
         }
@@ -1120,6 +1657,62 @@ async function uploadTemplate(base64) {
     }
 }
 
+// cellCount is only known after asking the server to segment the template
+function renderCountingMode(mode, cellCount) {
+    document.querySelectorAll('.counting-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    const note = document.getElementById('countingModeNote');
+    if (mode !== 'cell') {
+        note.textContent = 'คิด % จากพื้นที่ที่ระบายแล้ว';
+    } else if (cellCount == null) {
+        note.textContent = 'คิด % จากจำนวนช่องที่ระบายเกินครึ่ง';
+        loadTemplateCellCount();
+    } else {
+        note.textContent = `คิด % จากจำนวนช่องที่ระบายเกินครึ่ง · Template มี ${cellCount.toLocaleString()} ช่อง`;
+    }
+}
+
+async function loadTemplateCellCount() {
+    const orderNo = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!orderNo) return;
+    try {
+        const res = await fetch(`${API}/template/${encodeURIComponent(orderNo)}/cells`);
+        if (!res.ok) return;
+        const info = await res.json();
+        if (info.countingMode === 'cell') renderCountingMode('cell', info.cellCount);
+    } catch {}
+}
+
+async function setCountingMode(mode) {
+    const orderNo = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!orderNo || !requireRole('admin')) return;
+    if (document.querySelector(`.counting-mode-btn[data-mode="${mode}"]`).classList.contains('active')) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/template/${encodeURIComponent(orderNo)}/counting-mode`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode })
+        });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'เปลี่ยนวิธีนับไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        const info = await res.json();
+        renderCountingMode(info.countingMode, info.cellCount);
+        toast(mode === 'cell' ? 'นับเป็นช่องแล้ว มีผลกับการวิเคราะห์ครั้งถัดไป' : 'นับเป็นพิกเซลแล้ว มีผลกับการวิเคราะห์ครั้งถัดไป', 'success');
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
 async function deleteTemplate() {
     if (!currentData) return;
     const orderNo = currentData.barcodeItem?.barcodeNo?.trim();
@@ -1132,15 +1725,21 @@ async function deleteTemplate() {
         okText: 'ลบเลย',
         okClass: 'danger'
     });
-    if (!confirmed) return;
+    if (!confirmed || !requireRole('admin')) return;
 
     showLoading();
     try {
-        await fetch(`${API}/template/${encodeURIComponent(orderNo)}`, { method: 'DELETE' });
+        const res = await fetch(`${API}/template/${encodeURIComponent(orderNo)}`, { method: 'DELETE' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) toast('ลบ Template ไม่สำเร็จ', 'error');
+            return;
+        }
+        const { origin } = await res.json();
         toast('ลบ Template สำเร็จ', 'success');
         currentData.hasTemplate = false;
-        const btn = document.getElementById('btnTemplateSettings');
-        btn.innerHTML = '<i class="bi bi-grid-3x3"></i> Template';
+        currentData.templateOrigin = origin;
+        setTemplateIndicator(false);
+        renderInheritNote('templateInheritNote', origin, ' Template', copyInheritedTemplate);
         document.getElementById('templateStatus').style.display = 'none';
         document.getElementById('templateUpload').style.display = 'block';
     } catch {
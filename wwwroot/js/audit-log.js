@@ -0,0 +1,111 @@
+// Who changed which day's numbers, from the append-only progress_audit table.
+// Loaded on demand when the history modal's second tab is opened.
+const AUDIT_ACTIONS = {
+    insert: { label: 'บันทึก', icon: 'bi-plus-circle' },
+    overwrite: { label: 'บันทึกทับ', icon: 'bi-arrow-repeat' },
+    update: { label: 'แก้ไข', icon: 'bi-pencil' },
+    delete: { label: 'ลบ', icon: 'bi-trash3' },
+    restore: { label: 'กู้คืน', icon: 'bi-arrow-counterclockwise' },
+    purge: { label: 'ลบถาวร', icon: 'bi-x-octagon' }
+};
+const AUDIT_FIELDS = [
+    { key: 'normalPercent', label: 'ปกติ', cls: 'normal', unit: '%' },
+    { key: 'otPercent', label: 'OT', cls: 'ot', unit: '%' },
+    { key: 'totalPercent', label: 'รวม', cls: 'total', unit: '%' },
+    { key: 'note', label: 'หมายเหตุ', cls: '', unit: '' }
+];
+
+let auditLoadedFor = null;
+
+// Called when the modal opens for a (possibly different) order
+function resetAuditView() {
+    auditLoadedFor = null;
+}
+
+// Called after an edit from inside the modal; reloads only if the timeline is on screen
+function invalidateAuditLog() {
+    auditLoadedFor = null;
+    if (document.getElementById('historyAuditView').style.display !== 'none') loadAuditLog();
+}
+
+async function loadAuditLog() {
+    const barcode = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!barcode || auditLoadedFor === barcode) return;
+
+    const body = document.getElementById('auditBody');
+    document.getElementById('noAudit').style.display = 'none';
+    body.innerHTML = '<div class="audit-loading"><span class="inline-spinner"></span> กำลังโหลด...</div>';
+    try {
+        const res = await fetch(`${API}/audit/${encodeURIComponent(barcode)}`);
+        if (!res.ok) throw new Error();
+        const entries = await res.json();
+        auditLoadedFor = barcode;
+        renderAuditLog(entries);
+    } catch {
+        body.innerHTML = '';
+        toast('โหลดประวัติการแก้ไขไม่สำเร็จ', 'error');
+    }
+}
+
+function renderAuditLog(entries) {
+    const body = document.getElementById('auditBody');
+    document.getElementById('noAudit').style.display = entries.length === 0 ? 'block' : 'none';
+    body.innerHTML = entries.map(e => {
+        const action = AUDIT_ACTIONS[e.action] || { label: e.action, icon: 'bi-dot' };
+        const at = new Date(e.changedAt).toLocaleString('th-TH', {
+            day: '2-digit', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit'
+        });
+        const workDate = new Date(e.workDate.split('T')[0] + 'T00:00:00').toLocaleDateString('th-TH', {
+            day: '2-digit', month: 'short', year: '2-digit'
+        });
+        const actor = e.actor ? escapeHtml(e.actorName || e.actor) : 'ไม่ทราบผู้ทำรายการ';
+        return `
+            <div class="audit-entry ${e.action}">
+                <div class="audit-icon"><i class="bi ${action.icon}"></i></div>
+                <div class="audit-content">
+                    <div class="audit-head">
+                        <strong>${action.label}</strong> งานวันที่ ${workDate}
+                        <span class="audit-time">${at}</span>
+                    </div>
+                    <div class="audit-actor"><i class="bi bi-person"></i> ${actor}</div>
+                    <div class="audit-changes">${auditChangeRows(e)}</div>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function auditChangeRows(e) {
+    const before = e.before || {};
+    const after = e.after || {};
+    const fmt = (f, v) => v == null || v === '' ? '—' : escapeHtml(v) + f.unit;
+
+    const rows = AUDIT_FIELDS.map(f => {
+        const b = before[f.key], a = after[f.key];
+        if (e.action === 'insert' || e.action === 'restore') {
+            return a == null || a === '' ? '' : auditRow(f, '', fmt(f, a));
+        }
+        if (e.action === 'delete' || e.action === 'purge') {
+            return b == null || b === '' ? '' : auditRow(f, fmt(f, b), '');
+        }
+        return (b ?? '') === (a ?? '') ? '' : auditRow(f, fmt(f, b), fmt(f, a));
+    });
+
+    if ((e.action === 'overwrite' || e.action === 'update') && before.evidenceImagePath !== after.evidenceImagePath) {
+        rows.push(`<div class="audit-row"><span class="audit-label">รูป</span><span>เปลี่ยนรูปหลักฐาน</span></div>`);
+    }
+    if (e.action === 'overwrite' && before.createdBy && before.createdBy !== after.createdBy) {
+        rows.push(`<div class="audit-row"><span class="audit-label">ผู้บันทึก</span><span>${escapeHtml(before.createdBy)} → ${escapeHtml(after.createdBy || '—')}</span></div>`);
+    }
+
+    const html = rows.join('');
+    return html || '<div class="audit-row muted">ค่าไม่เปลี่ยนแปลง</div>';
+}
+
+function auditRow(f, beforeText, afterText) {
+    const value = beforeText && afterText
+        ? `<span class="audit-before">${beforeText}</span> <i class="bi bi-arrow-right"></i> <span class="audit-after ${f.cls}">${afterText}</span>`
+        : beforeText
+            ? `<span class="audit-before">${beforeText}</span>`
+            : `<span class="audit-after ${f.cls}">${afterText}</span>`;
+    return `<div class="audit-row"><span class="audit-label">${f.label}</span><span>${value}</span></div>`;
+}
@@ -0,0 +1,304 @@
+// Live framing guide for openLiveCamera(): finds the plan (or its corner QRs)
+// in a downscaled copy of the video, hints at what is wrong with the shot and
+// triggers capturePhoto() once the frame has been good for GUIDE_STABLE_MS.
+const GUIDE_SAMPLE_WIDTH = 200;
+const GUIDE_INTERVAL_MS = 200;
+const GUIDE_STABLE_MS = 1000;
+const GUIDE_MIN_LUMA = 60;
+const GUIDE_MIN_AREA = 0.3;
+const GUIDE_EDGE_MARGIN = 0.02;
+const GUIDE_MAX_SIDE_RATIO = 1.25;
+const GUIDE_MAX_MOTION = 6;
+// Variance of the Laplacian at GUIDE_SAMPLE_WIDTH; raise it if soft shots still get through
+const GUIDE_MIN_SHARPNESS = 40;
+const AUTO_CAPTURE_KEY = 'wp.autoCapture';
+
+let cameraGuide = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const btn = document.getElementById('btnAutoCapture');
+    btn.classList.toggle('active', localStorage.getItem(AUTO_CAPTURE_KEY) !== '0');
+    btn.addEventListener('click', () => {
+        btn.classList.toggle('active');
+        localStorage.setItem(AUTO_CAPTURE_KEY, btn.classList.contains('active') ? '1' : '0');
+        if (cameraGuide) cameraGuide.readySince = null;
+    });
+});
+
+async function startCameraGuide(video) {
+    stopCameraGuide();
+
+    let qrDetector = null;
+    if ('BarcodeDetector' in window) {
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (formats.includes('qr_code')) qrDetector = new BarcodeDetector({ formats: ['qr_code'] });
+        } catch { /* fall back to plan detection only */ }
+    }
+    // Camera closed while the detector was being set up
+    if (!cameraStream || cameraGuide) return;
+
+    cameraGuide = {
+        video,
+        qrDetector,
+        sample: document.createElement('canvas'),
+        prevGray: null,
+        readySince: null,
+        timer: null
+    };
+    document.getElementById('cameraLive').classList.add('guiding');
+    scheduleGuideTick();
+}
+
+function stopCameraGuide() {
+    if (!cameraGuide) return;
+    clearTimeout(cameraGuide.timer);
+    cameraGuide = null;
+
+    const overlay = document.getElementById('cameraGuideCanvas');
+    overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+    document.getElementById('cameraLive').classList.remove('guiding', 'tracking', 'ready');
+    document.getElementById('cameraGuideText').textContent = 'จัดวางแผนงานให้อยู่ในกรอบ';
+    document.getElementById('btnCapture').style.removeProperty('--auto-progress');
+}
+
+function scheduleGuideTick() {
+    const guide = cameraGuide;
+    guide.timer = setTimeout(async () => {
+        try {
+            await guideTick(guide);
+        } catch { /* a bad frame should not stop the loop */ }
+        if (cameraGuide === guide) scheduleGuideTick();
+    }, GUIDE_INTERVAL_MS);
+}
+
+async function guideTick(guide) {
+    const video = guide.video;
+    if (video.readyState < 2 || !video.videoWidth) return;
+
+    const w = GUIDE_SAMPLE_WIDTH;
+    const h = Math.round(w * video.videoHeight / video.videoWidth);
+    guide.sample.width = w;
+    guide.sample.height = h;
+    const ctx = guide.sample.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, w, h);
+    const rgba = ctx.getImageData(0, 0, w, h).data;
+
+    const gray = new Uint8Array(w * h);
+    let lumaSum = 0;
+    for (let i = 0; i < gray.length; i++) {
+        const o = i * 4;
+        gray[i] = (rgba[o] * 77 + rgba[o + 1] * 150 + rgba[o + 2] * 29) >> 8;
+        lumaSum += gray[i];
+    }
+    const luma = lumaSum / gray.length;
+    const sharpness = laplacianVariance(gray, w, h);
+    const motion = guide.prevGray ? meanAbsDiff(gray, guide.prevGray) : Infinity;
+    guide.prevGray = gray;
+
+    // Corner QRs win when at least three are readable; otherwise the plan blob
+    let quad = null;
+    if (guide.qrDetector) {
+        quad = await detectQrQuad(guide.qrDetector, video, w / video.videoWidth);
+        if (cameraGuide !== guide) return;
+    }
+    if (!quad) quad = detectPlanQuad(rgba, w, h);
+
+    const hint = guideHint({ quad, luma, sharpness, motion, w, h });
+    const ready = hint === null;
+
+    const now = performance.now();
+    if (!ready) guide.readySince = null;
+    else if (guide.readySince === null) guide.readySince = now;
+
+    const auto = document.getElementById('btnAutoCapture').classList.contains('active');
+    const progress = ready && auto ? Math.min(1, (now - guide.readySince) / GUIDE_STABLE_MS) : 0;
+
+    drawGuideQuad(guide, quad, ready, w);
+    const live = document.getElementById('cameraLive');
+    live.classList.toggle('tracking', !!quad);
+    live.classList.toggle('ready', ready);
+    document.getElementById('cameraGuideText').textContent =
+        hint ?? (auto ? 'พร้อม — ถือนิ่ง ๆ กำลังถ่าย...' : 'พร้อมถ่าย');
+    document.getElementById('btnCapture').style.setProperty('--auto-progress', `${progress * 360}deg`);
+
+    if (progress >= 1) {
+        stopCameraGuide();
+        capturePhoto();
+    }
+}
+
+function guideHint({ quad, luma, sharpness, motion, w, h }) {
+    if (luma < GUIDE_MIN_LUMA) return 'มืดเกินไป — เปิดไฟหรือหาที่สว่างขึ้น';
+    if (!quad) return 'หาแผนไม่เจอ — จัดแผนงานให้อยู่ในกรอบ';
+
+    const mx = w * GUIDE_EDGE_MARGIN, my = h * GUIDE_EDGE_MARGIN;
+    if (quad.points.some(p => p.x < mx || p.y < my || p.x > w - mx || p.y > h - my))
+        return 'ถอยออกอีกนิด — ให้เห็นขอบแผนครบทั้ง 4 มุม';
+    if (polygonArea(quad.points) / (w * h) < GUIDE_MIN_AREA) return 'ขยับเข้าใกล้อีกนิด';
+
+    const [tl, tr, br, bl] = quad.points;
+    const sideRatio = (a, b) => Math.max(a, b) / Math.max(1, Math.min(a, b));
+    if (sideRatio(dist(tl, tr), dist(bl, br)) > GUIDE_MAX_SIDE_RATIO ||
+        sideRatio(dist(tl, bl), dist(tr, br)) > GUIDE_MAX_SIDE_RATIO)
+        return 'กล้องเอียง — ถือให้ขนานกับแผ่นงาน';
+
+    if (motion > GUIDE_MAX_MOTION) return 'ถือนิ่ง ๆ';
+    if (sharpness < GUIDE_MIN_SHARPNESS) return 'ภาพไม่คม — ถือนิ่ง ๆ หรือแตะเพื่อโฟกัส';
+    return null;
+}
+
+// ── Corner QRs (browser BarcodeDetector, same tags and corner rule as QrPerspectiveCorrector) ──
+async function detectQrQuad(detector, video, scale) {
+    const codes = await detector.detect(video);
+    const byTag = {};
+    codes.forEach(code => {
+        const tag = (code.rawValue || '').trim().toUpperCase();
+        if (!['TL', 'TR', 'BR', 'BL'].includes(tag) || byTag[tag] || !(code.cornerPoints?.length >= 4)) return;
+        const pts = code.cornerPoints.map(p => ({ x: p.x * scale, y: p.y * scale }));
+        byTag[tag] = extremeCorner(tag, pts);
+    });
+
+    const found = Object.keys(byTag);
+    if (found.length < 3) return null;
+    if (found.length === 3) {
+        // Parallelogram: TL + BR = TR + BL
+        const missing = ['TL', 'TR', 'BR', 'BL'].find(t => !byTag[t]);
+        const add = (a, b, c) => ({ x: a.x + b.x - c.x, y: a.y + b.y - c.y });
+        byTag[missing] = {
+            TL: () => add(byTag.TR, byTag.BL, byTag.BR),
+            TR: () => add(byTag.TL, byTag.BR, byTag.BL),
+            BR: () => add(byTag.TR, byTag.BL, byTag.TL),
+            BL: () => add(byTag.TL, byTag.BR, byTag.TR)
+        }[missing]();
+    }
+    return { method: 'qr', points: [byTag.TL, byTag.TR, byTag.BR, byTag.BL] };
+}
+
+function extremeCorner(tag, pts) {
+    const score = {
+        TL: p => -(p.x + p.y),
+        TR: p => p.x - p.y,
+        BR: p => p.x + p.y,
+        BL: p => -(p.x - p.y)
+    }[tag];
+    return pts.reduce((best, p) => score(p) > score(best) ? p : best);
+}
+
+// ── Plan blob: largest non-white region, corners by the same extreme-point rule ──
+function detectPlanQuad(rgba, w, h) {
+    const mask = new Uint8Array(w * h);
+    for (let i = 0; i < mask.length; i++) {
+        const o = i * 4;
+        const max = Math.max(rgba[o], rgba[o + 1], rgba[o + 2]);
+        const min = Math.min(rgba[o], rgba[o + 1], rgba[o + 2]);
+        const sat = max === 0 ? 0 : (max - min) * 255 / max;
+        // Same cut-offs as TemplateMaskService: coloured (S > 25) or darker than paper (V < 200)
+        mask[i] = sat > 25 || max < 200 ? 1 : 0;
+    }
+
+    const labels = new Int32Array(w * h);
+    const queue = new Int32Array(w * h);
+    let best = null;
+    let label = 0;
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+        label++;
+        let head = 0, tail = 0, count = 0;
+        let tl = null, tr = null, br = null, bl = null;
+        queue[tail++] = start;
+        labels[start] = label;
+
+        while (head < tail) {
+            const i = queue[head++];
+            const x = i % w, y = (i - x) / w;
+            count++;
+            if (!tl || x + y < tl.x + tl.y) tl = { x, y };
+            if (!br || x + y > br.x + br.y) br = { x, y };
+            if (!tr || x - y > tr.x - tr.y) tr = { x, y };
+            if (!bl || x - y < bl.x - bl.y) bl = { x, y };
+
+            if (x > 0 && mask[i - 1] && !labels[i - 1]) { labels[i - 1] = label; queue[tail++] = i - 1; }
+            if (x < w - 1 && mask[i + 1] && !labels[i + 1]) { labels[i + 1] = label; queue[tail++] = i + 1; }
+            if (y > 0 && mask[i - w] && !labels[i - w]) { labels[i - w] = label; queue[tail++] = i - w; }
+            if (y < h - 1 && mask[i + w] && !labels[i + w]) { labels[i + w] = label; queue[tail++] = i + w; }
+        }
+
+        if (!best || count > best.count) best = { count, points: [tl, tr, br, bl] };
+    }
+
+    // Ignore specks; MinPlanFraction on the server is 5%
+    if (!best || best.count < w * h * 0.05) return null;
+    return { method: 'plan', points: best.points };
+}
+
+function laplacianVariance(gray, w, h) {
+    let sum = 0, sumSq = 0, n = 0;
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            const i = y * w + x;
+            const v = gray[i - 1] + gray[i + 1] + gray[i - w] + gray[i + w] - 4 * gray[i];
+            sum += v;
+            sumSq += v * v;
+            n++;
+        }
+    }
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+}
+
+function meanAbsDiff(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function polygonArea(pts) {
+    let area = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(area) / 2;
+}
+
+// The video is object-fit: cover, so map sample coords through the same crop
+function drawGuideQuad(guide, quad, ready, sampleWidth) {
+    const canvas = document.getElementById('cameraGuideCanvas');
+    const cw = canvas.clientWidth, ch = canvas.clientHeight;
+    if (canvas.width !== cw || canvas.height !== ch) {
+        canvas.width = cw;
+        canvas.height = ch;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, cw, ch);
+    if (!quad) return;
+
+    const { videoWidth: vw, videoHeight: vh } = guide.video;
+    const scale = Math.max(cw / vw, ch / vh);
+    const ox = (cw - vw * scale) / 2, oy = (ch - vh * scale) / 2;
+    const k = vw / sampleWidth * scale;
+    const pts = quad.points.map(p => ({ x: ox + p.x * k, y: oy + p.y * k }));
+
+    const color = ready ? '16,185,129' : '245,158,11';
+    ctx.beginPath();
+    pts.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${color},0.15)`;
+    ctx.fill();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = `rgba(${color},0.95)`;
+    ctx.stroke();
+
+    ctx.fillStyle = `rgb(${color})`;
+    pts.forEach(p => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, quad.method === 'qr' ? 7 : 5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
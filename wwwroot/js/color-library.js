@@ -0,0 +1,230 @@
+// Named colour profiles shared across orders. An order links to one and follows it,
+// or keeps its own colours on top of the link (override) until it is linked again.
+let colorLibrary = [];
+let colorProfileLink = null;
+
+function initColorLibrary() {
+    document.getElementById('colorLibrarySearch').addEventListener('input', renderColorLibrary);
+    document.getElementById('btnSaveToLibrary').addEventListener('click', saveToColorLibrary);
+}
+
+// Called by openColorSettings with the order's effective profile (or null)
+async function loadColorLibrary(profile) {
+    colorProfileLink = profile?.libraryProfileId
+        ? { id: profile.libraryProfileId, name: profile.libraryProfileName, source: profile.source }
+        : null;
+    document.getElementById('colorLibrarySearch').value = '';
+    document.getElementById('colorLibraryName').value = colorProfileLink?.name || '';
+    renderColorProfileSource(profile);
+
+    colorLibrary = [];
+    renderColorLibrary();
+    try {
+        const res = await fetch(`${API}/color-library`);
+        if (res.ok) colorLibrary = await res.json();
+    } catch {}
+    renderColorLibrary();
+}
+
+function renderColorProfileSource(profile) {
+    const el = document.getElementById('colorProfileSource');
+    if (!profile) {
+        el.style.display = 'none';
+        return;
+    }
+
+    const name = escapeHtml(profile.libraryProfileName);
+    if (profile.source === 'library') {
+        el.innerHTML = `<i class="bi bi-link-45deg"></i> ใช้โปรไฟล์ “${name}” จากคลัง`;
+    } else if (profile.source === 'override') {
+        el.innerHTML = `<i class="bi bi-pencil-square"></i> ปรับสีเฉพาะ Order นี้ (อิงจาก “${name}”)
+            <button class="color-library-relink" data-requires="admin">กลับไปใช้ค่าจากคลัง</button>`;
+        el.querySelector('.color-library-relink')
+            .addEventListener('click', () => linkColorLibraryProfile(profile.libraryProfileId));
+    } else {
+        el.innerHTML = '<i class="bi bi-sliders"></i> ตั้งค่าเฉพาะ Order นี้';
+    }
+    el.className = `color-profile-source ${profile.source}`;
+    el.style.display = 'flex';
+}
+
+function renderColorLibrary() {
+    const list = document.getElementById('colorLibraryList');
+    const query = document.getElementById('colorLibrarySearch').value.trim().toLowerCase();
+    const shown = colorLibrary.filter(p => !query || p.name.toLowerCase().includes(query));
+
+    if (shown.length === 0) {
+        list.innerHTML = `<div class="color-library-empty">${colorLibrary.length === 0
+            ? 'ยังไม่มีโปรไฟล์ในคลัง'
+            : 'ไม่พบโปรไฟล์ที่ค้นหา'}</div>`;
+    } else {
+        list.innerHTML = shown.map(colorLibraryItemHtml).join('');
+        list.querySelectorAll('.color-library-item').forEach(item => {
+            const id = parseInt(item.dataset.id);
+            item.querySelector('.color-library-use')?.addEventListener('click', () => linkColorLibraryProfile(id));
+            item.querySelector('.color-library-delete')?.addEventListener('click', () => deleteColorLibraryProfile(id));
+        });
+    }
+    renderColorLibraryUsage();
+}
+
+function colorLibraryItemHtml(p) {
+    const linked = colorProfileLink?.id === p.id;
+    const dots = p.colors.map(c =>
+        `<span class="color-library-dot ${c.colorGroup}" style="background:${escapeHtml(c.hexColor)}" title="${escapeHtml(c.hexColor)}"></span>`).join('');
+    const inUse = p.usageCount + p.overrideCount;
+    return `
+        <div class="color-library-item${linked ? ' linked' : ''}" data-id="${p.id}">
+            <div class="color-library-info">
+                <div class="color-library-name">${escapeHtml(p.name)}</div>
+                <div class="color-library-meta">
+                    <span class="color-library-dots">${dots}</span>
+                    <span>Tolerance ${p.tolerance}</span>
+                    <span>· ใช้ ${inUse.toLocaleString()} Order</span>
+                </div>
+            </div>
+            ${linked && colorProfileLink.source === 'library'
+                ? '<span class="color-library-current"><i class="bi bi-check2"></i> ใช้อยู่</span>'
+                : '<button class="color-library-use" data-requires="admin">ใช้</button>'}
+            ${inUse === 0
+                ? '<button class="color-library-delete" data-requires="admin" title="ลบจากคลัง"><i class="bi bi-trash3"></i></button>'
+                : ''}
+        </div>`;
+}
+
+// Editing the linked profile changes every order that follows it, so say how many
+function renderColorLibraryUsage() {
+    const el = document.getElementById('colorLibraryUsage');
+    const linked = colorProfileLink && colorLibrary.find(p => p.id === colorProfileLink.id);
+    if (!linked) {
+        el.textContent = 'บันทึกสีชุดนี้เป็นโปรไฟล์ใหม่ เพื่อใช้กับ Order อื่นที่ลายเดียวกัน';
+        return;
+    }
+    el.textContent = linked.overrideCount > 0
+        ? `“${linked.name}” ใช้อยู่ ${linked.usageCount.toLocaleString()} Order และปรับสีเองอีก ${linked.overrideCount.toLocaleString()} Order`
+        : `“${linked.name}” ใช้อยู่ ${linked.usageCount.toLocaleString()} Order`;
+}
+
+async function linkColorLibraryProfile(id) {
+    const orderNo = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!orderNo || !requireRole('admin')) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/color-profile/${encodeURIComponent(orderNo)}/library`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ libraryProfileId: id })
+        });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'ใช้โปรไฟล์ไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        const profile = await res.json();
+        fillColorSettings(profile);
+        currentData.hasColorProfile = true;
+        setColorProfileIndicator(true);
+        toast(`ใช้โปรไฟล์ “${profile.libraryProfileName}” แล้ว`, 'success');
+        await loadColorLibrary(profile);
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Saves the swatches under the typed name: updates the linked profile when the name is
+// unchanged, otherwise creates a new one. The order then follows the saved profile.
+async function saveToColorLibrary() {
+    const name = document.getElementById('colorLibraryName').value.trim();
+    const colors = selectedProfileColors();
+    if (!name) {
+        toast('กรุณาระบุชื่อโปรไฟล์', 'error');
+        return;
+    }
+    if (colors.length === 0) {
+        toast('กรุณาเลือกสีอย่างน้อย 1 สี', 'error');
+        return;
+    }
+    if (!requireRole('admin')) return;
+
+    const linked = colorProfileLink && colorLibrary.find(p => p.id === colorProfileLink.id);
+    const updating = linked && linked.name.toLowerCase() === name.toLowerCase();
+    if (updating) {
+        const others = linked.usageCount - (colorProfileLink.source === 'library' ? 1 : 0);
+        if (others > 0) {
+            const confirmed = await showConfirm({
+                icon: 'bi-collection',
+                title: `แก้โปรไฟล์ “${linked.name}”?`,
+                desc: `มีอีก ${others.toLocaleString()} Order ที่ใช้โปรไฟล์นี้ จะเปลี่ยนสีตามไปด้วย`,
+                okText: 'บันทึก',
+                okClass: ''
+            });
+            if (!confirmed) return;
+        }
+    }
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/color-library`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: updating ? linked.id : null,
+                name,
+                tolerance: parseInt(document.getElementById('toleranceSlider').value),
+                colors
+            })
+        });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'บันทึกลงคลังไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        const saved = await res.json();
+        toast(updating ? 'แก้โปรไฟล์ในคลังสำเร็จ' : 'บันทึกลงคลังสำเร็จ', 'success');
+        await linkColorLibraryProfile(saved.id);
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteColorLibraryProfile(id) {
+    const profile = colorLibrary.find(p => p.id === id);
+    if (!profile) return;
+
+    const confirmed = await showConfirm({
+        icon: 'bi-trash3',
+        title: `ลบ “${profile.name}” จากคลัง?`,
+        desc: 'ไม่มี Order ใดใช้โปรไฟล์นี้อยู่',
+        okText: 'ลบเลย',
+        okClass: 'danger'
+    });
+    if (!confirmed || !requireRole('admin')) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/color-library/${id}`, { method: 'DELETE' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'ลบโปรไฟล์ไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        toast('ลบโปรไฟล์สำเร็จ', 'success');
+        colorLibrary = colorLibrary.filter(p => p.id !== id);
+        renderColorLibrary();
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
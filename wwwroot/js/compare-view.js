@@ -0,0 +1,185 @@
+// Before/after of two evidence photos of the open order. The server warps both into
+// the order template's frame when one exists, so the slider lines up.
+let compareMode = 'slider';
+let compareShownKey = null;
+let compareData = null;
+
+function initCompareView() {
+    document.getElementById('compareBefore').addEventListener('change', fetchComparison);
+    document.getElementById('compareAfter').addEventListener('change', fetchComparison);
+    document.querySelectorAll('.compare-mode').forEach(btn => {
+        btn.addEventListener('click', () => {
+            compareMode = btn.dataset.mode;
+            document.querySelectorAll('.compare-mode').forEach(b => b.classList.toggle('active', b === btn));
+            renderComparison();
+        });
+    });
+}
+
+// Called when the modal opens for a (possibly different) order
+function resetCompareView() {
+    compareShownKey = null;
+    compareData = null;
+    document.getElementById('compareBefore').innerHTML = '';
+    document.getElementById('compareAfter').innerHTML = '';
+}
+
+// Picks from the records loaded in the list tab, so "load more" widens the choice
+function loadCompareView() {
+    const records = historyAllRecords.filter(h => h.evidenceImagePath);
+    const enough = records.length >= 2;
+    document.getElementById('noCompare').style.display = enough ? 'none' : 'block';
+    ['comparePick', 'compareModes', 'compareNote', 'compareStage'].forEach(id => {
+        document.getElementById(id).style.display = enough ? '' : 'none';
+    });
+    if (!enough) return;
+
+    const beforeEl = document.getElementById('compareBefore');
+    const afterEl = document.getElementById('compareAfter');
+    const keep = [beforeEl.value, afterEl.value];
+    const options = records.map(h => `<option value="${h.id}">${compareOptionLabel(h)}</option>`).join('');
+    beforeEl.innerHTML = options;
+    afterEl.innerHTML = options;
+
+    // Default to the oldest and newest photos loaded
+    const ids = records.map(h => String(h.id));
+    beforeEl.value = ids.includes(keep[0]) ? keep[0] : ids[ids.length - 1];
+    afterEl.value = ids.includes(keep[1]) ? keep[1] : ids[0];
+    fetchComparison();
+}
+
+function compareOptionLabel(h) {
+    const d = new Date(h.createdAt);
+    const date = new Date(h.workDate.split('T')[0] + 'T00:00:00').toLocaleDateString('th-TH', {
+        day: '2-digit', month: 'short', year: '2-digit'
+    });
+    const time = d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+    return `${date} ${time} · รวม ${Math.min(h.computedTotalPercent, 100)}%`;
+}
+
+async function fetchComparison() {
+    const beforeId = document.getElementById('compareBefore').value;
+    const afterId = document.getElementById('compareAfter').value;
+    const key = `${beforeId}-${afterId}`;
+    if (key === compareShownKey) return;
+    compareShownKey = key;
+
+    const stage = document.getElementById('compareStage');
+    const note = document.getElementById('compareNote');
+    compareData = null;
+    note.textContent = '';
+    if (beforeId === afterId) {
+        stage.innerHTML = '';
+        note.textContent = 'กรุณาเลือก 2 รายการที่ต่างกัน';
+        return;
+    }
+
+    stage.innerHTML = '<div class="audit-loading"><span class="inline-spinner dark"></span> กำลังจัดแนวรูป...</div>';
+    try {
+        const res = await fetch(`${API}/compare?beforeId=${beforeId}&afterId=${afterId}`);
+        const data = await res.json().catch(() => ({}));
+        // The pickers moved on while this one was in flight
+        if (key !== compareShownKey) return;
+        if (!res.ok) {
+            stage.innerHTML = '';
+            note.textContent = data.message || 'โหลดรูปไม่สำเร็จ';
+            return;
+        }
+        compareData = data;
+        renderComparison();
+    } catch {
+        if (key !== compareShownKey) return;
+        stage.innerHTML = '';
+        compareShownKey = null;
+        toast('โหลดรูปไม่สำเร็จ', 'error');
+    }
+}
+
+function renderComparison() {
+    const stage = document.getElementById('compareStage');
+    const note = document.getElementById('compareNote');
+    if (!compareData) return;
+
+    const { before, after } = compareData;
+    const delta = Math.round((after.totalPercent - before.totalPercent) * 100) / 100;
+    note.innerHTML = `
+        <span class="compare-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}">รวม ${delta > 0 ? '+' : ''}${delta}%</span>
+        ${compareData.aligned
+            ? '<span class="compare-aligned"><i class="bi bi-bounding-box"></i> จัดแนวตาม Template</span>'
+            : `<span>${escapeHtml(compareData.alignNote || '')}</span>`}`;
+
+    if (compareMode === 'side') {
+        stage.innerHTML = `
+            <div class="compare-side">
+                ${compareFigure(before, 'ก่อน')}
+                ${compareFigure(after, 'หลัง')}
+            </div>`;
+        stage.querySelectorAll('.compare-side img').forEach(img => {
+            img.addEventListener('click', () => viewImage(img.src));
+        });
+        return;
+    }
+
+    stage.innerHTML = `
+        <div class="compare-slider" style="--pos:50%">
+            <img class="compare-img" src="${after.image}" alt="" draggable="false" />
+            <img class="compare-img before" src="${before.image}" alt="" draggable="false" />
+            <div class="compare-handle" tabindex="0" role="slider" aria-label="เลื่อนเปรียบเทียบ"
+                 aria-valuemin="0" aria-valuemax="100" aria-valuenow="50">
+                <span><i class="bi bi-arrows-expand-vertical"></i></span>
+            </div>
+            <span class="compare-tag left">ก่อน · ${compareDateLabel(before)}</span>
+            <span class="compare-tag right">หลัง · ${compareDateLabel(after)}</span>
+        </div>`;
+    bindCompareSlider(stage.querySelector('.compare-slider'));
+}
+
+function compareFigure(side, label) {
+    return `
+        <figure>
+            <img src="${side.image}" alt="" />
+            <figcaption>
+                <strong>${label} · ${compareDateLabel(side)}</strong>
+                <span class="normal">ปกติ ${side.normalPercent}%</span>
+                <span class="ot">OT ${side.otPercent}%</span>
+                <span class="total">รวม ${side.totalPercent}%</span>
+            </figcaption>
+        </figure>`;
+}
+
+function compareDateLabel(side) {
+    return new Date(side.workDate + 'T00:00:00').toLocaleDateString('th-TH', { day: '2-digit', month: 'short' });
+}
+
+function bindCompareSlider(slider) {
+    const handle = slider.querySelector('.compare-handle');
+    const setPos = pct => {
+        pct = Math.max(0, Math.min(100, pct));
+        slider.style.setProperty('--pos', `${pct}%`);
+        handle.setAttribute('aria-valuenow', Math.round(pct));
+    };
+    const fromPointer = e => {
+        const rect = slider.getBoundingClientRect();
+        setPos((e.clientX - rect.left) / rect.width * 100);
+    };
+
+    slider.addEventListener('pointerdown', e => {
+        slider.setPointerCapture(e.pointerId);
+        slider.classList.add('dragging');
+        fromPointer(e);
+    });
+    slider.addEventListener('pointermove', e => {
+        if (slider.hasPointerCapture(e.pointerId)) fromPointer(e);
+    });
+    slider.addEventListener('pointerup', () => slider.classList.remove('dragging'));
+    slider.addEventListener('pointercancel', () => slider.classList.remove('dragging'));
+
+    handle.addEventListener('keydown', e => {
+        const step = e.shiftKey ? 10 : 2;
+        const now = Number(handle.getAttribute('aria-valuenow'));
+        if (e.key === 'ArrowLeft') setPos(now - step);
+        else if (e.key === 'ArrowRight') setPos(now + step);
+        else return;
+        e.preventDefault();
+    });
+}
@@ -0,0 +1,145 @@
+// Manual four-corner crop. Corners are [TL, TR, BR, BL] normalised 0–1 to the
+// uploaded photo (currentImage), the same space /analyze reports planCorners in.
+const CORNER_DEFAULT_INSET = 0.05;
+
+let detectedCorners = null;
+let manualCorners = null;
+let cornerEdit = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('btnOpenCornerEditor').addEventListener('click', openCornerEditor);
+    document.getElementById('btnCornerReset').addEventListener('click', resetCornerEdit);
+    document.getElementById('btnCornerAuto').addEventListener('click', clearManualCorners);
+    document.getElementById('btnCornerApply').addEventListener('click', applyManualCorners);
+
+    document.querySelectorAll('.corner-handle').forEach((handle, i) => {
+        handle.addEventListener('pointerdown', e => onCornerPointerDown(e, i));
+        handle.addEventListener('pointermove', onCornerPointerMove);
+        handle.addEventListener('pointerup', onCornerPointerUp);
+        handle.addEventListener('pointercancel', onCornerPointerUp);
+    });
+});
+
+// Called on every new photo: manual corners belong to the photo they were placed on
+function resetCornerState() {
+    detectedCorners = null;
+    manualCorners = null;
+    cornerEdit = null;
+    updateCornerButton();
+}
+
+// Called by analyzeImage; keeps the last detection to pre-fill the editor
+function setDetectedCorners(corners) {
+    if (!manualCorners) detectedCorners = isCornerList(corners) ? corners : null;
+    updateCornerButton();
+}
+
+function isCornerList(corners) {
+    return Array.isArray(corners) && corners.length === 4
+        && corners.every(p => p && isFinite(p.x) && isFinite(p.y));
+}
+
+function defaultCorners() {
+    const a = CORNER_DEFAULT_INSET, b = 1 - CORNER_DEFAULT_INSET;
+    return [{ x: a, y: a }, { x: b, y: a }, { x: b, y: b }, { x: a, y: b }];
+}
+
+function cloneCorners(corners) {
+    return corners.map(p => ({ x: p.x, y: p.y }));
+}
+
+function updateCornerButton() {
+    document.getElementById('btnOpenCornerEditor').classList.toggle('active', !!manualCorners);
+}
+
+function openCornerEditor() {
+    if (!currentImage) return;
+    cornerEdit = {
+        points: cloneCorners(manualCorners || detectedCorners || defaultCorners()),
+        dragging: -1
+    };
+    document.getElementById('cornerEditorImg').src = currentImage;
+    document.getElementById('btnCornerAuto').style.display = manualCorners ? 'flex' : 'none';
+    renderCornerEditor();
+    document.activeElement?.blur();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('cornerEditorModal')).show();
+}
+
+function renderCornerEditor() {
+    const pts = cornerEdit.points;
+    document.querySelectorAll('.corner-handle').forEach((handle, i) => {
+        handle.style.left = `${pts[i].x * 100}%`;
+        handle.style.top = `${pts[i].y * 100}%`;
+        handle.classList.toggle('dragging', cornerEdit.dragging === i);
+    });
+    document.getElementById('cornerEditorPolygon')
+        .setAttribute('points', pts.map(p => `${p.x},${p.y}`).join(' '));
+    document.getElementById('btnCornerApply').disabled = !isConvexQuad(pts);
+}
+
+// Same rule as the server's ValidateQuad: every turn in the same direction
+function isConvexQuad(pts) {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = pts[i], b = pts[(i + 1) % 4], c = pts[(i + 2) % 4];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        if (Math.abs(cross) < 1e-9) return false;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+}
+
+function onCornerPointerDown(e, index) {
+    if (!cornerEdit) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    cornerEdit.dragging = index;
+    renderCornerEditor();
+}
+
+function onCornerPointerMove(e) {
+    if (!cornerEdit || cornerEdit.dragging < 0) return;
+    const rect = document.getElementById('cornerEditorImg').getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    const clamp = v => Math.min(1, Math.max(0, v));
+    cornerEdit.points[cornerEdit.dragging] = {
+        x: clamp((e.clientX - rect.left) / rect.width),
+        y: clamp((e.clientY - rect.top) / rect.height)
+    };
+    renderCornerEditor();
+}
+
+function onCornerPointerUp() {
+    if (!cornerEdit || cornerEdit.dragging < 0) return;
+    cornerEdit.dragging = -1;
+    renderCornerEditor();
+}
+
+function resetCornerEdit() {
+    if (!cornerEdit) return;
+    cornerEdit.points = cloneCorners(detectedCorners || defaultCorners());
+    renderCornerEditor();
+}
+
+function closeCornerEditor() {
+    bootstrap.Modal.getInstance(document.getElementById('cornerEditorModal'))?.hide();
+}
+
+async function applyManualCorners() {
+    if (!cornerEdit || !isConvexQuad(cornerEdit.points)) return;
+    manualCorners = cornerEdit.points.map(p => ({
+        x: Math.round(p.x * 10000) / 10000,
+        y: Math.round(p.y * 10000) / 10000
+    }));
+    updateCornerButton();
+    closeCornerEditor();
+    await analyzeImage(currentImage);
+}
+
+async function clearManualCorners() {
+    manualCorners = null;
+    updateCornerButton();
+    closeCornerEditor();
+    await analyzeImage(currentImage);
+}
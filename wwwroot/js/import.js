@@ -0,0 +1,136 @@
+const API = '/api/ApiWorkProgress';
+const IMPORT_STATUS_LABELS = { new: 'ใหม่', changed: 'เปลี่ยนแปลง' };
+
+// The previewed file; committing re-sends exactly these bytes
+let importFile = null;
+let importCanCommit = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const el = document.getElementById('loading-overlay');
+    el.classList.add('hidden');
+    setTimeout(() => el.style.display = 'none', 300);
+
+    document.getElementById('importFile').addEventListener('change', onImportFileChange);
+    document.getElementById('btnImportPreview').addEventListener('click', () => runImport(true));
+    document.getElementById('btnImportCommit').addEventListener('click', () => runImport(false));
+    checkImportAccess();
+});
+
+// The endpoint is admin-only; the login modal lives on the scan page
+async function checkImportAccess() {
+    let role = null;
+    try {
+        const res = await fetch('/api/ApiAuth/me');
+        if (res.ok) role = (await res.json()).role;
+    } catch { /* offline: treated as signed out */ }
+
+    if (role === 'admin') {
+        document.getElementById('importPanel').style.display = 'block';
+        return;
+    }
+    document.getElementById('importDeniedText').textContent = role
+        ? 'หน้านี้สำหรับผู้ดูแลระบบเท่านั้น'
+        : 'กรุณาเข้าสู่ระบบด้วยบัญชีผู้ดูแลระบบที่หน้าสแกนก่อน';
+    document.getElementById('importDenied').style.display = 'block';
+}
+
+function onImportFileChange(e) {
+    const file = e.target.files[0];
+    importFile = null;
+    importCanCommit = false;
+    document.getElementById('importMessage').textContent = '';
+    document.getElementById('importResult').style.display = 'none';
+    document.getElementById('btnImportPreview').disabled = !file;
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => { importFile = { name: file.name, base64: reader.result }; };
+    reader.onerror = () => {
+        document.getElementById('btnImportPreview').disabled = true;
+        renderImportError('อ่านไฟล์ไม่สำเร็จ');
+    };
+    reader.readAsDataURL(file);
+}
+
+async function runImport(dryRun) {
+    if (!importFile) return;
+    const btn = document.getElementById(dryRun ? 'btnImportPreview' : 'btnImportCommit');
+    const label = btn.innerHTML;
+    btn.disabled = true;
+    btn.innerHTML = '<span class="inline-spinner"></span> กำลังประมวลผล...';
+    document.getElementById('importMessage').textContent = '';
+    try {
+        const res = await fetch(`${API}/import/barcodes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileName: importFile.name, fileBase64: importFile.base64, dryRun })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            if (data.result) renderImportResult(data.result);
+            renderImportError(res.status === 401 || res.status === 403
+                ? 'ไม่มีสิทธิ์นำเข้าข้อมูล'
+                : data.message || 'นำเข้าไม่สำเร็จ');
+            return;
+        }
+        renderImportResult(data);
+    } catch {
+        renderImportError('นำเข้าไม่สำเร็จ');
+    } finally {
+        btn.innerHTML = label;
+        btn.disabled = dryRun ? !importFile : !importCanCommit;
+    }
+}
+
+function renderImportResult(r) {
+    document.getElementById('importResult').style.display = 'block';
+    document.getElementById('importNew').textContent = r.newCount;
+    document.getElementById('importChanged').textContent = r.changedCount;
+    document.getElementById('importUnchanged').textContent = r.unchangedCount;
+    document.getElementById('importErrorCount').textContent = r.errors.length;
+
+    const ignored = r.ignoredColumns.length
+        ? ` · ไม่ใช้: ${r.ignoredColumns.map(escapeHtml).join(', ')}`
+        : '';
+    document.getElementById('importColumns').innerHTML =
+        `คอลัมน์ที่พบ: ${r.columns.map(escapeHtml).join(', ') || '-'}${ignored}`;
+
+    document.getElementById('importErrors').innerHTML = r.errors.map(e => `
+        <div class="import-error-row">
+            ${e.rowNumber ? `<span class="import-row-no">แถว ${e.rowNumber}</span>` : ''}
+            ${escapeHtml(e.message)}
+        </div>`).join('');
+
+    document.getElementById('importBody').innerHTML = r.rows.map(row => `
+        <tr>
+            <td class="muted">${row.rowNumber}</td>
+            <td class="mono">${escapeHtml(row.barcodeNo)}</td>
+            <td><span class="import-status ${row.status}">${IMPORT_STATUS_LABELS[row.status] || row.status}</span></td>
+            <td class="import-changes">${row.changes.map(importChangeHtml).join('')}</td>
+        </tr>`).join('');
+
+    const shown = r.rows.length;
+    const pending = r.newCount + r.changedCount;
+    const empty = document.getElementById('importEmpty');
+    empty.textContent = r.committed
+        ? `นำเข้าแล้ว ${r.totalRows} แถว`
+        : pending === 0
+            ? 'ข้อมูลตรงกับระบบแล้ว จะอัพเดทเฉพาะเวลาซิงค์'
+            : `แสดง ${shown} จาก ${pending} แถวที่จะเปลี่ยน`;
+    empty.style.display = r.committed || pending === 0 || shown < pending ? 'block' : 'none';
+
+    importCanCommit = !r.committed && r.errors.length === 0 && r.totalRows > 0;
+    const commit = document.getElementById('btnImportCommit');
+    commit.style.display = r.committed ? 'none' : 'flex';
+    commit.disabled = !importCanCommit;
+}
+
+function importChangeHtml(c) {
+    const after = c.after == null ? '<em>ว่าง</em>' : escapeHtml(c.after);
+    const before = c.before == null ? '' : `<span class="import-before">${escapeHtml(c.before)}</span> → `;
+    return `<span class="import-change"><b>${escapeHtml(c.field)}</b> ${before}${after}</span>`;
+}
+
+function renderImportError(msg) {
+    document.getElementById('importMessage').textContent = msg;
+}
@@ -0,0 +1,339 @@
+// Brush correction over the analysed frame. Works on the overlay layers
+// returned by /analyze, so every pixel here maps 1:1 to what the server counted.
+const EDIT_NONE = 0, EDIT_NORMAL = 1, EDIT_OT = 2, EDIT_ERASE = 3;
+const MASK_UNDO_LIMIT = 20;
+
+let maskEditor = null;
+let maskCorrection = null;
+let maskEditorLoadSeq = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('btnOpenMaskEditor').addEventListener('click', openMaskEditor);
+    document.getElementById('btnMaskUndo').addEventListener('click', undoMaskStroke);
+    document.getElementById('btnMaskReset').addEventListener('click', resetMaskEdits);
+    document.getElementById('btnMaskApply').addEventListener('click', applyMaskCorrection);
+    document.querySelectorAll('.mask-tool').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.mask-tool').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
+    const canvas = document.getElementById('maskEditorCanvas');
+    canvas.addEventListener('pointerdown', onMaskPointerDown);
+    canvas.addEventListener('pointermove', onMaskPointerMove);
+    canvas.addEventListener('pointerup', onMaskPointerUp);
+    canvas.addEventListener('pointercancel', onMaskPointerUp);
+});
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = src;
+    });
+}
+
+async function readLayerAlpha(src, width, height) {
+    const img = await loadImage(src);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3] > 0 ? 1 : 0;
+    return alpha;
+}
+
+// Called by analyzeImage with every fresh overlay; corrections never carry over.
+// Cell-mode results are counted per hex cell by majority on the server, which a
+// pixel brush can't reproduce, so they get no editor.
+async function prepareMaskEditor(overlay, cellMode = false) {
+    const seq = ++maskEditorLoadSeq;
+    maskEditor = null;
+    maskCorrection = null;
+    updateCorrectionBadge();
+    const editable = overlay && !cellMode;
+    document.getElementById('btnOpenMaskEditor').style.display = editable ? 'flex' : 'none';
+    if (!editable) return;
+
+    try {
+        const { width, height } = overlay;
+        const [base, plan, normal, ot] = await Promise.all([
+            loadImage(overlay.baseImage),
+            readLayerAlpha(overlay.planMask, width, height),
+            readLayerAlpha(overlay.normalMask, width, height),
+            readLayerAlpha(overlay.otMask, width, height)
+        ]);
+        if (seq !== maskEditorLoadSeq) return;
+        maskEditor = {
+            width, height, base, plan, normal, ot,
+            planCount: plan.reduce((sum, v) => sum + v, 0),
+            edits: new Uint8Array(width * height),
+            undo: [],
+            drawing: false,
+            last: null,
+            frame: null
+        };
+    } catch {
+        if (seq === maskEditorLoadSeq) document.getElementById('btnOpenMaskEditor').style.display = 'none';
+    }
+}
+
+function openMaskEditor() {
+    if (!maskEditor) return;
+    const canvas = document.getElementById('maskEditorCanvas');
+    canvas.width = maskEditor.width;
+    canvas.height = maskEditor.height;
+    renderMaskEditor();
+    document.activeElement?.blur();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('maskEditorModal')).show();
+}
+
+function finalMaskClass(i) {
+    const m = maskEditor;
+    if (!m.plan[i]) return EDIT_NONE;
+    const e = m.edits[i];
+    if (e === EDIT_NORMAL || e === EDIT_OT) return e;
+    if (e === EDIT_ERASE) return EDIT_NONE;
+    if (m.ot[i]) return EDIT_OT;
+    if (m.normal[i]) return EDIT_NORMAL;
+    return EDIT_NONE;
+}
+
+// Counts what finalMaskClass renders, so a pixel detected as both is OT only;
+// rounded to 2 decimals, total capped at 100 like ComputePercent on the server
+function computeCorrectedPercent() {
+    const m = maskEditor;
+    let normalPx = 0, otPx = 0;
+    for (let i = 0; i < m.edits.length; i++) {
+        const c = finalMaskClass(i);
+        if (c === EDIT_NORMAL) normalPx++;
+        else if (c === EDIT_OT) otPx++;
+    }
+    if (m.planCount === 0) return { normal: 0, ot: 0, total: 0 };
+    const normal = Math.round(normalPx / m.planCount * 10000) / 100;
+    const ot = Math.round(otPx / m.planCount * 10000) / 100;
+    return { normal, ot, total: Math.min(Math.round((normal + ot) * 100) / 100, 100) };
+}
+
+function renderMaskEditor() {
+    const m = maskEditor;
+    const canvas = document.getElementById('maskEditorCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(m.base, 0, 0, m.width, m.height);
+
+    const frame = ctx.getImageData(0, 0, m.width, m.height);
+    const px = frame.data;
+    for (let i = 0; i < m.edits.length; i++) {
+        const c = finalMaskClass(i);
+        const o = i * 4;
+        if (c === EDIT_NORMAL) blendPixel(px, o, 0, 130, 220, 0.5);
+        else if (c === EDIT_OT) blendPixel(px, o, 230, 0, 0, 0.5);
+        else if (m.edits[i] === EDIT_ERASE && m.plan[i]) blendPixel(px, o, 255, 255, 255, 0.45);
+        else if (!m.plan[i]) blendPixel(px, o, 0, 0, 0, 0.45);
+    }
+    ctx.putImageData(frame, 0, 0);
+
+    const pct = computeCorrectedPercent();
+    document.getElementById('maskPctNormal').textContent = `${pct.normal}%`;
+    document.getElementById('maskPctOt').textContent = `${pct.ot}%`;
+    document.getElementById('maskPctTotal').textContent = `${pct.total}%`;
+    document.getElementById('btnMaskUndo').disabled = m.undo.length === 0;
+}
+
+function blendPixel(px, o, r, g, b, a) {
+    px[o] = px[o] * (1 - a) + r * a;
+    px[o + 1] = px[o + 1] * (1 - a) + g * a;
+    px[o + 2] = px[o + 2] * (1 - a) + b * a;
+}
+
+function scheduleMaskRender() {
+    if (maskEditor.frame) return;
+    maskEditor.frame = requestAnimationFrame(() => {
+        maskEditor.frame = null;
+        renderMaskEditor();
+    });
+}
+
+function maskPointFromEvent(e) {
+    const canvas = document.getElementById('maskEditorCanvas');
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * canvas.width / rect.width,
+        y: (e.clientY - rect.top) * canvas.height / rect.height,
+        // Slider is in screen pixels so the brush feels the same at any zoom
+        r: document.getElementById('maskBrushSize').value * canvas.width / rect.width / 2
+    };
+}
+
+function currentMaskTool() {
+    const tool = document.querySelector('.mask-tool.active')?.dataset.tool;
+    return { normal: EDIT_NORMAL, ot: EDIT_OT, erase: EDIT_ERASE }[tool] || EDIT_NORMAL;
+}
+
+function stampBrush(x, y, r, value) {
+    const m = maskEditor;
+    const r2 = r * r;
+    const x0 = Math.max(0, Math.floor(x - r)), x1 = Math.min(m.width - 1, Math.ceil(x + r));
+    const y0 = Math.max(0, Math.floor(y - r)), y1 = Math.min(m.height - 1, Math.ceil(y + r));
+    for (let py = y0; py <= y1; py++) {
+        const dy = py - y;
+        for (let px = x0; px <= x1; px++) {
+            const dx = px - x;
+            if (dx * dx + dy * dy <= r2) m.edits[py * m.width + px] = value;
+        }
+    }
+}
+
+function strokeTo(p) {
+    const m = maskEditor;
+    const value = currentMaskTool();
+    const from = m.last || p;
+    const dist = Math.hypot(p.x - from.x, p.y - from.y);
+    const steps = Math.max(1, Math.ceil(dist / Math.max(1, p.r / 2)));
+    for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        stampBrush(from.x + (p.x - from.x) * t, from.y + (p.y - from.y) * t, p.r, value);
+    }
+    m.last = p;
+    scheduleMaskRender();
+}
+
+function onMaskPointerDown(e) {
+    if (!maskEditor) return;
+    e.preventDefault();
+    e.target.setPointerCapture(e.pointerId);
+    maskEditor.undo.push(maskEditor.edits.slice());
+    if (maskEditor.undo.length > MASK_UNDO_LIMIT) maskEditor.undo.shift();
+    maskEditor.drawing = true;
+    maskEditor.last = null;
+    strokeTo(maskPointFromEvent(e));
+}
+
+function onMaskPointerMove(e) {
+    if (!maskEditor?.drawing) return;
+    e.preventDefault();
+    strokeTo(maskPointFromEvent(e));
+}
+
+function onMaskPointerUp() {
+    if (!maskEditor) return;
+    maskEditor.drawing = false;
+    maskEditor.last = null;
+}
+
+function undoMaskStroke() {
+    if (!maskEditor?.undo.length) return;
+    maskEditor.edits = maskEditor.undo.pop();
+    renderMaskEditor();
+}
+
+function resetMaskEdits() {
+    if (!maskEditor) return;
+    maskEditor.undo.push(maskEditor.edits.slice());
+    maskEditor.edits = new Uint8Array(maskEditor.width * maskEditor.height);
+    renderMaskEditor();
+}
+
+function maskLayerDataUrl(match, rgb) {
+    const m = maskEditor;
+    const canvas = document.createElement('canvas');
+    canvas.width = m.width;
+    canvas.height = m.height;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(m.width, m.height);
+    for (let i = 0; i < m.edits.length; i++) {
+        if (!match(i)) continue;
+        const o = i * 4;
+        img.data[o] = rgb[0];
+        img.data[o + 1] = rgb[1];
+        img.data[o + 2] = rgb[2];
+        img.data[o + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+// Evidence image kept with the record: the final classification, with the
+// pixels the operator erased in yellow so removed paint stays visible
+function buildCorrectionMaskDataUrl() {
+    const m = maskEditor;
+    const canvas = document.createElement('canvas');
+    canvas.width = m.width;
+    canvas.height = m.height;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(m.width, m.height);
+    for (let i = 0; i < m.edits.length; i++) {
+        const c = finalMaskClass(i);
+        let rgb;
+        if (!m.plan[i]) rgb = [51, 51, 51];
+        else if (c === EDIT_NORMAL) rgb = [0, 130, 220];
+        else if (c === EDIT_OT) rgb = [230, 0, 0];
+        else if (m.edits[i] === EDIT_ERASE && (m.normal[i] || m.ot[i])) rgb = [250, 204, 21];
+        else rgb = [229, 231, 235];
+        const o = i * 4;
+        img.data[o] = rgb[0];
+        img.data[o + 1] = rgb[1];
+        img.data[o + 2] = rgb[2];
+        img.data[o + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+// Final classes as grey levels (outside 0, plan 85, normal 170, OT 255), saved with the
+// record so the server can diff it against the previous day; see PaintDiffService
+function buildPaintMaskDataUrl() {
+    const m = maskEditor;
+    if (!m) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = m.width;
+    canvas.height = m.height;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(m.width, m.height);
+    for (let i = 0; i < m.edits.length; i++) {
+        const c = finalMaskClass(i);
+        const v = !m.plan[i] ? 0 : c === EDIT_NORMAL ? 170 : c === EDIT_OT ? 255 : 85;
+        const o = i * 4;
+        img.data[o] = v;
+        img.data[o + 1] = v;
+        img.data[o + 2] = v;
+        img.data[o + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+function applyMaskCorrection() {
+    if (!maskEditor) return;
+    const edited = maskEditor.edits.some(v => v !== EDIT_NONE);
+
+    if (edited) {
+        const pct = computeCorrectedPercent();
+        document.getElementById('resNormal').value = pct.normal;
+        document.getElementById('resOt').value = pct.ot;
+        calcTotal();
+        maskCorrection = { maskBase64: buildCorrectionMaskDataUrl() };
+    } else {
+        maskCorrection = null;
+    }
+
+    document.getElementById('overlayNormal').src =
+        maskLayerDataUrl(i => finalMaskClass(i) === EDIT_NORMAL, [0, 130, 220]);
+    document.getElementById('overlayOt').src =
+        maskLayerDataUrl(i => finalMaskClass(i) === EDIT_OT, [230, 0, 0]);
+    resetDiffPreview();
+    applyOverlayState();
+    updateCorrectionBadge();
+
+    document.activeElement?.blur();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('maskEditorModal')).hide();
+}
+
+function updateCorrectionBadge() {
+    document.getElementById('correctionBadge').style.display = maskCorrection ? 'inline-flex' : 'none';
+}
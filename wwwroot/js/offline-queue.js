@@ -0,0 +1,256 @@
+const QUEUE_DB_NAME = 'workprogress';
+const QUEUE_STORE = 'saveQueue';
+const QUEUE_RETRY_MS = 30000;
+let queueDb = null;
+let queueFlushing = false;
+let queueRetryTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    initSaveQueue();
+});
+
+async function initSaveQueue() {
+    document.getElementById('btnPendingUploads').addEventListener('click', openPendingUploads);
+    document.getElementById('btnFlushQueue').addEventListener('click', () => flushSaveQueue(true));
+    window.addEventListener('online', () => flushSaveQueue());
+
+    try {
+        queueDb = await openQueueDb();
+    } catch {
+        return;
+    }
+
+    // Anything left "uploading" was interrupted by a reload or crash
+    const items = await getQueuedSaves();
+    for (const item of items) {
+        if (item.status === 'uploading') {
+            item.status = 'pending';
+            await putQueuedSave(item);
+        }
+    }
+
+    await renderPendingUploads();
+    flushSaveQueue();
+}
+
+function openQueueDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(QUEUE_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                db.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function queueTx(mode, fn) {
+    return new Promise((resolve, reject) => {
+        const tx = queueDb.transaction(QUEUE_STORE, mode);
+        const req = fn(tx.objectStore(QUEUE_STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function getQueuedSaves() {
+    if (!queueDb) return [];
+    const items = await queueTx('readonly', store => store.getAll());
+    return (items || []).sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+function putQueuedSave(item) {
+    return queueTx('readwrite', store => store.put(item));
+}
+
+function removeQueuedSave(id) {
+    return queueTx('readwrite', store => store.delete(id));
+}
+
+function newClientRequestId() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    // randomUUID needs a secure context; the shop-floor tablets use plain http
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+function localDateString(d = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+async function enqueueSave(body) {
+    if (!queueDb) return false;
+
+    // Pin the work date and the operator now: replaying tomorrow must not land on tomorrow,
+    // and the server refuses a replay from a different session
+    const payload = {
+        ...body,
+        recordDate: body.recordDate || localDateString(),
+        queuedBy: body.queuedBy || currentOperator?.employeeCode || null
+    };
+    await putQueuedSave({
+        id: payload.clientRequestId,
+        body: payload,
+        queuedAt: Date.now(),
+        status: 'pending',
+        attempts: 0,
+        lastError: null
+    });
+    await renderPendingUploads();
+    scheduleQueueRetry();
+    return true;
+}
+
+function scheduleQueueRetry() {
+    if (queueRetryTimer) return;
+    queueRetryTimer = setTimeout(() => {
+        queueRetryTimer = null;
+        flushSaveQueue();
+    }, QUEUE_RETRY_MS);
+}
+
+async function flushSaveQueue(manual = false) {
+    if (!queueDb || queueFlushing) return;
+    if (!navigator.onLine && !manual) {
+        scheduleQueueRetry();
+        return;
+    }
+
+    queueFlushing = true;
+    let sent = 0;
+    let offline = false;
+
+    try {
+        const items = await getQueuedSaves();
+        for (const item of items) {
+            if (item.status === 'failed' && !manual) continue;
+
+            item.status = 'uploading';
+            item.attempts++;
+            await putQueuedSave(item);
+            await renderPendingUploads();
+
+            let res;
+            try {
+                res = await fetch(`${API}/save`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(item.body)
+                });
+            } catch {
+                item.status = 'pending';
+                item.lastError = 'ไม่มีการเชื่อมต่อ';
+                await putQueuedSave(item);
+                offline = true;
+                break;
+            }
+
+            if (res.ok) {
+                await removeQueuedSave(item.id);
+                sent++;
+            } else if (res.status >= 500) {
+                item.status = 'pending';
+                item.lastError = `เซิร์ฟเวอร์ตอบกลับ ${res.status}`;
+                await putQueuedSave(item);
+                offline = true;
+                break;
+            } else {
+                // 4xx will not fix itself on retry; park it for the user
+                const err = await res.json().catch(() => ({}));
+                item.status = 'failed';
+                item.lastError = err.message || `บันทึกไม่สำเร็จ (${res.status})`;
+                await putQueuedSave(item);
+            }
+        }
+    } finally {
+        queueFlushing = false;
+    }
+
+    await renderPendingUploads();
+
+    if (sent > 0) {
+        toast(`ส่งข้อมูลที่ค้างไว้สำเร็จ ${sent} รายการ`, 'success');
+        const barcode = currentData?.barcodeItem?.barcodeNo?.trim();
+        if (barcode && document.getElementById('barcodeInput').value.trim() === barcode) doScan();
+    } else if (manual && offline) {
+        toast('ยังไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้', 'error');
+    }
+
+    const remaining = await getQueuedSaves();
+    if (remaining.some(i => i.status === 'pending')) scheduleQueueRetry();
+}
+
+async function renderPendingUploads() {
+    const items = await getQueuedSaves();
+    const btn = document.getElementById('btnPendingUploads');
+    const count = document.getElementById('pendingUploadCount');
+
+    btn.style.display = items.length > 0 ? 'flex' : 'none';
+    btn.classList.toggle('has-failed', items.some(i => i.status === 'failed'));
+    count.textContent = items.length;
+
+    const list = document.getElementById('pendingUploadList');
+    if (!list) return;
+    list.innerHTML = '';
+    document.getElementById('noPendingUploads').style.display = items.length === 0 ? 'block' : 'none';
+
+    const statusLabel = {
+        pending: '<i class="bi bi-hourglass-split"></i> รอส่ง',
+        uploading: '<span class="inline-spinner dark"></span> กำลังส่ง',
+        failed: '<i class="bi bi-exclamation-triangle"></i> ส่งไม่สำเร็จ'
+    };
+
+    items.forEach(item => {
+        const b = item.body;
+        const queued = new Date(item.queuedAt).toLocaleString('th-TH', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+
+        const row = document.createElement('div');
+        row.className = `pending-item ${item.status}`;
+        row.innerHTML = `
+            <img class="pending-item-img" src="${b.imageBase64}" />
+            <div class="pending-item-body">
+                <div class="pending-item-top">
+                    <span class="pending-item-order">${escapeHtml(b.orno || b.barcodeNo)}</span>
+                    <span class="pending-item-status ${item.status}">${statusLabel[item.status] || item.status}</span>
+                </div>
+                <div class="pending-item-values">
+                    ปกติ ${b.normalPercent}% · OT ${b.otPercent}% · วันที่ ${b.recordDate}
+                </div>
+                <div class="pending-item-meta">
+                    <i class="bi bi-clock"></i> ${queued}${b.queuedBy ? ` · ${escapeHtml(b.queuedBy)}` : ''}${item.attempts > 0 ? ` · ลองแล้ว ${item.attempts} ครั้ง` : ''}
+                </div>
+                ${item.lastError ? `<div class="pending-item-error">${escapeHtml(item.lastError)}</div>` : ''}
+            </div>
+            <button class="btn-icon-sm danger" title="ทิ้งรายการนี้"><i class="bi bi-trash3"></i></button>`;
+
+        row.querySelector('button').addEventListener('click', () => discardQueuedSave(item.id));
+        list.appendChild(row);
+    });
+}
+
+function openPendingUploads() {
+    renderPendingUploads();
+    document.activeElement?.blur();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('pendingUploadsModal')).show();
+}
+
+async function discardQueuedSave(id) {
+    const confirmed = await showConfirm({
+        icon: 'bi-trash3',
+        title: 'ทิ้งรายการที่ค้างส่ง?',
+        desc: 'รูปและค่าที่บันทึกไว้ในเครื่องจะถูกลบ และจะไม่ถูกส่งขึ้นเซิร์ฟเวอร์',
+        okText: 'ทิ้งเลย',
+        okClass: 'danger'
+    });
+    if (!confirmed) return;
+    await removeQueuedSave(id);
+    await renderPendingUploads();
+}
@@ -0,0 +1,161 @@
+// Who is using the tablet. The session itself is an HttpOnly cookie; this only
+// mirrors it for the header chip, and remembers the last answer for offline starts.
+const OPERATOR_KEY = 'wp.operator';
+const AUTH_API = '/api/ApiAuth';
+// Mirrors OperatorRoles on the server; each role includes the ones before it
+const OPERATOR_ROLE_RANK = { operator: 0, supervisor: 1, admin: 2 };
+const OPERATOR_ROLE_LABELS = { operator: 'ช่าง', supervisor: 'หัวหน้างาน', admin: 'ผู้ดูแลระบบ' };
+
+let currentOperator = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('operatorChip').addEventListener('click', onOperatorChipClick);
+    document.getElementById('btnLogin').addEventListener('click', submitLogin);
+    document.getElementById('loginPin').addEventListener('keydown', e => {
+        if (e.key === 'Enter') submitLogin();
+    });
+    document.getElementById('loginCode').addEventListener('keydown', e => {
+        if (e.key === 'Enter') document.getElementById('loginPin').focus();
+    });
+    document.getElementById('loginModal').addEventListener('shown.bs.modal', () => {
+        document.getElementById(document.getElementById('loginCode').value ? 'loginPin' : 'loginCode').focus();
+    });
+    loadCurrentOperator();
+});
+
+async function loadCurrentOperator() {
+    try {
+        currentOperator = JSON.parse(localStorage.getItem(OPERATOR_KEY) || 'null');
+    } catch {
+        currentOperator = null;
+    }
+    renderOperatorChip();
+
+    try {
+        const res = await fetch(`${AUTH_API}/me`);
+        setCurrentOperator(res.ok ? await res.json() : null);
+    } catch {
+        // Offline: keep the remembered operator; the cookie still rides along when the queue replays
+    }
+}
+
+function setCurrentOperator(op) {
+    currentOperator = op;
+    if (op) localStorage.setItem(OPERATOR_KEY, JSON.stringify(op));
+    else localStorage.removeItem(OPERATOR_KEY);
+    renderOperatorChip();
+}
+
+function renderOperatorChip() {
+    // CSS hides [data-requires] controls the role cannot use; the server enforces the same rules
+    if (currentOperator?.role) document.body.dataset.role = currentOperator.role;
+    else delete document.body.dataset.role;
+
+    const chip = document.getElementById('operatorChip');
+    chip.classList.toggle('signed-in', !!currentOperator);
+    chip.innerHTML = currentOperator
+        ? `<i class="bi bi-person-check-fill"></i><span>${escapeHtml(currentOperator.displayName)}</span>`
+        : `<i class="bi bi-person"></i><span>เข้าสู่ระบบ</span>`;
+    chip.title = currentOperator
+        ? `เข้าสู่ระบบเป็น ${currentOperator.displayName} (${currentOperator.employeeCode}) · ${OPERATOR_ROLE_LABELS[currentOperator.role] || currentOperator.role}`
+        : '';
+}
+
+async function onOperatorChipClick() {
+    if (!currentOperator) {
+        openLoginModal();
+        return;
+    }
+    const confirmed = await showConfirm({
+        icon: 'bi-box-arrow-right',
+        title: 'ออกจากระบบ?',
+        desc: `ตอนนี้เข้าสู่ระบบเป็น ${currentOperator.displayName} (${currentOperator.employeeCode})`,
+        okText: 'ออกจากระบบ'
+    });
+    if (!confirmed) return;
+    try {
+        await fetch(`${AUTH_API}/logout`, { method: 'POST' });
+    } catch {
+        toast('ออกจากระบบไม่สำเร็จ', 'error');
+        return;
+    }
+    setCurrentOperator(null);
+    toast('ออกจากระบบแล้ว', 'success');
+}
+
+function openLoginModal(message = '') {
+    document.getElementById('loginPin').value = '';
+    document.getElementById('loginError').textContent = message;
+    document.activeElement?.blur();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('loginModal')).show();
+}
+
+async function submitLogin() {
+    const code = document.getElementById('loginCode').value.trim();
+    const pin = document.getElementById('loginPin').value.trim();
+    const errorEl = document.getElementById('loginError');
+    if (!code || !pin) {
+        errorEl.textContent = 'กรุณากรอกรหัสพนักงานและ PIN';
+        return;
+    }
+
+    const btn = document.getElementById('btnLogin');
+    btn.disabled = true;
+    btn.innerHTML = '<span class="inline-spinner"></span> กำลังเข้าสู่ระบบ...';
+    try {
+        const res = await fetch(`${AUTH_API}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ employeeCode: code, pin })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            errorEl.textContent = data.message || 'เข้าสู่ระบบไม่สำเร็จ';
+            document.getElementById('loginPin').value = '';
+            return;
+        }
+        setCurrentOperator(data);
+        bootstrap.Modal.getInstance(document.getElementById('loginModal'))?.hide();
+        toast(`สวัสดี ${data.displayName}`, 'success');
+        // Saves parked because the session had expired can go now
+        flushSaveQueue(true);
+    } catch {
+        errorEl.textContent = 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้';
+    } finally {
+        btn.disabled = false;
+        btn.innerHTML = '<i class="bi bi-box-arrow-in-right"></i> เข้าสู่ระบบ';
+    }
+}
+
+// Gate for save / edit / delete; prompts for login instead of letting the request 401
+function requireOperator() {
+    if (currentOperator) return true;
+    openLoginModal('กรุณาเข้าสู่ระบบก่อนบันทึกหรือแก้ไขข้อมูล');
+    return false;
+}
+
+function hasOperatorRole(role) {
+    if (!currentOperator) return false;
+    return (OPERATOR_ROLE_RANK[currentOperator.role] ?? 0) >= OPERATOR_ROLE_RANK[role];
+}
+
+// Like requireOperator, for actions reserved to supervisors or admins
+function requireRole(role) {
+    if (!requireOperator()) return false;
+    if (hasOperatorRole(role)) return true;
+    toast(`เฉพาะ${OPERATOR_ROLE_LABELS[role]}เท่านั้น`, 'error');
+    return false;
+}
+
+// Call with any API response; a 401 means the cookie expired behind our back,
+// a 403 that the operator's role does not allow the action
+function handleAuthFailure(res) {
+    if (res?.status === 403) {
+        toast('ไม่มีสิทธิ์ทำรายการนี้', 'error');
+        return true;
+    }
+    if (res?.status !== 401) return false;
+    setCurrentOperator(null);
+    openLoginModal('หมดเวลาการเข้าสู่ระบบ กรุณาเข้าสู่ระบบอีกครั้ง');
+    return true;
+}
@@ -0,0 +1,216 @@
+const OPERATOR_API = '/api/ApiOperator';
+// Same labels as operator.js on the scan page
+const OPERATOR_ROLE_NAMES = { operator: 'ช่าง', supervisor: 'หัวหน้างาน', admin: 'ผู้ดูแลระบบ' };
+
+let operators = [];
+let signedInCode = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const el = document.getElementById('loading-overlay');
+    el.classList.add('hidden');
+    setTimeout(() => el.style.display = 'none', 300);
+
+    document.getElementById('btnOperatorAdd').addEventListener('click', openOperatorForm);
+    document.getElementById('btnOperatorCancel').addEventListener('click', closeOperatorForms);
+    document.getElementById('btnOperatorSave').addEventListener('click', createOperator);
+    document.getElementById('btnOperatorPinCancel').addEventListener('click', closeOperatorForms);
+    document.getElementById('btnOperatorPinSave').addEventListener('click', resetOperatorPin);
+    checkOperatorAccess();
+});
+
+// Admins only, and the login modal lives on the scan page
+async function checkOperatorAccess() {
+    let me = null;
+    try {
+        const res = await fetch('/api/ApiAuth/me');
+        if (res.ok) me = await res.json();
+    } catch { /* offline: treated as signed out */ }
+
+    if (me?.role === 'admin') {
+        signedInCode = me.employeeCode;
+        document.getElementById('operatorPanel').style.display = 'block';
+        loadOperators();
+        return;
+    }
+    document.getElementById('operatorDeniedText').textContent = me
+        ? 'หน้านี้สำหรับผู้ดูแลระบบเท่านั้น'
+        : 'กรุณาเข้าสู่ระบบด้วยบัญชีผู้ดูแลระบบที่หน้าสแกนก่อน';
+    document.getElementById('operatorDenied').style.display = 'block';
+}
+
+async function loadOperators() {
+    try {
+        const res = await fetch(OPERATOR_API);
+        if (!res.ok) throw new Error();
+        operators = await res.json();
+        document.getElementById('operatorEmpty').textContent = 'ยังไม่มีผู้ใช้งาน';
+    } catch {
+        operators = [];
+        document.getElementById('operatorEmpty').textContent = 'โหลดรายชื่อผู้ใช้งานไม่สำเร็จ';
+    }
+    renderOperators();
+}
+
+function renderOperators() {
+    document.getElementById('operatorEmpty').style.display = operators.length === 0 ? 'block' : 'none';
+    document.getElementById('operatorList').innerHTML = operators.map(o => {
+        const self = o.employeeCode === signedInCode;
+        const toggle = o.isActive
+            ? `<button class="btn-icon-sm danger" onclick="setOperatorActive(${o.id}, false)" title="ปิดการใช้งาน"${self ? ' disabled' : ''}><i class="bi bi-person-slash"></i></button>`
+            : `<button class="btn-icon-sm" onclick="setOperatorActive(${o.id}, true)" title="เปิดใช้งานอีกครั้ง"><i class="bi bi-person-check"></i></button>`;
+        return `
+        <div class="operator-item ${o.isActive ? '' : 'disabled'}">
+            <div class="operator-info">
+                <div class="operator-name">
+                    ${escapeHtml(o.displayName)}
+                    ${o.isActive ? '' : '<span class="operator-off">ปิดใช้งาน</span>'}
+                    ${o.lockedUntil ? `<span class="operator-locked" title="ใส่ PIN ผิดหลายครั้ง ล็อกถึง ${formatOperatorTime(o.lockedUntil)}"><i class="bi bi-lock"></i> ล็อกอยู่</span>` : ''}
+                </div>
+                <div class="operator-code">${escapeHtml(o.employeeCode)}${self ? ' · คุณ' : ''}</div>
+            </div>
+            <select class="form-select operator-role-select ${o.role}" onchange="setOperatorRole(${o.id}, this)"
+                    title="${self ? 'เปลี่ยนสิทธิ์ของตัวเองไม่ได้' : 'สิทธิ์'}"${self ? ' disabled' : ''}>
+                ${Object.entries(OPERATOR_ROLE_NAMES).map(([role, label]) =>
+                    `<option value="${role}"${role === o.role ? ' selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <div class="operator-actions">
+                <button class="btn-icon-sm" onclick="openPinForm(${o.id})" title="ตั้ง PIN ใหม่"><i class="bi bi-key"></i></button>
+                ${toggle}
+            </div>
+        </div>`;
+    }).join('');
+}
+
+function openOperatorForm() {
+    closeOperatorForms();
+    document.getElementById('operatorCode').value = '';
+    document.getElementById('operatorName').value = '';
+    document.getElementById('operatorPin').value = '';
+    document.getElementById('operatorRole').value = 'operator';
+    document.getElementById('operatorFormError').textContent = '';
+
+    const card = document.getElementById('operatorFormCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    document.getElementById('operatorCode').focus();
+}
+
+function openPinForm(id) {
+    const o = operators.find(x => x.id === id);
+    if (!o) return;
+    closeOperatorForms();
+    document.getElementById('operatorPinId').value = o.id;
+    document.getElementById('operatorPinTitle').textContent = `ตั้ง PIN ใหม่ให้ ${o.displayName} (${o.employeeCode})`;
+    document.getElementById('operatorNewPin').value = '';
+    document.getElementById('operatorPinError').textContent = '';
+
+    const card = document.getElementById('operatorPinCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    document.getElementById('operatorNewPin').focus();
+}
+
+function closeOperatorForms() {
+    document.getElementById('operatorFormCard').style.display = 'none';
+    document.getElementById('operatorPinCard').style.display = 'none';
+}
+
+async function createOperator() {
+    const errorEl = document.getElementById('operatorFormError');
+    const body = {
+        employeeCode: document.getElementById('operatorCode').value.trim(),
+        displayName: document.getElementById('operatorName').value.trim(),
+        pin: document.getElementById('operatorPin').value.trim(),
+        role: document.getElementById('operatorRole').value
+    };
+
+    try {
+        const res = await fetch(OPERATOR_API, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            errorEl.textContent = data.message || 'บันทึกไม่สำเร็จ';
+            return;
+        }
+        closeOperatorForms();
+        await loadOperators();
+    } catch {
+        errorEl.textContent = 'บันทึกไม่สำเร็จ';
+    }
+}
+
+async function resetOperatorPin() {
+    const errorEl = document.getElementById('operatorPinError');
+    const id = document.getElementById('operatorPinId').value;
+    try {
+        const res = await fetch(`${OPERATOR_API}/${id}/pin`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: document.getElementById('operatorNewPin').value.trim() })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            errorEl.textContent = data.message || 'ตั้ง PIN ไม่สำเร็จ';
+            return;
+        }
+        closeOperatorForms();
+        await loadOperators();
+    } catch {
+        errorEl.textContent = 'ตั้ง PIN ไม่สำเร็จ';
+    }
+}
+
+async function setOperatorRole(id, select) {
+    const o = operators.find(x => x.id === id);
+    if (!o) return;
+    const role = select.value;
+    if (!confirm(`เปลี่ยนสิทธิ์ของ ${o.displayName} (${o.employeeCode}) เป็น${OPERATOR_ROLE_NAMES[role]}?`)) {
+        select.value = o.role;
+        return;
+    }
+    try {
+        const res = await fetch(`${OPERATOR_API}/${id}/role`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            alert(data.message || 'เปลี่ยนสิทธิ์ไม่สำเร็จ');
+            select.value = o.role;
+            return;
+        }
+        await loadOperators();
+    } catch {
+        alert('เปลี่ยนสิทธิ์ไม่สำเร็จ');
+        select.value = o.role;
+    }
+}
+
+async function setOperatorActive(id, isActive) {
+    const o = operators.find(x => x.id === id);
+    if (!o) return;
+    if (!isActive && !confirm(`ปิดการใช้งานบัญชี ${o.displayName} (${o.employeeCode})? ประวัติที่บันทึกไว้จะยังอยู่`)) return;
+    try {
+        const res = await fetch(`${OPERATOR_API}/${id}/active`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ isActive })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            alert(data.message || 'บันทึกไม่สำเร็จ');
+            return;
+        }
+        await loadOperators();
+    } catch {
+        alert('บันทึกไม่สำเร็จ');
+    }
+}
+
+function formatOperatorTime(value) {
+    return new Date(value).toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+}
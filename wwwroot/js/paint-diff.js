@@ -0,0 +1,92 @@
+// Where paint appeared since the previous work date, from the per-record paint masks.
+// Upload view: an extra overlay layer for the unsaved analysis. History: a modal per record.
+let diffPreviewSeq = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // The previous work date depends on the date being recorded
+    document.getElementById('recordDate').addEventListener('change', resetDiffPreview);
+});
+
+// Called whenever the analysed classes change: new analysis, brush correction, date
+function resetDiffPreview() {
+    diffPreviewSeq++;
+    const layer = document.getElementById('overlayDiff');
+    layer.src = '';
+    layer.style.display = 'none';
+    document.getElementById('diffSummary').style.display = 'none';
+    document.querySelector('.overlay-toggle.diff').classList.remove('active');
+}
+
+// From the overlay toggle; fetched on first use since it needs a server round trip
+function toggleDiffPreview(active) {
+    document.getElementById('diffSummary').style.display = active ? 'flex' : 'none';
+    if (active && !document.getElementById('overlayDiff').getAttribute('src')) loadDiffPreview();
+}
+
+async function loadDiffPreview() {
+    const summary = document.getElementById('diffSummary');
+    const mask = buildPaintMaskDataUrl();
+    if (!mask || !currentData) {
+        summary.textContent = 'ยังไม่มีข้อมูลพื้นที่ระบายสี';
+        return;
+    }
+
+    const seq = ++diffPreviewSeq;
+    summary.innerHTML = '<span class="inline-spinner dark"></span> กำลังเทียบกับวันก่อน...';
+    try {
+        const res = await fetch(`${API}/diff/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                orderNo: currentData.barcodeItem.barcodeNo.trim(),
+                recordDate: document.getElementById('recordDate').value || null,
+                paintMaskBase64: mask
+            })
+        });
+        const data = await res.json().catch(() => ({}));
+        if (seq !== diffPreviewSeq) return;
+        if (!res.ok) {
+            summary.textContent = data.message || 'เทียบกับวันก่อนไม่สำเร็จ';
+            return;
+        }
+        document.getElementById('overlayDiff').src = data.image;
+        summary.innerHTML = paintDiffSummaryHtml(data);
+        applyOverlayState();
+    } catch {
+        if (seq === diffPreviewSeq) summary.textContent = 'เทียบกับวันก่อนไม่สำเร็จ';
+    }
+}
+
+async function showPaintDiff(id) {
+    const stage = document.getElementById('paintDiffStage');
+    const summary = document.getElementById('paintDiffSummary');
+    stage.innerHTML = '<div class="audit-loading"><span class="inline-spinner dark"></span> กำลังโหลด...</div>';
+    summary.innerHTML = '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('paintDiffModal')).show();
+
+    try {
+        const res = await fetch(`${API}/diff/${id}`);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            stage.innerHTML = '';
+            summary.textContent = data.message || 'โหลดไม่สำเร็จ';
+            return;
+        }
+        stage.innerHTML = `<img src="${data.image}" alt="" />`;
+        summary.innerHTML = paintDiffSummaryHtml(data);
+    } catch {
+        stage.innerHTML = '';
+        summary.textContent = 'โหลดไม่สำเร็จ';
+    }
+}
+
+function paintDiffSummaryHtml(d) {
+    const date = new Date(d.previousWorkDate + 'T00:00:00').toLocaleDateString('th-TH', {
+        day: '2-digit', month: 'short', year: '2-digit'
+    });
+    return `
+        <span class="diff-stat normal">+ปกติ ${d.newNormalPercent}%</span>
+        <span class="diff-stat ot">+OT ${d.newOtPercent}%</span>
+        <span class="diff-stat regression">หายไป ${d.regressionPercent}%</span>
+        <span class="diff-base">เทียบกับ ${date}${d.aligned ? '' : ' · ไม่ได้จัดแนวด้วย Template ตำแหน่งอาจคลาดเคลื่อน'}</span>`;
+}
@@ -0,0 +1,46 @@
+// Quiet zone the detector needs around each symbol (QrPerspectiveCorrector header)
+const QR_QUIET_MODULES = 4;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.qr-symbol[data-tag]').forEach(renderCornerQr);
+    renderLabelBarcode();
+    document.getElementById('btnPrint').addEventListener('click', () => window.print());
+});
+
+// Drawn as an SVG of whole modules so the print stays crisp at any size;
+// the corrector only accepts exactly "TL", "TR", "BR" or "BL"
+function renderCornerQr(el) {
+    const qr = qrcode(0, 'H');
+    qr.addData(el.dataset.tag);
+    qr.make();
+
+    const n = qr.getModuleCount();
+    let path = '';
+    for (let r = 0; r < n; r++) {
+        for (let c = 0; c < n; c++) {
+            if (qr.isDark(r, c)) path += `M${c},${r}h1v1h-1z`;
+        }
+    }
+
+    // The symbol itself is --qr-size; the quiet zone is added around it
+    el.style.padding = `calc(var(--qr-size) * ${QR_QUIET_MODULES / n})`;
+    el.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${n} ${n}"
+             shape-rendering="crispEdges">
+            <path d="${path}" fill="#000" />
+        </svg>`;
+}
+
+// CODE128 rather than QR so the label never competes with the corner markers
+// when the corrector scans the photo; html5-qrcode in startBarcodeScanner reads it
+function renderLabelBarcode() {
+    const svg = document.getElementById('labelBarcode');
+    JsBarcode(svg, svg.dataset.value, {
+        format: 'CODE128',
+        width: 2,
+        height: 70,
+        fontSize: 16,
+        margin: 8,
+        font: 'Kanit'
+    });
+}
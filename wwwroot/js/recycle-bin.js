@@ -0,0 +1,135 @@
+// Soft-deleted records for the open order. Supervisors restore them, or purge them
+// for good together with their evidence photo and correction mask.
+let recycleBinLoadedFor = null;
+
+function resetRecycleBin() {
+    recycleBinLoadedFor = null;
+}
+
+function isRecycleBinOpen() {
+    return document.getElementById('historyTrashView').style.display !== 'none';
+}
+
+async function loadRecycleBin() {
+    const barcode = currentData?.barcodeItem?.barcodeNo?.trim();
+    if (!barcode || recycleBinLoadedFor === barcode) return;
+
+    const body = document.getElementById('recycleBinBody');
+    document.getElementById('noRecycleBin').style.display = 'none';
+    body.innerHTML = '<div class="audit-loading"><span class="inline-spinner"></span> กำลังโหลด...</div>';
+    try {
+        const res = await fetch(`${API}/recycle-bin/${encodeURIComponent(barcode)}`);
+        if (!res.ok) {
+            body.innerHTML = '';
+            if (!handleAuthFailure(res)) toast('โหลดถังขยะไม่สำเร็จ', 'error');
+            return;
+        }
+        const records = await res.json();
+        recycleBinLoadedFor = barcode;
+        renderRecycleBin(records);
+    } catch {
+        body.innerHTML = '';
+        toast('โหลดถังขยะไม่สำเร็จ', 'error');
+    }
+}
+
+function renderRecycleBin(records) {
+    const body = document.getElementById('recycleBinBody');
+    document.getElementById('noRecycleBin').style.display = records.length === 0 ? 'block' : 'none';
+    body.innerHTML = records.map(r => {
+        const workDate = new Date(r.workDate.split('T')[0] + 'T00:00:00').toLocaleDateString('th-TH', {
+            day: '2-digit', month: 'short', year: '2-digit'
+        });
+        const deletedAt = new Date(r.deletedAt).toLocaleString('th-TH', {
+            day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+        const img = r.evidenceImagePath
+            ? `<img class="history-card-img" src="${r.evidenceImagePath}" onclick="viewImage('${r.evidenceImagePath}')" />`
+            : `<div class="history-card-img-empty"><i class="bi bi-image"></i></div>`;
+        return `
+            <div class="history-card recycle-card">
+                ${img}
+                <div class="history-card-body">
+                    <div class="history-card-top">
+                        <span class="history-date"><i class="bi bi-calendar-event"></i> ${workDate}</span>
+                    </div>
+                    <div class="recycle-values">
+                        <span class="normal">ปกติ ${r.computedNormalPercent}%</span>
+                        <span class="ot">OT ${r.computedOtPercent}%</span>
+                        <span class="total">รวม ${r.computedTotalPercent}%</span>
+                    </div>
+                    <div class="history-operator">
+                        <i class="bi bi-trash3"></i> ลบโดย ${escapeHtml(r.deletedByName || r.deletedBy || '-')} · ${deletedAt}
+                    </div>
+                    <div class="recycle-actions">
+                        <button class="btn-recycle restore" onclick="restoreProgress(${r.id})">
+                            <i class="bi bi-arrow-counterclockwise"></i> กู้คืน
+                        </button>
+                        <button class="btn-recycle purge" onclick="purgeProgress(${r.id})">
+                            <i class="bi bi-x-octagon"></i> ลบถาวร
+                        </button>
+                    </div>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+// Used by the recycle bin and by the "Undo" action on the delete toast
+async function restoreProgress(id) {
+    if (!requireRole('supervisor')) return;
+    showLoading();
+    try {
+        const res = await fetch(`${API}/restore/${id}`, { method: 'POST' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'กู้คืนไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        toast('กู้คืนสำเร็จ', 'success');
+        if (isRecycleBinOpen()) {
+            resetRecycleBin();
+            await refreshAfterHistoryChange();
+            loadRecycleBin();
+        } else {
+            doScan();
+        }
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function purgeProgress(id) {
+    if (!requireRole('supervisor')) return;
+    const confirmed = await showConfirm({
+        icon: 'bi-x-octagon',
+        title: 'ลบถาวร?',
+        desc: 'รูปหลักฐานจะถูกลบด้วย และไม่สามารถกู้คืนได้อีก',
+        okText: 'ลบถาวร',
+        okClass: 'danger'
+    });
+    if (!confirmed) return;
+
+    showLoading();
+    try {
+        const res = await fetch(`${API}/purge/${id}`, { method: 'DELETE' });
+        if (!res.ok) {
+            if (!handleAuthFailure(res)) {
+                const err = await res.json().catch(() => ({}));
+                toast(err.message || 'ลบถาวรไม่สำเร็จ', 'error');
+            }
+            return;
+        }
+        toast('ลบถาวรสำเร็จ', 'success');
+        resetRecycleBin();
+        invalidateAuditLog();
+        loadRecycleBin();
+    } catch {
+        toast('เกิดข้อผิดพลาด', 'error');
+    } finally {
+        hideLoading();
+    }
+}
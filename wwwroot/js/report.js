@@ -0,0 +1,3 @@
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('btnPrint').addEventListener('click', () => window.print());
+});
@@ -1,4 +1,32 @@
-﻿// Please see documentation at https://learn.microsoft.com/aspnet/core/client-side/bundling-and-minification
-// for details on configuring this project to bundle and minify static web assets.
+// Helpers shared across pages; each page loads this before its own scripts.
 
-// Write your JavaScript code.
+// For text interpolated into innerHTML templates
+function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+}
+
+// Fetched rather than linked so a 400 is reported by the page (onError)
+// instead of being saved as a downloaded error body
+async function downloadFile(url, fallbackName, onError = msg => toast(msg, 'error')) {
+    try {
+        const res = await fetch(url);
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            onError(err.message || 'ส่งออกไม่สำเร็จ');
+            return;
+        }
+        const match = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+        const objectUrl = URL.createObjectURL(await res.blob());
+        const a = document.createElement('a');
+        a.href = objectUrl;
+        a.download = match ? match[1] : fallbackName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+    } catch {
+        onError('ส่งออกไม่สำเร็จ');
+    }
+}
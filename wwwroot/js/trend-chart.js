@@ -0,0 +1,104 @@
+// Cumulative trend over daily_progress_summary, with the server's completion forecast.
+// Plain SVG so the history modal keeps working from the offline shell.
+const TREND_W = 320, TREND_H = 170;
+const TREND_PAD = { top: 10, right: 10, bottom: 22, left: 28 };
+const TREND_MAX_FORECAST_DAYS = 120;
+const TREND_SERIES = [
+    { key: 'normalPercent', cls: 'normal' },
+    { key: 'otPercent', cls: 'ot' },
+    { key: 'totalPercent', cls: 'total' }
+];
+
+function trendDay(dateStr) {
+    // work_date comes back as local midnight; count whole days so time zones never shift a point
+    const d = new Date(dateStr);
+    return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000;
+}
+
+function trendDateLabel(day, withYear = false) {
+    const opts = { day: 'numeric', month: 'short', timeZone: 'UTC' };
+    if (withYear) opts.year = '2-digit';
+    return new Date(day * 86400000).toLocaleDateString('th-TH', opts);
+}
+
+function renderTrendChart(summaries, forecast) {
+    const wrap = document.getElementById('trendChart');
+    const days = (summaries || [])
+        .map(s => ({ ...s, day: trendDay(s.workDate) }))
+        .sort((a, b) => a.day - b.day);
+
+    if (days.length === 0) {
+        wrap.style.display = 'none';
+        return;
+    }
+    wrap.style.display = 'block';
+
+    const first = days[0].day;
+    const last = days[days.length - 1].day;
+    const projectedDay = forecast?.status === 'projected' && forecast.projectedDate
+        ? trendDay(forecast.projectedDate) : null;
+    const showProjection = projectedDay !== null && projectedDay - last <= TREND_MAX_FORECAST_DAYS;
+    const endDay = Math.max(showProjection ? projectedDay : last, first + 1);
+
+    const plotW = TREND_W - TREND_PAD.left - TREND_PAD.right;
+    const plotH = TREND_H - TREND_PAD.top - TREND_PAD.bottom;
+    const x = day => TREND_PAD.left + (day - first) / (endDay - first) * plotW;
+    const y = pct => TREND_PAD.top + (1 - Math.min(Math.max(pct, 0), 100) / 100) * plotH;
+
+    let svg = '';
+
+    [0, 25, 50, 75, 100].forEach(p => {
+        svg += `<line class="trend-grid" x1="${TREND_PAD.left}" x2="${TREND_W - TREND_PAD.right}" y1="${y(p)}" y2="${y(p)}" />`;
+        svg += `<text class="trend-axis" x="${TREND_PAD.left - 4}" y="${y(p) + 3}" text-anchor="end">${p}</text>`;
+    });
+
+    // Daily delta bars grow up (or down, after a correction) from the 0% line
+    const barW = Math.max(2, Math.min(14, plotW / (endDay - first + 1) * 0.6));
+    days.forEach(d => {
+        const delta = d.deltaTotal || 0;
+        if (delta === 0) return;
+        const top = delta > 0 ? y(delta) : y(0);
+        const h = Math.max(1, Math.abs(y(delta) - y(0)));
+        svg += `<rect class="trend-bar${delta < 0 ? ' negative' : ''}" x="${x(d.day) - barW / 2}" y="${top}" width="${barW}" height="${h}">`
+            + `<title>${trendDateLabel(d.day)}: ${delta > 0 ? '+' : ''}${d.deltaTotal}%</title></rect>`;
+    });
+
+    TREND_SERIES.forEach(s => {
+        const pts = days.map(d => `${x(d.day).toFixed(1)},${y(d[s.key]).toFixed(1)}`).join(' ');
+        svg += `<polyline class="trend-line ${s.cls}" points="${pts}" />`;
+    });
+    days.forEach(d => {
+        svg += `<circle class="trend-dot" cx="${x(d.day)}" cy="${y(d.totalPercent)}" r="2.5">`
+            + `<title>${trendDateLabel(d.day)}: รวม ${d.totalPercent}%</title></circle>`;
+    });
+
+    if (showProjection) {
+        const lastTotal = days[days.length - 1].totalPercent;
+        svg += `<line class="trend-projection" x1="${x(last)}" y1="${y(lastTotal)}" x2="${x(projectedDay)}" y2="${y(100)}" />`;
+        svg += `<circle class="trend-target" cx="${x(projectedDay)}" cy="${y(100)}" r="3.5" />`;
+    }
+
+    svg += `<text class="trend-axis" x="${x(first)}" y="${TREND_H - 6}" text-anchor="start">${trendDateLabel(first)}</text>`;
+    svg += `<text class="trend-axis" x="${x(endDay)}" y="${TREND_H - 6}" text-anchor="end">${trendDateLabel(endDay)}</text>`;
+
+    document.getElementById('trendChartSvg').innerHTML = svg;
+    const forecastEl = document.getElementById('trendForecast');
+    forecastEl.className = `trend-forecast ${forecast?.status || ''}`;
+    forecastEl.innerHTML = trendForecastText(forecast, showProjection);
+}
+
+function trendForecastText(f, shownOnChart) {
+    if (!f) return '';
+    const rate = f.dailyRate != null ? ` · เฉลี่ย ${f.dailyRate}%/วัน` : '';
+    switch (f.status) {
+        case 'complete':
+            return `<i class="bi bi-check-circle-fill"></i> เสร็จแล้วเมื่อ ${trendDateLabel(trendDay(f.completedDate), true)}`;
+        case 'projected':
+            return `<i class="bi bi-flag-fill"></i> คาดว่าจะเสร็จ <strong>${trendDateLabel(trendDay(f.projectedDate), true)}</strong>`
+                + ` (อีก ${f.daysRemaining} วัน${rate})${shownOnChart ? '' : ' — ไกลเกินกว่าจะแสดงบนกราฟ'}`;
+        case 'stalled':
+            return `<i class="bi bi-pause-circle-fill"></i> ช่วงนี้ไม่มีความคืบหน้า ยังประเมินวันเสร็จไม่ได้`;
+        default:
+            return `<i class="bi bi-info-circle"></i> ต้องมีข้อมูลอย่างน้อย 2 วันจึงจะคาดการณ์วันเสร็จได้`;
+    }
+}
@@ -0,0 +1,234 @@
+const WEBHOOK_API = '/api/ApiWebhook';
+const DELIVERY_EVENTS = { milestone: 'ถึงเป้าหมาย', complete: 'เสร็จสมบูรณ์', test: 'ทดสอบ' };
+const DELIVERY_STATUSES = { pending: 'รอส่ง', delivered: 'สำเร็จ', failed: 'ล้มเหลว' };
+
+let webhooks = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const el = document.getElementById('loading-overlay');
+    el.classList.add('hidden');
+    setTimeout(() => el.style.display = 'none', 300);
+
+    document.getElementById('btnWebhookAdd').addEventListener('click', () => openWebhookForm(null));
+    document.getElementById('btnWebhookCancel').addEventListener('click', closeWebhookForm);
+    document.getElementById('btnWebhookSave').addEventListener('click', saveWebhook);
+    document.getElementById('deliveryFilter').addEventListener('change', loadDeliveries);
+    document.getElementById('btnDeliveryRefresh').addEventListener('click', loadDeliveries);
+    checkWebhookAccess();
+});
+
+// Same gate as the import page: admins only, and the login modal lives on the scan page
+async function checkWebhookAccess() {
+    let role = null;
+    try {
+        const res = await fetch('/api/ApiAuth/me');
+        if (res.ok) role = (await res.json()).role;
+    } catch { /* offline: treated as signed out */ }
+
+    if (role === 'admin') {
+        document.getElementById('webhookPanel').style.display = 'block';
+        await loadWebhooks();
+        loadDeliveries();
+        return;
+    }
+    document.getElementById('webhookDeniedText').textContent = role
+        ? 'หน้านี้สำหรับผู้ดูแลระบบเท่านั้น'
+        : 'กรุณาเข้าสู่ระบบด้วยบัญชีผู้ดูแลระบบที่หน้าสแกนก่อน';
+    document.getElementById('webhookDenied').style.display = 'block';
+}
+
+async function loadWebhooks() {
+    try {
+        const res = await fetch(WEBHOOK_API);
+        if (!res.ok) throw new Error();
+        webhooks = await res.json();
+    } catch {
+        webhooks = [];
+        document.getElementById('webhookEmpty').textContent = 'โหลด Webhook ไม่สำเร็จ';
+    }
+    renderWebhooks();
+}
+
+function renderWebhooks() {
+    document.getElementById('webhookEmpty').style.display = webhooks.length === 0 ? 'block' : 'none';
+    document.getElementById('webhookList').innerHTML = webhooks.map(w => `
+        <div class="webhook-item ${w.enabled ? '' : 'disabled'}">
+            <div class="webhook-info">
+                <div class="webhook-name">
+                    ${escapeHtml(w.name)}
+                    ${w.enabled ? '' : '<span class="webhook-off">ปิดอยู่</span>'}
+                    ${w.hasSecret ? '<i class="bi bi-key" title="มีการลงลายเซ็น"></i>' : ''}
+                </div>
+                <div class="webhook-url">${escapeHtml(w.url)}</div>
+                <div class="webhook-milestones">
+                    ${w.milestones.map(m => `<span class="webhook-milestone">${m >= 100 ? 'เสร็จ' : m + '%'}</span>`).join('')}
+                </div>
+            </div>
+            <div class="webhook-actions">
+                <button class="btn-icon-sm" onclick="testWebhook(${w.id}, this)" title="ทดสอบส่ง"><i class="bi bi-send"></i></button>
+                <button class="btn-icon-sm" onclick="openWebhookForm(${w.id})" title="แก้ไข"><i class="bi bi-pencil"></i></button>
+                <button class="btn-icon-sm danger" onclick="deleteWebhook(${w.id})" title="ลบ"><i class="bi bi-trash3"></i></button>
+            </div>
+        </div>`).join('');
+
+    const filter = document.getElementById('deliveryFilter');
+    const selected = filter.value;
+    filter.innerHTML = '<option value="">ทุก Webhook</option>'
+        + webhooks.map(w => `<option value="${w.id}">${escapeHtml(w.name)}</option>`).join('');
+    filter.value = webhooks.some(w => String(w.id) === selected) ? selected : '';
+}
+
+function openWebhookForm(id) {
+    const w = webhooks.find(x => x.id === id);
+    document.getElementById('webhookId').value = w ? w.id : '';
+    document.getElementById('webhookName').value = w ? w.name : '';
+    document.getElementById('webhookUrl').value = w ? w.url : '';
+    const secret = document.getElementById('webhookSecret');
+    secret.value = '';
+    secret.placeholder = w?.hasSecret ? 'เว้นว่างเพื่อใช้ค่าเดิม' : '';
+    document.getElementById('webhookMilestones').value = w ? w.milestones.join(', ') : '50, 80, 100';
+    document.getElementById('webhookEnabled').checked = w ? w.enabled : true;
+    document.getElementById('webhookFormError').textContent = '';
+
+    const card = document.getElementById('webhookFormCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    document.getElementById('webhookName').focus();
+}
+
+function closeWebhookForm() {
+    document.getElementById('webhookFormCard').style.display = 'none';
+}
+
+async function saveWebhook() {
+    const errorEl = document.getElementById('webhookFormError');
+    const id = document.getElementById('webhookId').value;
+    const milestones = document.getElementById('webhookMilestones').value
+        .split(/[,\s]+/).filter(Boolean).map(Number);
+    if (milestones.some(m => !Number.isInteger(m))) {
+        errorEl.textContent = 'เป้าหมายต้องเป็นจำนวนเต็ม';
+        return;
+    }
+
+    const secret = document.getElementById('webhookSecret').value;
+    const existing = webhooks.find(w => String(w.id) === id);
+    const body = {
+        id: id ? Number(id) : null,
+        name: document.getElementById('webhookName').value.trim(),
+        url: document.getElementById('webhookUrl').value.trim(),
+        // Blank on edit keeps the stored secret
+        secret: secret || (existing?.hasSecret ? null : ''),
+        milestones,
+        enabled: document.getElementById('webhookEnabled').checked
+    };
+
+    try {
+        const res = await fetch(WEBHOOK_API, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            errorEl.textContent = data.message || 'บันทึกไม่สำเร็จ';
+            return;
+        }
+        closeWebhookForm();
+        await loadWebhooks();
+    } catch {
+        errorEl.textContent = 'บันทึกไม่สำเร็จ';
+    }
+}
+
+async function deleteWebhook(id) {
+    const w = webhooks.find(x => x.id === id);
+    if (!w || !confirm(`ลบ Webhook "${w.name}" และประวัติการส่งทั้งหมด?`)) return;
+    try {
+        const res = await fetch(`${WEBHOOK_API}/${id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error();
+        closeWebhookForm();
+        await loadWebhooks();
+        loadDeliveries();
+    } catch {
+        alert('ลบไม่สำเร็จ');
+    }
+}
+
+async function testWebhook(id, btn) {
+    btn.disabled = true;
+    const icon = btn.innerHTML;
+    btn.innerHTML = '<span class="inline-spinner dark"></span>';
+    try {
+        const res = await fetch(`${WEBHOOK_API}/${id}/test`, { method: 'POST' });
+        if (!res.ok) throw new Error();
+        document.getElementById('deliveryFilter').value = '';
+        await loadDeliveries();
+    } catch {
+        alert('ส่งทดสอบไม่สำเร็จ');
+    } finally {
+        btn.innerHTML = icon;
+        btn.disabled = false;
+    }
+}
+
+async function loadDeliveries() {
+    const params = new URLSearchParams({ limit: 100 });
+    const webhookId = document.getElementById('deliveryFilter').value;
+    if (webhookId) params.set('webhookId', webhookId);
+
+    const body = document.getElementById('deliveryBody');
+    const empty = document.getElementById('deliveryEmpty');
+    try {
+        const res = await fetch(`${WEBHOOK_API}/deliveries?${params}`);
+        if (!res.ok) throw new Error();
+        const rows = await res.json();
+        body.innerHTML = rows.map(deliveryRowHtml).join('');
+        empty.textContent = 'ยังไม่มีการส่ง';
+        empty.style.display = rows.length === 0 ? 'block' : 'none';
+    } catch {
+        body.innerHTML = '';
+        empty.textContent = 'โหลดประวัติการส่งไม่สำเร็จ';
+        empty.style.display = 'block';
+    }
+}
+
+function deliveryRowHtml(d) {
+    const event = DELIVERY_EVENTS[d.event] || d.event;
+    const milestone = d.event === 'milestone' ? ` ${d.milestone}%` : '';
+    const result = d.lastError
+        ? `<span class="delivery-error" title="${escapeHtml(d.lastError)}">${escapeHtml(d.lastError)}</span>`
+        : d.lastStatusCode ? `HTTP ${d.lastStatusCode}` : '-';
+    const next = d.status === 'pending' && d.nextAttemptAt
+        ? `<div class="delivery-next">ส่งอีกครั้ง ${formatWebhookDate(d.nextAttemptAt)}</div>`
+        : '';
+    const retry = d.status === 'failed'
+        ? `<button class="btn-icon-sm" onclick="retryDelivery(${d.id})" title="ส่งใหม่"><i class="bi bi-arrow-repeat"></i></button>`
+        : '';
+    return `
+        <tr>
+            <td class="muted">${formatWebhookDate(d.createdAt)}</td>
+            <td>${escapeHtml(d.webhookName || '-')}</td>
+            <td>${event}${milestone}</td>
+            <td class="mono">${escapeHtml(d.orderNo || '-')}</td>
+            <td><span class="delivery-status ${d.status}">${DELIVERY_STATUSES[d.status] || d.status}</span>${next}</td>
+            <td class="num">${d.attempts}</td>
+            <td class="delivery-result">${result}</td>
+            <td>${retry}</td>
+        </tr>`;
+}
+
+async function retryDelivery(id) {
+    try {
+        const res = await fetch(`${WEBHOOK_API}/deliveries/${id}/retry`, { method: 'POST' });
+        if (!res.ok) throw new Error();
+        loadDeliveries();
+    } catch {
+        alert('ส่งใหม่ไม่สำเร็จ');
+    }
+}
+
+function formatWebhookDate(value) {
+    return new Date(value).toLocaleString('th-TH', {
+        day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
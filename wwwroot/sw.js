@@ -0,0 +1,165 @@
+const CACHE_VERSION = 'v12';
+const SHELL_CACHE = `wp-shell-${CACHE_VERSION}`;
+// Not versioned: cached order lookups must survive app-shell updates
+const SCAN_CACHE = 'wp-scan';
+const SCAN_CACHE_LIMIT = 30;
+const SCAN_NETWORK_TIMEOUT_MS = 4000;
+
+const SHELL_URLS = [
+    '/',
+    '/css/app.css',
+    '/js/site.js',
+    '/js/offline-queue.js',
+    '/js/operator.js',
+    '/js/mask-editor.js',
+    '/js/paint-diff.js',
+    '/js/corner-editor.js',
+    '/js/camera-guide.js',
+    '/js/trend-chart.js',
+    '/js/audit-log.js',
+    '/js/recycle-bin.js',
+    '/js/compare-view.js',
+    '/js/color-library.js',
+    '/js/app.js',
+    '/manifest.json',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+// Routes that render the same Index shell; other pages (print sheet) go to the network
+const SHELL_PAGES = ['/', '/workprogress', '/workprogress/index'];
+
+// Cross-origin assets from _Layout; cached opaque, so no-cors
+const CDN_URLS = [
+    'https://fonts.googleapis.com/css2?family=Kanit:wght@300;400;500;600&display=swap',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js',
+    'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js'
+];
+
+// Font files referenced from the CDN stylesheets above
+const RUNTIME_CACHE_HOSTS = ['fonts.gstatic.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'unpkg.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_URLS);
+        await Promise.all(CDN_URLS.map(async url => {
+            try {
+                const res = await fetch(new Request(url, { mode: 'no-cors' }));
+                await cache.put(url, res);
+            } catch { /* CDN unreachable at install; picked up at runtime */ }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, SCAN_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+
+    const url = new URL(req.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/ApiWorkProgress/scan/')) {
+            event.respondWith(scanNetworkFirst(req));
+            return;
+        }
+        if (url.pathname.startsWith('/api/')) return;
+
+        if (req.mode === 'navigate') {
+            // The page is the same shell for / and /WorkProgress
+            if (SHELL_PAGES.includes(url.pathname.replace(/\/$/, '').toLowerCase() || '/')) {
+                event.respondWith(staleWhileRevalidate(req, '/'));
+            }
+            return;
+        }
+        if (SHELL_URLS.includes(url.pathname) || url.pathname.startsWith('/icons/')) {
+            event.respondWith(staleWhileRevalidate(req));
+        }
+        return;
+    }
+
+    if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(req));
+    }
+});
+
+async function staleWhileRevalidate(req, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = cacheKey || req;
+    const cached = await cache.match(key);
+
+    const network = fetch(req).then(res => {
+        if (res && (res.ok || res.type === 'opaque')) cache.put(key, res.clone());
+        return res;
+    }).catch(() => null);
+
+    if (cached) return cached;
+    const res = await network;
+    return res || new Response('', { status: 504, statusText: 'Offline' });
+}
+
+// Order lookups: prefer fresh data, but a slow or dead server falls back
+// to the last response for that barcode, flagged so the page can mark it stale
+async function scanNetworkFirst(req) {
+    const cache = await caches.open(SCAN_CACHE);
+
+    const network = fetch(req).then(async res => {
+        if (res.ok) await putScan(cache, req, res.clone());
+        return res;
+    });
+
+    try {
+        return await withTimeout(network, SCAN_NETWORK_TIMEOUT_MS);
+    } catch {
+        const cached = await cache.match(req);
+        if (cached) {
+            const headers = new Headers(cached.headers);
+            headers.set('X-Cache-Stale', '1');
+            return new Response(await cached.blob(), { status: 200, headers });
+        }
+    }
+
+    // Nothing cached: keep waiting on the slow server rather than fail early
+    try {
+        return await network;
+    } catch {
+        return new Response(JSON.stringify({ message: 'ออฟไลน์ และไม่มีข้อมูล Order นี้ในเครื่อง' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timeout')), ms);
+        promise.then(res => { clearTimeout(timer); resolve(res); },
+                     err => { clearTimeout(timer); reject(err); });
+    });
+}
+
+async function putScan(cache, req, res) {
+    const headers = new Headers(res.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const stamped = new Response(await res.blob(), { status: res.status, headers });
+
+    // Delete first so the key moves to the end of the insertion order
+    await cache.delete(req);
+    await cache.put(req, stamped);
+
+    const keys = await cache.keys();
+    const excess = keys.length - SCAN_CACHE_LIMIT;
+    for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+}